@@ -0,0 +1,405 @@
+import React, { useState } from 'react';
+import { Button, Checkbox, DatePicker, Input, InputNumber, Radio, Select, Space, Tag } from 'antd';
+import { FilterOutlined, SearchOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { DATE_FORMAT, formatCellValue, getDecimalSeparator, getValueKind, toTags } from './columnTypes';
+import { translate, useLocale } from './i18n';
+
+// Operators of the number filter with the keys of their labels
+const NUMBER_OPERATORS = [
+  { value: 'between', label: 'filter.between' },
+  { value: '=', label: 'filter.equals' },
+  { value: '>', label: 'filter.greaterThan' },
+  { value: '>=', label: 'filter.atLeast' },
+  { value: '<', label: 'filter.lessThan' },
+  { value: '<=', label: 'filter.atMost' },
+];
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+// A number filter is complete once the values its operator needs are filled in
+const isNumberFilterComplete = (filter) => {
+  if (!filter) return false;
+  return filter.operator === 'between'
+    ? hasValue(filter.min) || hasValue(filter.max)
+    : hasValue(filter.value);
+};
+
+/**
+ * Distinct values of a field, used as the checklist of select and tags columns without options
+ * @param {Array} rows Table rows
+ * @param {string} dataIndex Field name
+ * @returns {Array} Sorted distinct values (nulls excluded, arrays contribute each item)
+ */
+export const getDistinctValues = (rows, dataIndex) => {
+  const values = new Set();
+  rows.forEach(row => {
+    [].concat(row[dataIndex]).forEach(value => {
+      if (hasValue(value)) values.add(value);
+    });
+  });
+  return [...values].sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }));
+};
+
+const FilterActions = ({ onApply, onReset }) => {
+  const { t } = useLocale();
+  return (
+    <Space>
+      <Button type="primary" onClick={onApply} icon={<SearchOutlined />} size="small" style={{ width: 90 }}>
+        {t('filter.apply')}
+      </Button>
+      <Button onClick={onReset} size="small" style={{ width: 90 }}>
+        {t('filter.reset')}
+      </Button>
+    </Space>
+  );
+};
+
+// Case-insensitive "contains" search
+const TextFilter = ({ column, selectedKeys, setSelectedKeys, confirm, onReset }) => {
+  const { t } = useLocale();
+  return (
+    <div className="data-table-filter-dropdown">
+      <Input
+        placeholder={t('filter.search', { column: column.title })}
+        value={selectedKeys[0]}
+        onChange={(e) => setSelectedKeys(e.target.value ? [e.target.value] : [])}
+        onPressEnter={() => confirm()}
+        style={{ marginBottom: 8, display: 'block' }}
+      />
+      <FilterActions onApply={() => confirm()} onReset={onReset} />
+    </div>
+  );
+};
+
+// Comparison operator with one value, or a min/max range
+const NumberFilter = ({ column, selectedKeys, setSelectedKeys, confirm, onReset }) => {
+  const { locale, t } = useLocale();
+  const filter = selectedKeys[0] || { operator: 'between' };
+  const update = (changes) => setSelectedKeys([{ ...filter, ...changes }]);
+  const decimalSeparator = getDecimalSeparator(column.locale || locale);
+
+  return (
+    <div className="data-table-filter-dropdown">
+      <Select
+        value={filter.operator}
+        onChange={(operator) => update({ operator })}
+        options={NUMBER_OPERATORS.map(operator => ({ ...operator, label: t(operator.label) }))}
+        style={{ width: '100%', marginBottom: 8 }}
+      />
+      {filter.operator === 'between' ? (
+        <Space style={{ marginBottom: 8 }}>
+          <InputNumber
+            placeholder={t('filter.min')}
+            value={filter.min}
+            onChange={(min) => update({ min })}
+            decimalSeparator={decimalSeparator}
+          />
+          <InputNumber
+            placeholder={t('filter.max')}
+            value={filter.max}
+            onChange={(max) => update({ max })}
+            decimalSeparator={decimalSeparator}
+          />
+        </Space>
+      ) : (
+        <InputNumber
+          placeholder={t('filter.value')}
+          value={filter.value}
+          decimalSeparator={decimalSeparator}
+          onChange={(value) => update({ value })}
+          onPressEnter={() => confirm()}
+          style={{ width: '100%', marginBottom: 8 }}
+        />
+      )}
+      <FilterActions
+        onApply={() => (isNumberFilterComplete(filter) ? confirm() : onReset())}
+        onReset={onReset}
+      />
+    </div>
+  );
+};
+
+// Checklist of the column's options (or distinct values), any checked value matches
+const SelectFilter = ({ options, selectedKeys, setSelectedKeys, confirm, onReset }) => {
+  const { t } = useLocale();
+  const [search, setSearch] = useState('');
+  const visibleOptions = options.filter(option =>
+    String(option.label).toLowerCase().includes(search.toLowerCase())
+  );
+
+  return (
+    <div className="data-table-filter-dropdown">
+      {options.length > 8 && (
+        <Input
+          placeholder={t('filter.searchValues')}
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          allowClear
+          style={{ marginBottom: 8 }}
+        />
+      )}
+      <Checkbox.Group
+        className="data-table-filter-options"
+        value={selectedKeys}
+        onChange={setSelectedKeys}
+        options={visibleOptions}
+      />
+      <FilterActions onApply={() => confirm()} onReset={onReset} />
+    </div>
+  );
+};
+
+// Any / Yes / No, applied as soon as it is picked
+const BooleanFilter = ({ selectedKeys, setSelectedKeys, confirm }) => {
+  const { t } = useLocale();
+  return (
+    <div className="data-table-filter-dropdown">
+      <Radio.Group
+        value={selectedKeys.length > 0 ? selectedKeys[0] : 'any'}
+        onChange={(e) => {
+          setSelectedKeys(e.target.value === 'any' ? [] : [e.target.value]);
+          confirm();
+        }}
+      >
+        <Space direction="vertical">
+          <Radio value="any">{t('filter.any')}</Radio>
+          <Radio value={true}>{t('filter.yes')}</Radio>
+          <Radio value={false}>{t('filter.no')}</Radio>
+        </Space>
+      </Radio.Group>
+    </div>
+  );
+};
+
+// From/to day range, either end may be left open
+const DateFilter = ({ selectedKeys, setSelectedKeys, confirm, onReset }) => {
+  const filter = selectedKeys[0] || {};
+
+  return (
+    <div className="data-table-filter-dropdown">
+      <DatePicker.RangePicker
+        value={[filter.from ? dayjs(filter.from) : null, filter.to ? dayjs(filter.to) : null]}
+        allowEmpty={[true, true]}
+        onChange={(dates) => {
+          const from = dates && dates[0] ? dates[0].format(DATE_FORMAT) : null;
+          const to = dates && dates[1] ? dates[1].format(DATE_FORMAT) : null;
+          setSelectedKeys(from || to ? [{ from, to }] : []);
+        }}
+        getPopupContainer={(trigger) => trigger.parentElement}
+        style={{ marginBottom: 8 }}
+      />
+      <FilterActions onApply={() => confirm()} onReset={onReset} />
+    </div>
+  );
+};
+
+// Options shown in a select column's checklist
+const getSelectOptions = (column, distinctValues = []) => (
+  column.options && column.options.length > 0
+    ? column.options
+    : distinctValues.map(value => ({ value, label: String(value) }))
+);
+
+// Whether a cell value passes one filter value of its column
+const matchesFilter = (column, filterValue, cellValue) => {
+  const kind = getValueKind(column);
+  
+  if (kind === 'number') {
+    if (!hasValue(cellValue)) return false;
+    const number = Number(cellValue);
+    switch (filterValue.operator) {
+      case 'between':
+        return (!hasValue(filterValue.min) || number >= filterValue.min) &&
+          (!hasValue(filterValue.max) || number <= filterValue.max);
+      case '=': return number === filterValue.value;
+      case '>': return number > filterValue.value;
+      case '>=': return number >= filterValue.value;
+      case '<': return number < filterValue.value;
+      case '<=': return number <= filterValue.value;
+      default: return true;
+    }
+  }
+
+  if (kind === 'select') {
+    return String(cellValue) === String(filterValue);
+  }
+
+  if (kind === 'tags') {
+    return toTags(cellValue).includes(String(filterValue));
+  }
+
+  if (kind === 'boolean') {
+    return Boolean(cellValue) === filterValue;
+  }
+
+  if (kind === 'date') {
+    if (!hasValue(cellValue) || !dayjs(cellValue).isValid()) return false;
+    const day = dayjs(cellValue).format(DATE_FORMAT);
+    return (!filterValue.from || day >= filterValue.from) && (!filterValue.to || day <= filterValue.to);
+  }
+
+  // JSON values are searched in their text form
+  return hasValue(cellValue)
+    ? formatCellValue(column, cellValue).toLowerCase().includes(String(filterValue).toLowerCase())
+    : false;
+};
+
+/**
+ * Filter dropdown, matcher and icon for a column, chosen by its type
+ * @param {Object} column Column definition
+ * @param {Array} distinctValues Distinct field values, for select columns without options
+ * @returns {Object} Table column props (filterDropdown, onFilter, filterIcon)
+ */
+export const getColumnFilterProps = (column, distinctValues) => ({
+  filterDropdown: (props) => {
+    const onReset = () => props.clearFilters({ confirm: true, closeDropdown: true });
+    const dropdownProps = { ...props, column, onReset };
+
+    switch (getValueKind(column)) {
+      case 'number':
+        return <NumberFilter {...dropdownProps} />;
+      case 'select':
+      case 'tags':
+        return <SelectFilter {...dropdownProps} options={getSelectOptions(column, distinctValues)} />;
+      case 'boolean':
+        return <BooleanFilter {...dropdownProps} />;
+      case 'date':
+        return <DateFilter {...dropdownProps} />;
+      default:
+        return <TextFilter {...dropdownProps} />;
+    }
+  },
+  onFilter: (value, record) => matchesFilter(column, value, record[column.dataIndex]),
+  filterIcon: filtered => {
+    const Icon = getValueKind(column) === 'text' ? SearchOutlined : FilterOutlined;
+    return <Icon style={{ color: filtered ? '#1890ff' : undefined }} />;
+  },
+});
+
+/**
+ * Human readable description of a column's active filter in the column's locale, shown on its chip
+ * @param {Object} column Column definition
+ * @param {Array} values Active filter values of the column
+ * @returns {string} Description, e.g. "Price between 10 and 20"
+ */
+export const describeFilter = (column, values) => {
+  const kind = getValueKind(column);
+  const { locale } = column;
+  const t = (key, params) => translate(locale, key, { column: column.title, ...params });
+  
+  if (kind === 'number') {
+    return values.map(filter => {
+      if (filter.operator !== 'between') return t('filter.chip.compare', { operator: filter.operator, value: filter.value });
+      if (!hasValue(filter.max)) return t('filter.chip.compare', { operator: '>=', value: filter.min });
+      if (!hasValue(filter.min)) return t('filter.chip.compare', { operator: '<=', value: filter.max });
+      return t('filter.chip.between', { min: filter.min, max: filter.max });
+    }).join(', ');
+  }
+
+  if (kind === 'select' || kind === 'tags') {
+    const labels = values.map(value => {
+      const option = (column.options || []).find(opt => String(opt.value) === String(value));
+      return option ? option.label : String(value);
+    });
+    return t('filter.chip.values', { values: labels.join(', ') });
+  }
+
+  if (kind === 'boolean') {
+    return t('filter.chip.values', { values: t(values[0] ? 'filter.yes' : 'filter.no') });
+  }
+
+  if (kind === 'date') {
+    // The filter's days are shown like the column's dates without a time
+    const formatDay = (day) => formatCellValue({ type: 'date', locale }, day);
+    const { from, to } = values[0];
+    if (from && to) return t('filter.chip.fromTo', { from: formatDay(from), to: formatDay(to) });
+    return from ? t('filter.chip.from', { from: formatDay(from) }) : t('filter.chip.until', { to: formatDay(to) });
+  }
+
+  return t('filter.chip.contains', { values: `"${values.join('", "')}"` });
+};
+
+/**
+ * Translate a column's filter values into server filters for serverMode
+ * @param {Object} column Column definition
+ * @param {Array} values Active filter values of the column
+ * @returns {Array} Filters of the form { field, operator, value }
+ */
+export const toServerFilters = (column, values) => {
+  const field = column.dataIndex;
+  const kind = getValueKind(column);
+
+  if (kind === 'number') {
+    const operators = { '=': 'eq', '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte' };
+    return values.flatMap(filter => {
+      if (filter.operator !== 'between') {
+        return [{ field, operator: operators[filter.operator], value: filter.value }];
+      }
+      return [
+        ...(hasValue(filter.min) ? [{ field, operator: 'gte', value: filter.min }] : []),
+        ...(hasValue(filter.max) ? [{ field, operator: 'lte', value: filter.max }] : []),
+      ];
+    });
+  }
+
+  if (kind === 'select') {
+    return [{ field, operator: 'in', value: values }];
+  }
+
+  // Rows with at least one of the tags
+  if (kind === 'tags') {
+    return [{ field, operator: 'ov', value: values }];
+  }
+
+  if (kind === 'boolean') {
+    return [{ field, operator: 'eq', value: values[0] }];
+  }
+
+  if (kind === 'date') {
+    const { from, to } = values[0];
+    // Compare against the start of the next day so datetimes on the last day are included
+    return [
+      ...(from ? [{ field, operator: 'gte', value: from }] : []),
+      ...(to ? [{ field, operator: 'lt', value: dayjs(to).add(1, 'day').format(DATE_FORMAT) }] : []),
+    ];
+  }
+
+  return values.map(value => ({ field, operator: 'ilike', value }));
+};
+
+/**
+ * Removable chips for the active column filters
+ * @param {Object} props Component props
+ * @param {Array} props.columns Column definitions
+ * @param {Object} props.filters Active filter values keyed by column
+ * @param {Function} props.onRemove Called with the column key whose filter is removed
+ * @param {Function} props.onClearAll Called to remove every filter
+ */
+export const FilterChips = ({ columns, filters, onRemove, onClearAll }) => {
+  const { t } = useLocale();
+  const active = columns.filter(column => filters[column.dataIndex] && filters[column.dataIndex].length > 0);
+  if (active.length === 0) return null;
+
+  return (
+    <div className="data-table-filter-chips">
+      {active.map(column => (
+        <Tag
+          key={column.dataIndex}
+          closable
+          onClose={(e) => {
+            e.preventDefault();
+            onRemove(column.dataIndex);
+          }}
+        >
+          {describeFilter(column, filters[column.dataIndex])}
+        </Tag>
+      ))}
+      {active.length > 1 && (
+        <Button type="link" size="small" onClick={onClearAll}>
+          {t('filter.clearAll')}
+        </Button>
+      )}
+    </div>
+  );
+};
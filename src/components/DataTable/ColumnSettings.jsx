@@ -0,0 +1,58 @@
+import React from 'react';
+import { Button, Checkbox, Popover, Segmented } from 'antd';
+import { SettingOutlined } from '@ant-design/icons';
+import { useLocale } from './i18n';
+
+const PIN_OPTIONS = ['left', 'none', 'right'];
+
+/**
+ * Toolbar popover to show/hide and pin columns
+ * @param {Object} props Component props
+ * @param {Array} props.columns Column definitions (for the titles)
+ * @param {Array} props.entries Layout entries in display order
+ * @param {Function} props.onChange Called with the updated entries
+ * @param {Function} props.onReset Called to go back to the default layout
+ */
+const ColumnSettings = ({ columns, entries, onChange, onReset }) => {
+  const { t } = useLocale();
+  const titles = Object.fromEntries(columns.map(column => [column.dataIndex, column.title]));
+  const visibleCount = entries.filter(entry => !entry.hidden).length;
+
+  const updateEntry = (key, changes) => {
+    onChange(entries.map(entry => (entry.key === key ? { ...entry, ...changes } : entry)));
+  };
+
+  const content = (
+    <div className="data-table-column-settings">
+      {entries.map(entry => (
+        <div key={entry.key} className="data-table-column-settings-row">
+          <Checkbox
+            checked={!entry.hidden}
+            // At least one column has to stay visible
+            disabled={!entry.hidden && visibleCount === 1}
+            onChange={(e) => updateEntry(entry.key, { hidden: !e.target.checked })}
+          >
+            {titles[entry.key]}
+          </Checkbox>
+          <Segmented
+            size="small"
+            options={PIN_OPTIONS.map(value => ({ label: t(`columns.${value}`), value }))}
+            value={entry.fixed || 'none'}
+            onChange={(value) => updateEntry(entry.key, { fixed: value === 'none' ? null : value })}
+          />
+        </div>
+      ))}
+      <Button size="small" onClick={onReset} style={{ marginTop: 8 }}>
+        {t('columns.reset')}
+      </Button>
+    </div>
+  );
+
+  return (
+    <Popover content={content} title={t('columns.title')} trigger="click" placement="bottomLeft">
+      <Button icon={<SettingOutlined />}>{t('columns.title')}</Button>
+    </Popover>
+  );
+};
+
+export default ColumnSettings;
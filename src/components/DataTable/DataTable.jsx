@@ -1,34 +1,222 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useId } from 'react';
 import { 
-  Table, Button, Input, Select, Checkbox, Modal, Form, 
+  Table, Button, Input, InputNumber, Select, Checkbox, Modal, Form, 
   Space, Tooltip, message 
 } from 'antd';
 import { 
-  EditOutlined, DeleteOutlined, PlusOutlined, 
-  ArrowUpOutlined, ArrowDownOutlined, SearchOutlined 
+  EditOutlined, DeleteOutlined, PlusOutlined, CopyOutlined, HolderOutlined,
+  ArrowUpOutlined, ArrowDownOutlined, UndoOutlined, RedoOutlined,
+  RightOutlined, DownOutlined, SearchOutlined, WarningOutlined 
 } from '@ant-design/icons';
+import EditableCell, { VirtualEditableCell } from './EditableCell';
+import ResizableHeaderCell from './ResizableHeaderCell';
+import ColumnSettings from './ColumnSettings';
+import FormattingRules from './FormattingRules';
+import DetailTable from './DetailTable';
+import { getLayoutEntries, applyColumnLayout, moveLayoutEntry } from './columnLayout';
+import { 
+  getColumnFilterProps, getDistinctValues, toServerFilters, FilterChips 
+} from './ColumnFilters';
+import { sortRows, updateSorts } from './sorting';
+import useUndoHistory from './useUndoHistory';
+import { 
+  getValidationRules, getValidationDependencies, describeValidation, validateValue 
+} from './validation';
+import { 
+  RICH_TYPES, TypedInput, renderCellValue, formatCellValue, getDecimalSeparator, getLookup, HighlightedText 
+} from './columnTypes';
+import { groupRows, isGroupRow, getGroup, isGroupable } from './grouping';
+import { getAggregate, hasAggregate, computeAggregate, formatAggregate } from './aggregates';
+import { 
+  getFormattingRules, getRowClassName, getCellClassName, getScaleRanges, getScaleStyle 
+} from './formatting';
+import { toTsv, parseTsv, toClipboardText, parseClipboardText } from './clipboard';
+import { searchRows, toServerSearch } from './search';
+import { buildFormulaGraph, evaluateFormulaRow, reevaluateFormulaRow } from './formulaGraph';
+import { FORMULA_ERRORS, isFormulaError } from './formulaErrors';
+import { LocaleProvider, translate, useLocale } from './i18n';
 import './DataTable.css';
 
+// Whether a column's cells can be edited in place
+const isCellEditable = (column) => !column.readOnly && column.type !== 'formula';
+
+// Targets of a key press or clipboard event that handle it themselves
+const TEXT_FIELDS = 'input, textarea, [contenteditable="true"]';
+
+// How many invalid cells a rejected paste or fill lists
+const MAX_LISTED_ERRORS = 3;
+
+// Milliseconds the quick search waits for typing to pause
+const SEARCH_DELAY = 250;
+
+// Rows PageUp and PageDown move in the virtual table, which has no pages
+const VIRTUAL_PAGE_ROWS = 10;
+
+// Field of the Actions cells in keyboard navigation
+const ACTIONS_FIELD = 'actions';
+
+// Name of the bulk update form's column choice; the value is entered under the
+// column's own dataIndex, so this must not be a possible dataIndex
+const BULK_FIELD = '__bulkField';
+
+const ARIA_SORT = { ascend: 'ascending', descend: 'descending' };
+
+// Default for formattingRules; a new [] on every render would reset the rules each time
+const NO_RULES = [];
+
+// Keys of the descriptions of the formula error codes
+const FORMULA_ERROR_KEYS = {
+  [FORMULA_ERRORS.DIV_ZERO]: 'formulaError.divZero',
+  [FORMULA_ERRORS.NAME]: 'formulaError.name',
+  [FORMULA_ERRORS.VALUE]: 'formulaError.value',
+  [FORMULA_ERRORS.REF]: 'formulaError.ref',
+  [FORMULA_ERRORS.CYCLE]: 'formulaError.cycle',
+  [FORMULA_ERRORS.NA]: 'formulaError.na',
+};
+
+// Key of a row returned by onAdd/onBulkAdd, or the temporary key if nothing was returned
+const getStoredKey = (stored, fallback) => {
+  if (!stored || typeof stored !== 'object') return fallback;
+  return stored.key ?? stored.id ?? fallback;
+};
+
+/**
+ * Build the query descriptor emitted through onQueryChange in serverMode
+ * @param {Array} columns Column definitions
+ * @param {Object} pagination Current page and page size
+ * @param {Object} filters Filter values keyed by column
+ * @param {Array} sorts Sort keys in priority order
+ * @param {string} nullsOrder Default position of empty values, 'first' or 'last'
+ * @param {Object|null} search Quick search from toServerSearch
+ * @returns {Object} { page, pageSize, sort: [{ field, order, nulls }], filters: [{ field, operator, value }],
+ *   search: { fields, value } or null }
+ */
+const buildServerQuery = (columns, pagination, filters, sorts, nullsOrder, search = null) => ({
+  page: pagination.current,
+  pageSize: pagination.pageSize,
+  search,
+  sort: sorts.map(({ columnKey, order }) => {
+    const column = columns.find(col => col.dataIndex === columnKey);
+    return {
+      field: columnKey,
+      order: order === 'descend' ? 'desc' : 'asc',
+      nulls: (column && column.nulls) || nullsOrder,
+    };
+  }),
+  filters: columns.flatMap(column => (
+    filters[column.dataIndex] && filters[column.dataIndex].length > 0 
+      ? toServerFilters(column, filters[column.dataIndex]) 
+      : []
+  )),
+});
+
 const DataTable = ({ 
-  tableName = 'Data Table',
+  tableName: tableNameProp,
   dataSource: initialData = [],
   columns: initialColumns = [],
   onSave,
   onDelete,
   onAdd,
   onUpdate,
+  onBulkDelete,
+  onBulkUpdate,
+  onBulkAdd,
+  onBatchUpdate,
+  selectionType = 'radio',
+  rowDragEnabled = true,
   formulaEnabled = true,
-  loading = false
+  inlineEditEnabled = true,
+  virtual = false,
+  scrollHeight = 600,
+  serverMode = false,
+  onQueryChange,
+  total = 0,
+  nullsOrder = 'last',
+  layout = null,
+  onLayoutChange,
+  titleExtra,
+  loadLookupOptions,
+  formattingRules = NO_RULES,
+  onFormattingRulesChange,
+  detail,
+  renderDetail,
+  toolbar = true,
+  rowActions = true,
+  addEnabled = true,
+  searchable = true,
+  loading = false,
+  locale: localeProp
 }) => {
+  // Without a locale prop, the one of a surrounding LocaleProvider (or English)
+  const contextLocale = useLocale().locale;
+  const locale = localeProp || contextLocale;
+  const t = (key, params) => translate(locale, key, params);
+  const tableName = tableNameProp || t('table.defaultName');
   const [dataSource, setDataSource] = useState([]);
-  const [columns, setColumns] = useState([]);
+  const [editingCell, setEditingCell] = useState(null);
   const [selectedRowKeys, setSelectedRowKeys] = useState([]);
   const [isDeleteModalVisible, setIsDeleteModalVisible] = useState(false);
   const [isEditModalVisible, setIsEditModalVisible] = useState(false);
   const [isAddModalVisible, setIsAddModalVisible] = useState(false);
   const [currentRecord, setCurrentRecord] = useState(null);
+  const [isBulkDeleteModalVisible, setIsBulkDeleteModalVisible] = useState(false);
+  const [isBulkUpdateModalVisible, setIsBulkUpdateModalVisible] = useState(false);
   const [form] = Form.useForm();
+  const [bulkForm] = Form.useForm();
   const [filters, setFilters] = useState({});
+  // Sort keys in priority order, e.g. [{ columnKey: 'category', order: 'ascend' }]
+  const [sorts, setSorts] = useState([]);
+  const [pagination, setPagination] = useState({ current: 1, pageSize: 20 });
+  const [dropTarget, setDropTarget] = useState(null);
+  const dragKeysRef = useRef([]);
+  // Whether Shift was held on the last header click (adds a secondary sort key)
+  const additiveSortRef = useRef(false);
+  // Column layout (visibility, order, width, pinning), see columnLayout.js
+  const [columnLayout, setColumnLayout] = useState(layout);
+  const [columnDropTarget, setColumnDropTarget] = useState(null);
+  const dragColumnKeyRef = useRef(null);
+  // Keys of the collapsed group header rows
+  const [collapsedGroups, setCollapsedGroups] = useState(new Set());
+  // Conditional formatting rules added in the rule editor, see formatting.js
+  const [tableRules, setTableRules] = useState(formattingRules);
+  const history = useUndoHistory();
+  // Latest rows, for history entries that run after later renders
+  const dataSourceRef = useRef(dataSource);
+  dataSourceRef.current = dataSource;
+  // Labels loaded through loadLookupOptions, by field and then String(value)
+  const [lookupLabels, setLookupLabels] = useState({});
+  // Lookup values whose labels were requested already, by field
+  const requestedLookupsRef = useRef({});
+  // Selected cell range, from the cell where the selection started to the one it extends to:
+  // { anchor: { key, field }, focus: { key, field } }
+  const [cellRange, setCellRange] = useState(null);
+  // Whether the mouse button is held down after starting a range
+  const rangeDragRef = useRef(false);
+  const containerRef = useRef(null);
+  // Quick search as typed, and the term the rows are searched for once typing pauses
+  const [searchText, setSearchText] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  // Term of the last server query, so only a changed term asks for new rows
+  const serverSearchRef = useRef('');
+  // Whether only rows with a formula error are shown
+  const [formulaErrorsOnly, setFormulaErrorsOnly] = useState(false);
+  // Grid cell with the keyboard focus (the table's one tab stop): { key, field }
+  const [activeCell, setActiveCell] = useState(null);
+  // Whether the active cell was moved by the keyboard, so it should also get the DOM focus
+  const focusPendingRef = useRef(false);
+  // Row position and field to focus once another page is shown (PageUp / PageDown)
+  const pageFocusRef = useRef(null);
+  // Text of the live region read out by screen readers
+  const [announcement, setAnnouncement] = useState('');
+  // Rows at the time filters or the search changed; their row count is announced once applied
+  const rowCountPendingRef = useRef(null);
+  const gridId = useId();
+  const tableRef = useRef(null);
+  // Rows computed by the formulas, by key, with the stored row each was computed from
+  const computedRowsRef = useRef({ graph: null, rows: new Map() });
+  
+  // serverMode always pages, since only one page of rows is loaded at a time
+  const isPaged = serverMode || !virtual;
 
   useEffect(() => {
     // Add key to each data item if not present
@@ -37,60 +225,647 @@ const DataTable = ({
       key: item.key || item.id || index.toString(),
     }));
     setDataSource(dataWithKeys);
+  }, [initialData]);
+
+  // A range is extended by dragging until the mouse button is released, wherever that happens
+  useEffect(() => {
+    const endRangeDrag = () => { rangeDragRef.current = false; };
+    document.addEventListener('mouseup', endRangeDrag);
+    return () => document.removeEventListener('mouseup', endRangeDrag);
+  }, []);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const term = searchText.trim();
+      if (term === searchTerm) return;
+      rowCountPendingRef.current = { rows: dataSourceRef.current };
+      setSearchTerm(term);
+    }, SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [searchText]);
+
+  // In serverMode a new search asks the parent for the first page of matches
+  useEffect(() => {
+    if (!serverMode || searchTerm === serverSearchRef.current) return;
+    
+    serverSearchRef.current = searchTerm;
+    const firstPage = { ...pagination, current: 1 };
+    setPagination(firstPage);
+    if (onQueryChange) {
+      onQueryChange(buildServerQuery(tableColumns, firstPage, filters, sorts, nullsOrder, getServerSearch()));
+    }
+  }, [searchTerm]);
+
+  // A different view was picked by the parent
+  useEffect(() => {
+    setColumnLayout(layout);
+  }, [layout]);
+
+  // The parent loaded another table's rules
+  useEffect(() => {
+    setTableRules(formattingRules);
+  }, [formattingRules]);
+
+  // Filters and sorting belong to the columns, so start over when they change
+  useEffect(() => {
+    setFilters({});
+    setSorts([]);
+    setSelectedRowKeys([]);
+    setCellRange(null);
+    setSearchText('');
+    setSearchTerm('');
+    serverSearchRef.current = '';
+    setFormulaErrorsOnly(false);
+    // Changes to another table's rows cannot be undone here
+    history.clear();
+    setLookupLabels({});
+    requestedLookupsRef.current = {};
+    
+    // In serverMode the parent loads the rows, so ask it for the first page
+    if (serverMode) {
+      const firstPage = { ...pagination, current: 1 };
+      setPagination(firstPage);
+      if (onQueryChange) {
+        onQueryChange(buildServerQuery(initialColumns, firstPage, {}, [], nullsOrder));
+      }
+    }
+  }, [initialColumns, serverMode]);
+
+  const mergeLookupLabels = (field, options) => {
+    setLookupLabels(prev => ({
+      ...prev,
+      [field]: { ...prev[field], ...Object.fromEntries(options.map(option => [String(option.value), option.label])) },
+    }));
+  };
+
+  // Columns with the table's locale, for the helpers that format and validate their values,
+  // and with their lookup labels resolved: labels embedded in the rows (e.g. row.categories.name)
+  // and those loaded through loadLookupOptions
+  const tableColumns = useMemo(() => initialColumns.map(column => {
+    if (column.type !== 'lookup') return { ...column, locale };
+    
+    const { alias, labelField } = getLookup(column);
+    const labels = new Map();
+    dataSource.forEach(row => {
+      const embedded = row[alias];
+      const value = row[column.dataIndex];
+      if (embedded && embedded[labelField] != null && value !== undefined && value !== null) {
+        labels.set(String(value), String(embedded[labelField]));
+      }
+    });
+    Object.entries(lookupLabels[column.dataIndex] || {}).forEach(([value, label]) => labels.set(value, label));
+    
+    return {
+      ...column,
+      locale,
+      lookupLabels: labels,
+      // The values in use, so the filter checklist and sorting show labels
+      options: column.options || getDistinctValues(dataSource, column.dataIndex)
+        .map(value => ({ value, label: labels.get(String(value)) ?? String(value) }))
+        .sort((a, b) => a.label.localeCompare(b.label)),
+      loadOptions: column.loadOptions || (loadLookupOptions && (async (search) => {
+        const options = await loadLookupOptions(column.lookup, { search });
+        mergeLookupLabels(column.dataIndex, options);
+        return options;
+      })),
+    };
+  }), [initialColumns, dataSource, lookupLabels, loadLookupOptions, locale]);
+
+  // Load the labels of lookup values that the rows don't embed, each value once
+  useEffect(() => {
+    if (!loadLookupOptions) return;
+    
+    tableColumns.filter(column => column.type === 'lookup').forEach(column => {
+      const field = column.dataIndex;
+      const requested = requestedLookupsRef.current[field] || new Set();
+      requestedLookupsRef.current[field] = requested;
+      
+      const missing = getDistinctValues(dataSource, field)
+        .filter(value => !column.lookupLabels.has(String(value)) && !requested.has(String(value)));
+      if (missing.length === 0) return;
+      
+      missing.forEach(value => requested.add(String(value)));
+      loadLookupOptions(column.lookup, { values: missing })
+        .then(options => mergeLookupLabels(field, options))
+        .catch(error => console.error(`❌ Failed to load labels for ${column.title}:`, error));
+    });
+  }, [tableColumns]);
+
+  // Checklist values for select and tags columns that don't declare their options
+  const distinctValues = useMemo(() => {
+    const values = {};
+    tableColumns
+      .filter(column => (column.type === 'select' || column.type === 'tags') && 
+        !(column.options && column.options.length > 0))
+      .forEach(column => {
+        values[column.dataIndex] = getDistinctValues(dataSource, column.dataIndex);
+      });
+    return values;
+  }, [dataSource, tableColumns]);
+
+  // Columns as arranged by the current layout (hidden ones left out)
+  const layoutEntries = getLayoutEntries(tableColumns, columnLayout);
+  const layoutColumns = applyColumnLayout(tableColumns, columnLayout);
+  // Formatting rules declared on the columns plus the table's
+  const rules = useMemo(() => getFormattingRules(tableColumns, tableRules), [tableColumns, tableRules]);
+
+  // Fields the rows are grouped by, outermost first; saved with the layout
+  const groupBy = ((columnLayout && columnLayout.groupBy) || [])
+    .filter(field => tableColumns.some(column => column.dataIndex === field));
+  const isGrouped = groupBy.length > 0;
+
+  // Dependency graph of the formula columns, see formulaGraph.js; formulas may use
+  // the fields of the table's columns
+  const formulaGraph = useMemo(() => {
+    const formulaColumns = initialColumns.filter(column => column.type === 'formula' && column.formula);
+    if (!formulaEnabled || formulaColumns.length === 0) return null;
+    return buildFormulaGraph(
+      Object.fromEntries(formulaColumns.map(column => [column.dataIndex, column.formula])),
+      initialColumns.map(column => column.dataIndex)
+    );
+  }, [initialColumns, formulaEnabled]);
+
+  // Rows with their formula values: these are shown, sorted, filtered, searched and
+  // copied, while the stored rows are the ones written. Unchanged rows keep their
+  // computed values; in a changed row only the formulas using the changed fields run again.
+  const computedData = useMemo(() => {
+    if (!formulaGraph) return dataSource;
+    
+    const previous = computedRowsRef.current.graph === formulaGraph ? computedRowsRef.current.rows : new Map();
+    const rows = new Map();
+    const computed = dataSource.map(row => {
+      const cached = previous.get(row.key);
+      let result;
+      if (cached && cached.source === row) {
+        result = cached.result;
+      } else if (cached) {
+        result = reevaluateFormulaRow(formulaGraph, row, cached.source, cached.result);
+      } else {
+        result = evaluateFormulaRow(formulaGraph, row);
+      }
+      rows.set(row.key, { source: row, result });
+      return result;
+    });
+    computedRowsRef.current = { graph: formulaGraph, rows };
+    return computed;
+  }, [dataSource, formulaGraph]);
+
+  const hasFormulaError = (row) => Boolean(formulaGraph) && 
+    Object.keys(formulaGraph.formulas).some(field => isFormulaError(row[field]));
+
+  // Rows with a formula error, for the error filter; it filters the loaded rows, so not in serverMode
+  const formulaErrorCount = useMemo(
+    () => (serverMode ? 0 : computedData.filter(hasFormulaError).length),
+    [computedData, formulaGraph, serverMode]
+  );
+
+  // Rows in the current sort order; in serverMode they already arrive sorted
+  const sortedData = useMemo(
+    () => (serverMode ? computedData : sortRows(computedData, sorts, tableColumns, nullsOrder)),
+    [computedData, sorts, tableColumns, nullsOrder, serverMode]
+  );
+
+  // Rows that match the quick search (and, with the error filter on, have a formula error),
+  // in the current sort order; the server searches in serverMode
+  const searchedData = useMemo(() => {
+    if (serverMode) return sortedData;
+    const matches = searchRows(sortedData, layoutColumns, searchTerm);
+    return formulaErrorsOnly ? matches.filter(hasFormulaError) : matches;
+  }, [sortedData, searchTerm, formulaErrorsOnly, columnLayout, tableColumns, serverMode]);
+
+  // The quick search of the server query, over the visible text columns
+  const getServerSearch = () => toServerSearch(layoutColumns, searchTerm);
+
+  // Every change to the rows goes through one of the write* functions below, which
+  // update the local rows and call the matching callback. Undo and redo use them too,
+  // so reverting a change reaches the database the same way as the change itself.
+  const setRows = (newData) => {
+    dataSourceRef.current = newData;
+    setDataSource(newData);
+  };
+
+  // Keys under which the rows embed the rows referenced by lookup columns
+  const lookupAliases = initialColumns
+    .filter(column => column.type === 'lookup')
+    .map(column => ({ field: column.dataIndex, alias: getLookup(column).alias }));
 
-    // Set up columns with sorting, filtering and render functions
-    const processedColumns = processColumns(initialColumns);
-    setColumns(processedColumns);
-  }, [initialData, initialColumns]);
+  // Apply edited values to a row; an embedded lookup row is dropped once its key changes
+  const mergeValues = (item, values) => {
+    const merged = { ...item, ...values };
+    lookupAliases.forEach(({ field, alias }) => {
+      if (field in values) delete merged[alias];
+    });
+    return merged;
+  };
+
+  // Embedded lookup rows are not columns of the table, so they are not written
+  const withoutEmbeds = (record) => {
+    const copy = { ...record };
+    lookupAliases.forEach(({ alias }) => delete copy[alias]);
+    return copy;
+  };
+
+  // Run the callbacks of a write; when they fail, the rows go back to how they were
+  // before it, so the table matches the database again and the change can be retried
+  const persist = async (previousRows, save) => {
+    try {
+      return await save();
+    } catch (error) {
+      setRows(previousRows);
+      throw error;
+    }
+  };
+
+  // Save changed fields, given as [{ key, values }]; a batch of them goes to onBatchUpdate at once
+  const writeUpdates = async (updates, batch = false) => {
+    const valuesByKey = new Map(updates.map(update => [update.key, update.values]));
+    const newData = dataSourceRef.current.map(item => (
+      valuesByKey.has(item.key) ? mergeValues(item, valuesByKey.get(item.key)) : item
+    ));
+    const previousRows = dataSourceRef.current;
+    setRows(newData);
+    
+    await persist(previousRows, async () => {
+      if (batch && onBatchUpdate) {
+        await onBatchUpdate(updates, newData);
+      } else if (onSave) {
+        await Promise.all(updates.map(({ key, values }) => onSave(values, key, newData)));
+      }
+    });
+  };
+
+  // Save the same values on several rows
+  const writeBulkUpdate = async (keys, patch) => {
+    const keySet = new Set(keys);
+    const newData = dataSourceRef.current.map(item => (keySet.has(item.key) ? mergeValues(item, patch) : item));
+    const previousRows = dataSourceRef.current;
+    setRows(newData);
+    
+    await persist(previousRows, async () => {
+      if (onBulkUpdate) {
+        await onBulkUpdate(keys, patch, newData);
+      } else if (onSave) {
+        await Promise.all(keys.map(key => onSave(patch, key, newData)));
+      }
+    });
+  };
+
+  // Insert rows at the end, or at the given (ascending) positions when restoring deleted rows.
+  // Resolves with the rows' keys, which are the stored ones if onAdd/onBulkAdd returned the saved rows.
+  const writeInserts = async (records, { bulk = false, positions } = {}) => {
+    const previousRows = dataSourceRef.current;
+    const newData = [...previousRows];
+    if (positions) {
+      records.forEach((record, index) => newData.splice(Math.min(positions[index], newData.length), 0, record));
+    } else {
+      newData.push(...records);
+    }
+    setRows(newData);
+    
+    const stored = await persist(previousRows, async () => {
+      if (bulk && onBulkAdd) return onBulkAdd(records.map(withoutEmbeds), newData);
+      if (onAdd) return Promise.all(records.map(record => onAdd(withoutEmbeds(record), newData)));
+      return [];
+    });
+    
+    const keys = records.map((record, index) => getStoredKey(stored && stored[index], record.key));
+    
+    // Rows keep their temporary key until the parent passes in the stored rows
+    const renamed = new Map(records.map((record, index) => [record.key, keys[index]]));
+    if (records.some((record, index) => record.key !== keys[index])) {
+      setRows(dataSourceRef.current.map(item => (
+        renamed.has(item.key) ? { ...item, key: renamed.get(item.key) } : item
+      )));
+      setSelectedRowKeys(prev => prev.map(key => renamed.get(key) ?? key));
+    }
+    return keys;
+  };
+
+  const writeDeletes = async (keys, bulk = false) => {
+    const keySet = new Set(keys);
+    const previousRows = dataSourceRef.current;
+    const newData = previousRows.filter(item => !keySet.has(item.key));
+    setRows(newData);
+    setSelectedRowKeys(prev => prev.filter(key => !keySet.has(key)));
+    
+    await persist(previousRows, async () => {
+      if (bulk && onBulkDelete) {
+        await onBulkDelete(keys, newData);
+      } else if (onDelete) {
+        await Promise.all(keys.map(key => onDelete(key, newData)));
+      }
+    });
+  };
+
+  // Put the rows in the given key order
+  const writeOrder = async (keys) => {
+    const previousRows = dataSourceRef.current;
+    const rowsByKey = new Map(previousRows.map(item => [item.key, item]));
+    const keySet = new Set(keys);
+    const newData = [
+      ...keys.filter(key => rowsByKey.has(key)).map(key => rowsByKey.get(key)),
+      // Rows added since the order was recorded stay at the end
+      ...previousRows.filter(item => !keySet.has(item.key)),
+    ];
+    setRows(newData);
+    
+    if (onUpdate) {
+      await persist(previousRows, () => onUpdate(newData));
+    }
+  };
+
+  // Read a message out through the live region; a repeated message is changed
+  // slightly, or screen readers would not read it again
+  const announce = (text) => {
+    setAnnouncement(prev => (prev === text ? `${text}\u00a0` : text));
+  };
+
+  const describeFailure = (label, error) => (error && error.message 
+    ? t('table.failedWithError', { label, error: error.message }) 
+    : t('table.failed', { label }));
+
+  // Announce whether the writes of a change succeeded, passing on the result
+  const announceResult = (promise, label) => promise.then(
+    (result) => {
+      announce(t('table.saved', { label }));
+      return result;
+    },
+    (error) => {
+      announce(describeFailure(label, error));
+      throw error;
+    }
+  );
+
+  // Show the outcome of a change once its writes are done: the success message only
+  // if they all succeeded, otherwise the error
+  const reportChange = async (change, label, successText) => {
+    try {
+      await change;
+      if (successText) message.success(successText);
+    } catch (error) {
+      message.error(describeFailure(label, error));
+    }
+  };
+
+  // Apply a change through its redo write; only once that succeeded is it pushed to the
+  // history, so a failed change leaves nothing to undo
+  const commitChange = (entry) => announceResult(
+    entry.redo().then(() => history.push(entry)),
+    entry.label
+  );
+
+  // The functions below apply a change and push the writes that revert and repeat it
+  const changeRows = (keys, values, label, bulk = false) => {
+    const keySet = new Set(keys);
+    const previous = dataSourceRef.current
+      .filter(item => keySet.has(item.key))
+      .map(item => ({
+        key: item.key,
+        values: Object.fromEntries(Object.keys(values).map(field => [field, item[field]])),
+      }));
+    const apply = () => (bulk 
+      ? writeBulkUpdate(keys, values) 
+      : writeUpdates(keys.map(key => ({ key, values }))));
+    
+    return commitChange({ label, undo: () => writeUpdates(previous), redo: apply });
+  };
+
+  // Update cells of several rows and append new rows as one change (paste, fill down)
+  const changeCells = (updates, records, label) => {
+    const rowsByKey = new Map(dataSourceRef.current.map(item => [item.key, item]));
+    const previous = updates.map(({ key, values }) => ({
+      key,
+      values: Object.fromEntries(Object.keys(values).map(field => [field, rowsByKey.get(key)[field]])),
+    }));
+    let added = records;
+    const apply = async () => {
+      if (updates.length > 0) await writeUpdates(updates, true);
+      if (added.length > 0) {
+        try {
+          const keys = await writeInserts(added, { bulk: true });
+          added = added.map((record, index) => ({ ...record, key: keys[index] }));
+        } catch (error) {
+          // The cells were saved already; revert them so no half of the change remains
+          if (updates.length > 0) await writeUpdates(previous, true);
+          throw error;
+        }
+      }
+    };
+    
+    return commitChange({
+      label,
+      undo: async () => {
+        if (added.length > 0) await writeDeletes(added.map(record => record.key), true);
+        if (previous.length > 0) await writeUpdates(previous, true);
+      },
+      redo: apply,
+    });
+  };
+
+  const addRows = (records, label, bulk = false) => {
+    // Undo deletes the rows by the keys they were stored under
+    let added = records;
+    const insert = async () => {
+      const keys = await writeInserts(added, { bulk });
+      added = added.map((record, index) => ({ ...record, key: keys[index] }));
+    };
+    
+    return commitChange({ label, undo: () => writeDeletes(added.map(record => record.key), bulk), redo: insert });
+  };
+
+  const deleteRows = (keys, label, bulk = false) => {
+    const keySet = new Set(keys);
+    let deleted = [];
+    dataSourceRef.current.forEach((record, index) => {
+      if (keySet.has(record.key)) deleted.push({ record, index });
+    });
+    const remove = () => writeDeletes(deleted.map(item => item.record.key), bulk);
+    
+    return commitChange({
+      label,
+      undo: async () => {
+        const storedKeys = await writeInserts(deleted.map(item => item.record), {
+          bulk,
+          positions: deleted.map(item => item.index),
+        });
+        deleted = deleted.map((item, index) => ({ ...item, record: { ...item.record, key: storedKeys[index] } }));
+      },
+      redo: remove,
+    });
+  };
+
+  const reorderTo = (keys, label) => {
+    const previous = dataSourceRef.current.map(item => item.key);
+    return commitChange({ label, undo: () => writeOrder(previous), redo: () => writeOrder(keys) });
+  };
+
+  const handleUndo = () => {
+    history.undo()
+      .then(entry => {
+        if (!entry) return;
+        message.info(t('table.undone', { label: entry.label }));
+        announce(t('table.undone', { label: entry.label }));
+      })
+      .catch(error => {
+        message.error(t('table.undoFailed', { error: error.message }));
+        announce(t('table.undoFailed', { error: error.message }));
+      });
+  };
+
+  const handleRedo = () => {
+    history.redo()
+      .then(entry => {
+        if (!entry) return;
+        message.info(t('table.redone', { label: entry.label }));
+        announce(t('table.redone', { label: entry.label }));
+      })
+      .catch(error => {
+        message.error(t('table.redoFailed', { error: error.message }));
+        announce(t('table.redoFailed', { error: error.message }));
+      });
+  };
+
+  // Shortcuts anywhere in the table (Cmd instead of Ctrl on macOS): the grid keys on a
+  // focused cell, Ctrl+Z / Ctrl+Shift+Z undo and redo, Ctrl+D fills the selected range
+  // down, Escape clears it
+  const handleTableKeyDown = (e) => {
+    // Already handled by a table nested in an expanded row
+    if (e.defaultPrevented) return;
+    // Text fields keep their own shortcuts
+    if (e.target.closest(TEXT_FIELDS)) return;
+    
+    if (handleGridKeyDown(e)) return;
+    
+    const isCommand = e.ctrlKey || e.metaKey;
+    const key = e.key.toLowerCase();
+    if (isCommand && key === 'z') {
+      e.preventDefault();
+      if (e.shiftKey) {
+        handleRedo();
+      } else {
+        handleUndo();
+      }
+    } else if (isCommand && key === 'd' && selectedRange) {
+      e.preventDefault();
+      fillDown();
+    } else if (key === 'escape' && cellRange) {
+      setCellRange(null);
+    }
+  };
+
+  // Commit an inline cell edit and save only the changed field
+  const handleCellCommit = (record, column, value, action) => {
+    const editableColumns = layoutColumns.filter(isCellEditable);
+    
+    // Tab moves the editor to the next (or previous) editable cell in the row
+    let nextCell = null;
+    if (action === 'tab' || action === 'shiftTab') {
+      const index = editableColumns.findIndex(col => col.dataIndex === column.dataIndex);
+      const next = editableColumns[index + (action === 'tab' ? 1 : -1)];
+      if (next) {
+        nextCell = { key: record.key, dataIndex: next.dataIndex };
+      }
+    }
+    setEditingCell(nextCell);
+    
+    if (record[column.dataIndex] === value) return;
+    
+    const label = t('history.editField', { column: column.title });
+    reportChange(changeRows([record.key], { [column.dataIndex]: value }, label), label);
+  };
+
+  // Cell text with the quick search matches marked
+  const renderSearchText = (text) => (searchTerm && text !== undefined && text !== null 
+    ? <HighlightedText text={String(text)} search={searchTerm} /> 
+    : text);
+
+  // A formula error by its code; the tooltip says what failed, in which expression and column
+  const renderFormulaError = (error) => {
+    const source = tableColumns.find(col => col.dataIndex === error.field);
+    const column = source ? source.title : error.field;
+    return (
+      <Tooltip 
+        title={
+          <>
+            <div>{error.code} {t(FORMULA_ERROR_KEYS[error.code])}</div>
+            <div>
+              {error.expression 
+                ? t('formulaError.source', { expression: error.expression, column }) 
+                : t('formulaError.sourceField', { column })}
+            </div>
+            <div>{error.message}</div>
+          </>
+        }
+      >
+        <span className="data-table-formula-error">{error.code}</span>
+      </Tooltip>
+    );
+  };
 
   // Process column definitions to add filtering, sorting and render functions
   const processColumns = (cols) => {
     return cols.map(column => {
+      const { onFilter, ...filterProps } = getColumnFilterProps(column, distinctValues[column.dataIndex]);
+      const sortIndex = sorts.findIndex(sort => sort.columnKey === column.dataIndex);
+      
       const baseColumn = {
         ...column,
-        title: column.title,
         dataIndex: column.dataIndex,
         key: column.dataIndex,
-        sorter: (a, b) => {
-          if (typeof a[column.dataIndex] === 'number') {
-            return a[column.dataIndex] - b[column.dataIndex];
-          }
-          return (a[column.dataIndex] || '').localeCompare(b[column.dataIndex] || '');
-        },
-        filterDropdown: ({ setSelectedKeys, selectedKeys, confirm, clearFilters }) => (
-          <div style={{ padding: 8 }}>
-            <Input
-              placeholder={`Search ${column.title}`}
-              value={selectedKeys[0]}
-              onChange={(e) => setSelectedKeys(e.target.value ? [e.target.value] : [])}
-              onPressEnter={() => confirm()}
-              style={{ width: 188, marginBottom: 8, display: 'block' }}
-            />
-            <Space>
-              <Button
-                type="primary"
-                onClick={() => confirm()}
-                icon={<SearchOutlined />}
-                size="small"
-                style={{ width: 90 }}
-              >
-                Search
-              </Button>
-              <Button onClick={() => clearFilters()} size="small" style={{ width: 90 }}>
-                Reset
-              </Button>
-            </Space>
-          </div>
-        ),
-        onFilter: (value, record) => {
-          const cellValue = record[column.dataIndex];
-          return cellValue
-            ? cellValue.toString().toLowerCase().includes(value.toLowerCase())
-            : false;
-        },
-        filterIcon: filtered => (
-          <SearchOutlined style={{ color: filtered ? '#1890ff' : undefined }} />
-        ),
+        onCell: (record) => ({
+          record,
+          column,
+          // Conditional formatting: state classes from the rules, color scale as background
+          className: [
+            getCellClassName(rules, column.dataIndex, record),
+            isInRange(record, column) ? 'data-table-cell-in-range' : '',
+          ].filter(Boolean).join(' ') || undefined,
+          style: getScaleStyle(scaleRanges[column.dataIndex], record[column.dataIndex]),
+          rules: getValidationRules(column, { columns: tableColumns, records: [record] }),
+          editable: inlineEditEnabled && isCellEditable(column),
+          editing: Boolean(editingCell) && 
+            editingCell.key === record.key && 
+            editingCell.dataIndex === column.dataIndex,
+          onStartEdit: () => setEditingCell({ key: record.key, dataIndex: column.dataIndex }),
+          onCommit: (value, action) => handleCellCommit(record, column, value, action),
+          onCancel: () => setEditingCell(null),
+          onMouseDown: (e) => handleRangeMouseDown(e, record, column),
+          onMouseEnter: () => handleRangeMouseEnter(record, column),
+          ...getGridCellProps(record, column.dataIndex),
+        }),
+        // Rows are sorted by sortRows (or the server), antd only shows and reports the state.
+        // `multiple` keeps every sorted column's arrow; its value is the priority
+        title: sortIndex >= 0 && sorts.length > 1 ? (
+          <span>
+            {column.title}
+            <span className="data-table-sort-priority">{sortIndex + 1}</span>
+          </span>
+        ) : column.title,
+        sorter: { multiple: sortIndex >= 0 ? sorts.length - sortIndex : 0 },
+        sortOrder: sortIndex >= 0 ? sorts[sortIndex].order : null,
+        showSorterTooltip: { title: t('table.sortTooltip') },
+        onHeaderCell: () => ({
+          'aria-sort': sortIndex >= 0 ? ARIA_SORT[sorts[sortIndex].order] : 'none',
+          onClickCapture: (e) => { additiveSortRef.current = e.shiftKey; },
+          onKeyDownCapture: (e) => { additiveSortRef.current = e.shiftKey; },
+          // Drag headers to reorder columns, drag the right edge to resize
+          draggable: true,
+          onDragStart: (e) => handleColumnDragStart(e, column),
+          onDragOver: (e) => handleColumnDragOver(e, column),
+          onDrop: (e) => handleColumnDrop(e, column),
+          onDragEnd: handleColumnDragEnd,
+          className: columnDropTarget && columnDropTarget.key === column.dataIndex 
+            ? `data-table-column-drop-${columnDropTarget.position}` 
+            : undefined,
+          onResize: (width) => resizeColumn(column.dataIndex, width, false),
+          onResizeEnd: (width) => resizeColumn(column.dataIndex, width, true),
+        }),
+        // Filters are controlled so the chips above the table can remove them
+        filteredValue: filters[column.dataIndex] || null,
+        ...filterProps,
+        // In serverMode the rows arrive filtered, the dropdowns only report the filter state.
+        // Grouped rows are filtered before grouping, so the headers stay.
+        onFilter: serverMode || isGrouped ? undefined : onFilter,
       };
       
       // Add custom render based on column type
@@ -98,12 +873,12 @@ const DataTable = ({
         case 'number':
           return {
             ...baseColumn,
-            render: (text) => <span>{text}</span>,
+            render: (value) => <span>{renderSearchText(formatCellValue(column, value))}</span>,
           };
         case 'select':
           return {
             ...baseColumn,
-            render: (text) => <span>{text}</span>,
+            render: (text) => <span>{renderSearchText(text)}</span>,
           };
         case 'checkbox':
           return {
@@ -111,67 +886,192 @@ const DataTable = ({
             render: (checked) => <Checkbox checked={checked} disabled />,
           };
         case 'formula':
+          // The values were computed with the rows (computedData)
           return {
             ...baseColumn,
-            render: (text, record) => {
-              if (!formulaEnabled) return <span>{text}</span>;
-              try {
-                // This is a simple example of formula evaluation
-                // In a real app, you would use a more robust formula parser
-                const formula = column.formula || '';
-                if (!formula) return <span>{text}</span>;
-                
-                // Example: =SUM(field1,field2)
-                if (formula.startsWith('=SUM(') && formula.endsWith(')')) {
-                  const fields = formula.substring(5, formula.length - 1).split(',');
-                  const sum = fields.reduce((acc, field) => {
-                    const value = parseFloat(record[field.trim()]) || 0;
-                    return acc + value;
-                  }, 0);
-                  return <span>{sum}</span>;
-                }
-                
-                return <span>{text}</span>;
-              } catch (e) {
-                console.error('Formula evaluation error:', e);
-                return <span>Error</span>;
-              }
-            },
+            // The database can't sort or filter by values computed in the browser
+            ...(serverMode ? { sorter: false, filterDropdown: undefined, filterIcon: undefined } : {}),
+            render: (value) => (isFormulaError(value) 
+              ? renderFormulaError(value) 
+              : <span>{renderSearchText(formatCellValue(column, value))}</span>),
           };
         default:
+          if (RICH_TYPES.includes(column.type)) {
+            return {
+              ...baseColumn,
+              render: (value) => renderCellValue(column, value, searchTerm),
+            };
+          }
           return {
             ...baseColumn,
-            render: (text) => <span>{text}</span>,
+            render: (text) => <span>{renderSearchText(text)}</span>,
           };
       }
-    }).concat({
-      title: 'Actions',
+    }).map((column, index) => (isGrouped ? withGroupCells(column, index, cols) : column)).concat(rowActions ? {
+      title: t('table.actions'),
       key: 'actions',
-      render: (_, record) => (
+      fixed: cols.some(column => column.fixed === 'right') ? 'right' : undefined,
+      // The group label may reach over to this column
+      onCell: (record) => {
+        if (isGroupRow(record)) return getGroupLabelSpan(cols) > cols.length ? { colSpan: 0 } : {};
+        return getGridCellProps(record, ACTIONS_FIELD);
+      },
+      // The buttons are not tab stops of their own: Enter and Delete on the cell do the same
+      render: (_, record) => isGroupRow(record) ? null : (
         <Space size="middle">
-          <Tooltip title="Edit">
+          <Tooltip title={t('table.edit')}>
             <Button
               icon={<EditOutlined />}
               onClick={() => handleEdit(record)}
               type="link"
+              tabIndex={-1}
+              aria-label={t('table.editRow')}
             />
           </Tooltip>
-          <Tooltip title="Delete">
+          <Tooltip title={t('table.delete')}>
             <Button
               icon={<DeleteOutlined />}
               onClick={() => showDeleteConfirm(record)}
               type="link"
               danger
+              tabIndex={-1}
+              aria-label={t('table.deleteRow')}
             />
           </Tooltip>
         </Space>
       ),
+    } : []);
+  };
+
+  // Number of columns the group label takes up: the columns up to the first one
+  // with an aggregate, or all of them (including Actions) without aggregates
+  const getGroupLabelSpan = (cols) => {
+    const index = cols.findIndex((column, i) => i > 0 && hasAggregate(column));
+    return index === -1 ? cols.length + (rowActions ? 1 : 0) : index;
+  };
+
+  const toggleGroup = (key) => {
+    setCollapsedGroups(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
     });
   };
 
+  // Group header rows show the group in the first column and the aggregates below their columns
+  const withGroupCells = (column, index, cols) => {
+    const { onCell, render } = column;
+    const labelSpan = getGroupLabelSpan(cols);
+    
+    return {
+      ...column,
+      onCell: (record) => {
+        if (!isGroupRow(record)) return onCell(record);
+        if (index === 0) return { colSpan: labelSpan, ...getGridCellProps(record, column.dataIndex) };
+        return index < labelSpan ? { colSpan: 0 } : {};
+      },
+      render: (value, record, rowIndex) => {
+        if (!isGroupRow(record)) return render(value, record, rowIndex);
+        
+        const group = getGroup(record);
+        if (index === 0) {
+          const groupColumn = tableColumns.find(col => col.dataIndex === group.field);
+          return (
+            <span className="data-table-group-label" style={{ paddingLeft: group.level * 20 }}>
+              <Button
+                type="text"
+                size="small"
+                icon={group.collapsed ? <RightOutlined /> : <DownOutlined />}
+                onClick={() => toggleGroup(record.key)}
+                tabIndex={-1}
+                aria-expanded={!group.collapsed}
+                aria-label={t(group.collapsed ? 'table.expandGroup' : 'table.collapseGroup')}
+              />
+              <span className="data-table-group-title">{groupColumn.title}: {group.label}</span>
+              <span className="data-table-group-count">{group.count}</span>
+              {hasAggregate(column) && renderAggregate(column, group.aggregates[column.dataIndex])}
+            </span>
+          );
+        }
+        return hasAggregate(column) ? renderAggregate(column, group.aggregates[column.dataIndex]) : null;
+      },
+    };
+  };
+
+  const renderAggregate = (column, value) => (
+    <span className="data-table-aggregate">
+      <span className="data-table-aggregate-label">{getAggregate(column).label}</span>
+      {formatAggregate(column, value)}
+    </span>
+  );
+
+  // Move a set of rows before or after a target row and report the new order
+  const reorderRows = (keys, targetKey, position) => {
+    const keySet = new Set(keys);
+    const movingRows = dataSource.filter(item => keySet.has(item.key));
+    const remainingRows = dataSource.filter(item => !keySet.has(item.key));
+    
+    let index = remainingRows.findIndex(item => item.key === targetKey);
+    if (index === -1) return;
+    if (position === 'after') index += 1;
+    
+    const newData = [
+      ...remainingRows.slice(0, index),
+      ...movingRows,
+      ...remainingRows.slice(index),
+    ];
+    
+    const label = keys.length === 1 ? t('history.moveRow') : t('history.moveRows', { count: keys.length });
+    reportChange(reorderTo(newData.map(item => item.key), label), label);
+  };
+
+  const handleDragStart = (e, record) => {
+    // Dragging a selected row moves the whole selection, in its current order
+    const selectedKeySet = new Set(selectedRowKeys);
+    const keys = selectedKeySet.has(record.key)
+      ? dataSource.filter(item => selectedKeySet.has(item.key)).map(item => item.key)
+      : [record.key];
+    
+    dragKeysRef.current = keys;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', keys.join(','));
+  };
+
+  const handleDragEnd = () => {
+    dragKeysRef.current = [];
+    setDropTarget(null);
+  };
+
+  const handleRowDragOver = (e, record) => {
+    if (dragKeysRef.current.length === 0) return;
+    e.preventDefault();
+    
+    // Drop above or below the row depending on which half the pointer is over
+    const rect = e.currentTarget.getBoundingClientRect();
+    const position = e.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+    
+    if (!dropTarget || dropTarget.key !== record.key || dropTarget.position !== position) {
+      setDropTarget({ key: record.key, position });
+    }
+  };
+
+  const handleRowDrop = (e, record) => {
+    e.preventDefault();
+    const keys = dragKeysRef.current;
+    const position = dropTarget ? dropTarget.position : 'before';
+    handleDragEnd();
+    
+    if (keys.length === 0 || keys.includes(record.key)) return;
+    reorderRows(keys, record.key, position);
+  };
+
   const moveRow = (direction) => {
     if (selectedRowKeys.length !== 1) {
-      message.warning('Please select exactly one row to move');
+      message.warning(t('table.selectOneRow'));
       return;
     }
 
@@ -193,10 +1093,8 @@ const DataTable = ({
     const item = newData.splice(index, 1)[0];
     newData.splice(newIndex, 0, item);
     
-    setDataSource(newData);
-    if (onUpdate) {
-      onUpdate(newData);
-    }
+    const label = t(direction === 'up' ? 'history.moveRowUp' : 'history.moveRowDown');
+    reportChange(reorderTo(newData.map(row => row.key), label), label);
   };
 
   const showDeleteConfirm = (record) => {
@@ -205,15 +1103,9 @@ const DataTable = ({
   };
 
   const handleDelete = () => {
-    const newData = dataSource.filter(item => item.key !== currentRecord.key);
-    setDataSource(newData);
     setIsDeleteModalVisible(false);
-    
-    if (onDelete) {
-      onDelete(currentRecord.key, newData);
-    }
-    
-    message.success('Record deleted successfully');
+    const label = t('history.deleteRecord');
+    reportChange(deleteRows([currentRecord.key], label), label, t('table.recordDeleted'));
   };
 
   const handleEdit = (record) => {
@@ -224,24 +1116,483 @@ const DataTable = ({
 
   const handleEditSave = () => {
     form.validateFields().then(values => {
-      const newData = dataSource.map(item => {
-        if (item.key === currentRecord.key) {
-          return { ...item, ...values };
+      setIsEditModalVisible(false);
+      const label = t('history.editRecord');
+      return reportChange(changeRows([currentRecord.key], values, label), label, t('table.recordUpdated'));
+    });
+  };
+
+  // Rows that pass the active column filters, in the current sort order
+  const getVisibleData = () => {
+    // The server already returned only the current page, filtered and sorted
+    if (serverMode) return computedData;
+    
+    const activeFilters = layoutColumns
+      .filter(column => filters[column.dataIndex] && filters[column.dataIndex].length > 0)
+      .map(column => ({
+        values: filters[column.dataIndex],
+        onFilter: getColumnFilterProps(column, distinctValues[column.dataIndex]).onFilter,
+      }))
+      .filter(filter => filter.onFilter);
+    
+    return searchedData.filter(record => activeFilters.every(({ values, onFilter }) => (
+      values.some(value => onFilter(value, record))
+    )));
+  };
+
+  const selectPage = () => {
+    setSelectedRowKeys(shownRows.filter(item => !isGroupRow(item)).map(item => item.key));
+  };
+
+  const selectAllMatching = () => {
+    setSelectedRowKeys(getVisibleData().map(item => item.key));
+  };
+
+  // Cell ranges span the rows in the order they are shown (without group headers)
+  // and the visible columns; they can be copied, pasted over and filled down
+  const getRangeRows = () => (isGrouped ? tableRows.filter(row => !isGroupRow(row)) : getVisibleData());
+
+  const isInRange = (record, column) => Boolean(selectedRange) && 
+    selectedRange.keys.has(record.key) && 
+    selectedRange.fields.has(column.dataIndex);
+
+  // Click selects a cell, Shift+click or dragging extends the range
+  const handleRangeMouseDown = (e, record, column) => {
+    if (e.button !== 0 || e.target.closest(`${TEXT_FIELDS}, button, a, .ant-select, .ant-picker`)) return;
+    if (editingCell && editingCell.key === record.key && editingCell.dataIndex === column.dataIndex) return;
+    
+    // Instead of selecting the cells' text; the cell takes the focus for the shortcuts
+    e.preventDefault();
+    window.getSelection().removeAllRanges();
+    e.currentTarget.focus({ preventScroll: true });
+    
+    const cell = { key: record.key, field: column.dataIndex };
+    setCellRange(prev => (e.shiftKey && prev ? { ...prev, focus: cell } : { anchor: cell, focus: cell }));
+    rangeDragRef.current = true;
+  };
+
+  const handleRangeMouseEnter = (record, column) => {
+    if (!rangeDragRef.current) return;
+    setCellRange(prev => (!prev || (prev.focus.key === record.key && prev.focus.field === column.dataIndex) 
+      ? prev 
+      : { ...prev, focus: { key: record.key, field: column.dataIndex } }));
+  };
+
+  // Error messages for the changed cells; new rows are checked in full, like in the Add modal
+  const getCellErrors = async (updates, records, rowNumbers) => {
+    const rowsByKey = new Map(dataSourceRef.current.map(item => [item.key, item]));
+    const checks = [
+      ...updates.map(({ key, values }, index) => ({
+        row: { ...rowsByKey.get(key), ...values },
+        fields: Object.keys(values),
+        number: rowNumbers[index],
+      })),
+      ...records.map((record, index) => ({
+        row: record,
+        fields: tableColumns.filter(isCellEditable).map(column => column.dataIndex),
+        number: rowNumbers[updates.length + index],
+      })),
+    ];
+    
+    const errors = await Promise.all(checks.flatMap(({ row, fields, number }) => fields.map(async field => {
+      const column = tableColumns.find(col => col.dataIndex === field);
+      const error = await validateValue(column, row[field], { columns: tableColumns, record: row });
+      return error && t('table.rowError', { row: number, error });
+    })));
+    return errors.filter(Boolean);
+  };
+
+  const showCellErrors = (action, errors) => {
+    const listed = errors.slice(0, MAX_LISTED_ERRORS).join('; ');
+    const text = t('table.changeCancelled', {
+      action,
+      errors: errors.length > MAX_LISTED_ERRORS 
+        ? t('table.moreErrors', { errors: listed, count: errors.length - MAX_LISTED_ERRORS }) 
+        : listed,
+    });
+    message.error(text);
+    announce(text);
+  };
+
+  // Ctrl+C copies the selected range as TSV
+  const handleCopy = (e) => {
+    if (e.defaultPrevented || !selectedRange || e.target.closest(TEXT_FIELDS)) return;
+    
+    e.preventDefault();
+    e.clipboardData.setData('text/plain', toTsv(selectedRange.records.map(record => (
+      selectedRange.columns.map(column => toClipboardText(column, record[column.dataIndex]))
+    ))));
+    const cells = t('table.cells', { count: selectedRange.records.length * selectedRange.columns.length });
+    message.success(t('table.copied', { cells }));
+  };
+
+  // Ctrl+V pastes TSV into the range
+  const handlePaste = (e) => {
+    if (e.defaultPrevented || !selectedRange || e.target.closest(TEXT_FIELDS)) return;
+    
+    const grid = parseTsv(e.clipboardData.getData('text/plain'));
+    if (grid.length === 0) return;
+    e.preventDefault();
+    pasteCells(grid);
+  };
+
+  // Pasted cells overwrite the cells from the range's top left corner on; rows past the
+  // last one are added, columns past the last one are dropped. A single value fills the range.
+  const pasteCells = async (grid) => {
+    const { rows, top, bottom, left, right } = selectedRange;
+    const isSingleValue = grid.length === 1 && grid[0].length === 1;
+    const height = isSingleValue ? bottom - top + 1 : grid.length;
+    const targetColumns = layoutColumns.slice(left, isSingleValue ? right + 1 : left + Math.max(...grid.map(row => row.length)));
+    
+    const updates = [];
+    const records = [];
+    const parseErrors = [];
+    const baseKey = Date.now();
+    for (let i = 0; i < height; i += 1) {
+      const record = rows[top + i];
+      const values = {};
+      targetColumns.forEach((column, j) => {
+        const text = isSingleValue ? grid[0][0] : grid[i][j];
+        // Read-only cells and the cells a short row leaves out keep their values
+        if (text === undefined || !isCellEditable(column)) return;
+        
+        const { value, error } = parseClipboardText(column, text);
+        if (error) {
+          parseErrors.push(t('table.rowError', { row: top + i + 1, error }));
+        } else if (!record || record[column.dataIndex] !== value) {
+          values[column.dataIndex] = value;
         }
-        return item;
       });
       
-      setDataSource(newData);
-      setIsEditModalVisible(false);
+      if (!record) {
+        records.push({ ...values, key: `${baseKey}-${i}` });
+      } else if (Object.keys(values).length > 0) {
+        updates.push({ key: record.key, values, number: top + i + 1 });
+      }
+    }
+    
+    const rowNumbers = [...updates.map(update => update.number), ...records.map((_, index) => rows.length + index + 1)];
+    let errors = parseErrors;
+    try {
+      if (errors.length === 0) errors = await getCellErrors(updates, records, rowNumbers);
+    } catch (error) {
+      message.error(describeFailure(t('table.paste'), error));
+      return;
+    }
+    if (errors.length > 0) {
+      showCellErrors(t('table.paste'), errors);
+      return;
+    }
+    if (updates.length === 0 && records.length === 0) return;
+    
+    // The range covers the pasted cells that were already there
+    const lastRow = rows[Math.min(top + height, rows.length) - 1];
+    setCellRange({
+      anchor: { key: rows[top].key, field: targetColumns[0].dataIndex },
+      focus: { key: lastRow.key, field: targetColumns[targetColumns.length - 1].dataIndex },
+    });
+    
+    const cells = t('table.cells', {
+      count: updates.reduce((count, update) => count + Object.keys(update.values).length, 0),
+    });
+    const newRows = t('table.rows', { count: records.length });
+    const label = records.length > 0 
+      ? t('history.pasteWithRows', { cells, rows: newRows }) 
+      : t('history.paste', { cells });
+    const pasted = records.length > 0 
+      ? t('table.pastedWithRows', { cells, rows: newRows }) 
+      : t('table.pasted', { cells });
+    await reportChange(changeCells(updates.map(({ key, values }) => ({ key, values })), records, label), label, pasted);
+  };
+
+  // Ctrl+D copies the top row of the range into the rows below it,
+  // or the row above into a range of one row
+  const fillDown = async () => {
+    const { rows, top, bottom, columns: rangeColumns } = selectedRange;
+    const sourceIndex = top === bottom ? top - 1 : top;
+    if (sourceIndex < 0) return;
+    
+    const source = rows[sourceIndex];
+    const fields = rangeColumns.filter(isCellEditable).map(column => column.dataIndex);
+    const updates = rows.slice(sourceIndex + 1, bottom + 1)
+      .map((record, index) => ({
+        key: record.key,
+        values: Object.fromEntries(fields
+          .filter(field => record[field] !== source[field])
+          .map(field => [field, source[field]])),
+        number: sourceIndex + index + 2,
+      }))
+      .filter(update => Object.keys(update.values).length > 0);
+    if (updates.length === 0) return;
+    
+    let errors;
+    try {
+      errors = await getCellErrors(updates, [], updates.map(update => update.number));
+    } catch (error) {
+      message.error(describeFailure(t('table.fillDown'), error));
+      return;
+    }
+    if (errors.length > 0) {
+      showCellErrors(t('table.fillDown'), errors);
+      return;
+    }
+    
+    const cells = t('table.cells', {
+      count: updates.reduce((count, update) => count + Object.keys(update.values).length, 0),
+    });
+    const label = t('history.fillDown', { cells });
+    await reportChange(changeCells(updates.map(({ key, values }) => ({ key, values })), [], label), label, t('table.filledDown', { cells }));
+  };
+
+  // Keyboard navigation follows the WAI-ARIA grid pattern: the table is one tab stop,
+  // the arrow keys move between the cells of the shown rows (group headers only have
+  // their label cell), and only the active cell has tabIndex 0
+  const getGridCellProps = (record, field) => ({
+    role: 'gridcell',
+    'data-grid-cell': gridId,
+    'data-field': field,
+    tabIndex: tabStop && tabStop.key === record.key && tabStop.field === field ? 0 : -1,
+    onFocus: (e) => {
+      if (e.target !== e.currentTarget) return;
+      setActiveCell(prev => (prev && prev.key === record.key && prev.field === field 
+        ? prev 
+        : { key: record.key, field }));
+    },
+  });
+
+  // Fields of the cells a row can be navigated through, in order
+  const gridFields = [
+    ...layoutColumns.map(column => column.dataIndex),
+    ...(rowActions ? [ACTIONS_FIELD] : []),
+  ];
+
+  const findGridCell = ({ key, field }) => containerRef.current && containerRef.current.querySelector(
+    `[data-row-key="${CSS.escape(String(key))}"] [data-grid-cell="${CSS.escape(gridId)}"][data-field="${CSS.escape(field)}"]`
+  );
+
+  // Make a cell the active one and give it the focus; Shift extends the selected range
+  const moveToCell = (record, field, extend = false) => {
+    const cell = { key: record.key, field: isGroupRow(record) ? gridFields[0] : field };
+    focusPendingRef.current = true;
+    setActiveCell(cell);
+    if (!isGroupRow(record) && field !== ACTIONS_FIELD) {
+      setCellRange(prev => (extend && prev ? { ...prev, focus: cell } : { anchor: cell, focus: cell }));
+    }
+  };
+
+  const changePage = (page) => {
+    const newPagination = { ...pagination, current: page };
+    setPagination(newPagination);
+    if (serverMode && onQueryChange) {
+      onQueryChange(buildServerQuery(tableColumns, newPagination, filters, sorts, nullsOrder, getServerSearch()));
+    }
+  };
+
+  const toggleRowSelection = (key) => {
+    const isSelected = selectedRowKeys.includes(key);
+    if (selectionType === 'checkbox') {
+      const newKeys = isSelected ? selectedRowKeys.filter(item => item !== key) : [...selectedRowKeys, key];
+      setSelectedRowKeys(newKeys);
+      announce(t(isSelected ? 'table.rowDeselectedCount' : 'table.rowSelectedCount', { count: newKeys.length }));
+    } else if (!isSelected) {
+      setSelectedRowKeys([key]);
+      announce(t('table.rowSelected'));
+    }
+  };
+
+  // Keys on the active cell; returns whether the key was handled
+  const handleGridKeyDown = (e) => {
+    if (!activeCell || e.target.getAttribute('data-grid-cell') !== gridId) return false;
+    
+    const rowIndex = shownRows.findIndex(row => row.key === activeCell.key);
+    const fieldIndex = gridFields.indexOf(activeCell.field);
+    if (rowIndex === -1 || fieldIndex === -1) return false;
+    
+    const record = shownRows[rowIndex];
+    const lastRow = shownRows.length - 1;
+    const lastField = gridFields.length - 1;
+    const isCommand = e.ctrlKey || e.metaKey;
+    const moveTo = (index, field) => moveToCell(shownRows[Math.max(0, Math.min(index, lastRow))], field, e.shiftKey);
+    const moveToField = (index) => moveTo(rowIndex, gridFields[Math.max(0, Math.min(index, lastField))]);
+    
+    switch (e.key) {
+      case 'ArrowUp':
+        moveTo(rowIndex - 1, activeCell.field);
+        break;
+      case 'ArrowDown':
+        moveTo(rowIndex + 1, activeCell.field);
+        break;
+      case 'ArrowLeft':
+        moveToField(fieldIndex - 1);
+        break;
+      case 'ArrowRight':
+        moveToField(fieldIndex + 1);
+        break;
+      case 'Home':
+        if (isCommand) moveTo(0, gridFields[0]);
+        else moveToField(0);
+        break;
+      case 'End':
+        if (isCommand) moveTo(lastRow, gridFields[lastField]);
+        else moveToField(lastField);
+        break;
+      case 'PageUp':
+      case 'PageDown': {
+        const direction = e.key === 'PageUp' ? -1 : 1;
+        if (!isPaged) {
+          moveTo(rowIndex + direction * VIRTUAL_PAGE_ROWS, activeCell.field);
+          break;
+        }
+        // Same row position on the previous or next page
+        const page = pagination.current + direction;
+        if (page < 1 || page > Math.ceil(rowCount / pagination.pageSize)) break;
+        pageFocusRef.current = { index: rowIndex, field: activeCell.field, rows: dataSourceRef.current };
+        changePage(page);
+        break;
+      }
+      case ' ':
+        if (isGroupRow(record)) toggleGroup(record.key);
+        else toggleRowSelection(record.key);
+        break;
+      case 'Enter': {
+        // Editable cells start their editor themselves
+        if (isGroupRow(record)) toggleGroup(record.key);
+        else if (rowActions) handleEdit(record);
+        else return false;
+        break;
+      }
+      case 'Delete':
+        if (isGroupRow(record) || !rowActions) return false;
+        if (selectionType === 'checkbox' && selectedRowKeys.length > 1 && selectedRowKeys.includes(record.key)) {
+          setIsBulkDeleteModalVisible(true);
+        } else {
+          showDeleteConfirm(record);
+        }
+        break;
+      default:
+        return false;
+    }
+    e.preventDefault();
+    return true;
+  };
+
+  const describeSorts = (newSorts) => {
+    if (newSorts.length === 0) return t('table.sortCleared');
+    return t('table.sortedBy', {
+      sorts: newSorts.map(({ columnKey, order }) => {
+        const column = tableColumns.find(col => col.dataIndex === columnKey);
+        const title = column ? column.title : columnKey;
+        return t(order === 'descend' ? 'table.sortDescending' : 'table.sortAscending', { column: title });
+      }).join(t('table.sortSeparator')),
+    });
+  };
+
+  const handleTableChange = (newPagination, newFilters, sorter, extra) => {
+    let newSorts = sorts;
+    if (extra.action === 'sort') {
+      // antd reports every sorted column; the clicked one is the column whose order changed
+      const orders = {};
+      [].concat(sorter).forEach(item => {
+        if (item && item.order) orders[item.columnKey] = item.order;
+      });
+      const columnKey = [...Object.keys(orders), ...sorts.map(sort => sort.columnKey)]
+        .find(key => (orders[key] || null) !== (sorts.find(sort => sort.columnKey === key)?.order || null));
       
-      if (onSave) {
-        onSave(values, currentRecord.key, newData);
+      if (columnKey) {
+        newSorts = updateSorts(sorts, columnKey, orders[columnKey] || null, additiveSortRef.current);
+        announce(describeSorts(newSorts));
       }
+      additiveSortRef.current = false;
+    }
+    if (extra.action === 'filter') {
+      rowCountPendingRef.current = { rows: dataSourceRef.current };
+    }
+    
+    // The virtual table renders every row in one scroll area without paging
+    if (isPaged) {
+      setPagination({ current: newPagination.current, pageSize: newPagination.pageSize });
+    }
+    setFilters(newFilters);
+    setSorts(newSorts);
+    
+    if (serverMode && onQueryChange) {
+      onQueryChange(buildServerQuery(tableColumns, newPagination, newFilters, newSorts, nullsOrder, getServerSearch()));
+    }
+  };
+
+  const toggleFormulaErrors = () => {
+    rowCountPendingRef.current = { rows: dataSourceRef.current };
+    setFormulaErrorsOnly(prev => !prev);
+    if (isPaged) {
+      setPagination(prev => ({ ...prev, current: 1 }));
+    }
+  };
+
+  // Replace the filters from outside the dropdowns (the filter chips)
+  const applyFilters = (newFilters) => {
+    const firstPage = { ...pagination, current: 1 };
+    rowCountPendingRef.current = { rows: dataSourceRef.current };
+    setFilters(newFilters);
+    if (isPaged) {
+      setPagination(firstPage);
+    }
+    
+    if (serverMode && onQueryChange) {
+      onQueryChange(buildServerQuery(tableColumns, firstPage, newFilters, sorts, nullsOrder, getServerSearch()));
+    }
+  };
+
+  const handleBulkDelete = () => {
+    const keys = [...selectedRowKeys];
+    
+    setSelectedRowKeys([]);
+    setIsBulkDeleteModalVisible(false);
+    const label = t('history.deleteRecords', { count: keys.length });
+    reportChange(deleteRows(keys, label, true), label, t('table.recordsDeleted', { count: keys.length }));
+  };
+
+  const showBulkUpdateModal = () => {
+    bulkForm.resetFields();
+    setIsBulkUpdateModalVisible(true);
+  };
+
+  const handleBulkUpdateSave = () => {
+    bulkForm.validateFields().then(values => {
+      const column = tableColumns.find(col => col.dataIndex === values[BULK_FIELD]);
+      const input = values[column.dataIndex];
+      // An emptied number clears the field rather than setting it to 0
+      const isEmpty = input === undefined || input === null || input === '';
+      const value = column.type === 'number' ? (isEmpty ? null : Number(input)) : input;
+      const patch = { [column.dataIndex]: value };
+      const keys = [...selectedRowKeys];
       
-      message.success('Record updated successfully');
+      setIsBulkUpdateModalVisible(false);
+      const label = t('history.setField', { column: column.title, count: keys.length });
+      return reportChange(changeRows(keys, patch, label, true), label, t('table.recordsUpdated', { count: keys.length }));
     });
   };
 
+  const handleBulkDuplicate = () => {
+    // Primary keys and derived fields are assigned by the database
+    const omitFields = ['id', 'key', ...tableColumns
+      .filter(col => !isCellEditable(col))
+      .map(col => col.dataIndex)];
+    const keySet = new Set(selectedRowKeys);
+    const baseKey = Date.now();
+    
+    const newRecords = dataSource
+      .filter(item => keySet.has(item.key))
+      .map((item, index) => {
+        const copy = { ...item };
+        omitFields.forEach(field => delete copy[field]);
+        return { ...copy, key: `${baseKey}-${index}` };
+      });
+    
+    setSelectedRowKeys(newRecords.map(item => item.key));
+    const label = t('history.duplicate', { count: newRecords.length });
+    reportChange(addRows(newRecords, label, true), label, t('table.recordsDuplicated', { count: newRecords.length }));
+  };
+
   const showAddModal = () => {
     form.resetFields();
     setIsAddModalVisible(true);
@@ -255,79 +1606,39 @@ const DataTable = ({
         key: newKey,
       };
       
-      const newData = [...dataSource, newRecord];
-      setDataSource(newData);
       setIsAddModalVisible(false);
-      
-      if (onAdd) {
-        onAdd(newRecord, newData);
-      }
-      
-      message.success('Record added successfully');
+      const label = t('history.addRecord');
+      return reportChange(addRows([newRecord], label), label, t('table.recordAdded'));
     });
   };
 
-  const renderFormItem = (column) => {
-    // Build validation rules
-    const rules = [];
-    
-    // Required validation
-    if (column.required) {
-      rules.push({ 
-        required: true, 
-        message: `${column.title} is required` 
-      });
-    }
+  // A formula column's value for the values of a form
+  const getFormValue = (column, values) => (
+    formulaGraph ? evaluateFormulaRow(formulaGraph, values)[column.dataIndex] : values[column.dataIndex]
+  );
+
+  // Form field for a column; `records` are the rows being edited, for cross-field rules
+  const renderFormItem = (column, records = []) => {
+    const itemProps = {
+      name: column.dataIndex,
+      label: column.title,
+      rules: getValidationRules(column, { columns: tableColumns, records }),
+      dependencies: getValidationDependencies(column, tableColumns),
+      tooltip: describeValidation(column, tableColumns),
+    };
     
-    // Type-specific validation
     switch (column.type) {
       case 'number':
-        rules.push({ 
-          type: 'number',
-          transform: (value) => Number(value),
-          message: `${column.title} must be a valid number` 
-        });
-        
-        if (column.dataIndex === 'price' || column.dataIndex === 'cost') {
-          rules.push({
-            validator: (_, value) => {
-              if (value < 0) {
-                return Promise.reject(`${column.title} cannot be negative`);
-              }
-              return Promise.resolve();
-            }
-          });
-        }
-        
-        if (column.dataIndex === 'quantity' || column.dataIndex === 'reorder_level') {
-          rules.push({
-            validator: (_, value) => {
-              if (value < 0 || !Number.isInteger(Number(value))) {
-                return Promise.reject(`${column.title} must be a non-negative integer`);
-              }
-              return Promise.resolve();
-            }
-          });
-        }
-        
-        return <Form.Item 
-          name={column.dataIndex}
-          label={column.title}
-          rules={rules}
-          tooltip={column.dataIndex === 'price' || column.dataIndex === 'cost' ? 
-            "Enter a non-negative number" : 
-            column.dataIndex === 'quantity' || column.dataIndex === 'reorder_level' ? 
-            "Enter a non-negative integer" : null}
-        >
-          <Input type="number" disabled={column.readOnly} />
+        return <Form.Item key={column.dataIndex} {...itemProps}>
+          <InputNumber 
+            disabled={column.readOnly} 
+            decimalSeparator={getDecimalSeparator(locale)} 
+            style={{ width: '100%' }} 
+          />
         </Form.Item>;
         
       case 'select':
-        return <Form.Item 
-          name={column.dataIndex}
-          label={column.title}
-          rules={rules}
-        >
+        return <Form.Item key={column.dataIndex} {...itemProps}>
           <Select disabled={column.readOnly}>
             {(column.options || []).map(option => (
               <Select.Option key={option.value} value={option.value}>
@@ -338,144 +1649,593 @@ const DataTable = ({
         </Form.Item>;
         
       case 'checkbox':
-        return <Form.Item 
-          name={column.dataIndex}
-          label={column.title}
-          valuePropName="checked"
-          rules={rules}
-        >
+        return <Form.Item key={column.dataIndex} {...itemProps} valuePropName="checked">
           <Checkbox disabled={column.readOnly} />
         </Form.Item>;
         
+      case 'formula':
+        // Computed from the form's values as they are typed; not one of the saved values
+        return <Form.Item key={column.dataIndex} noStyle shouldUpdate>
+          {({ getFieldsValue }) => {
+            const value = getFormValue(column, { ...records[0], ...getFieldsValue() });
+            const error = isFormulaError(value);
+            return <Form.Item 
+              label={column.title} 
+              tooltip={column.formula} 
+              validateStatus={error ? 'error' : undefined} 
+              help={error ? `${t(FORMULA_ERROR_KEYS[value.code])}: ${value.message}` : undefined}
+            >
+              <Input readOnly value={formatCellValue(column, value)} />
+            </Form.Item>;
+          }}
+        </Form.Item>;
+        
       case 'text':
       default:
-        // Add text-specific validation
-        if (column.dataIndex === 'sku') {
-          rules.push({
-            min: 3,
-            message: 'SKU must be at least 3 characters'
-          });
-        }
-        
-        if (column.dataIndex === 'name') {
-          rules.push({
-            min: 2,
-            message: 'Name must be at least 2 characters'
-          });
-        }
-        
-        if (column.dataIndex === 'email') {
-          rules.push({
-            type: 'email',
-            message: 'Please enter a valid email address'
-          });
-        }
-        
-        return <Form.Item 
-          name={column.dataIndex}
-          label={column.title}
-          rules={rules}
-          tooltip={column.dataIndex === 'sku' ? 
-            "Enter a unique product identifier (min 3 chars)" : 
-            column.dataIndex === 'name' ? 
-            "Enter product name (min 2 chars)" : null}
-        >
-          <Input disabled={column.readOnly} />
+        return <Form.Item key={column.dataIndex} {...itemProps}>
+          {RICH_TYPES.includes(column.type)
+            ? <TypedInput column={column} disabled={column.readOnly} />
+            : <Input disabled={column.readOnly} />}
         </Form.Item>;
     }
   };
 
+  // Update the column layout; `commit` reports it to the parent (not while resizing)
+  const changeLayout = (entries, commit = true) => {
+    const newLayout = { ...columnLayout, columns: entries };
+    setColumnLayout(newLayout);
+    if (commit && onLayoutChange) {
+      onLayoutChange(newLayout);
+    }
+  };
+
+  // Resetting the columns keeps the grouping
+  const resetLayout = () => {
+    const newLayout = isGrouped ? { groupBy } : null;
+    setColumnLayout(newLayout);
+    if (onLayoutChange) {
+      onLayoutChange(newLayout);
+    }
+  };
+
+  const changeFormattingRules = (newRules) => {
+    setTableRules(newRules);
+    if (onFormattingRulesChange) {
+      onFormattingRulesChange(newRules);
+    }
+  };
+
+  const changeGroupBy = (fields) => {
+    const newLayout = { ...columnLayout, columns: layoutEntries, groupBy: fields };
+    setColumnLayout(newLayout);
+    if (onLayoutChange) {
+      onLayoutChange(newLayout);
+    }
+  };
+
+  const collapseAllGroups = () => {
+    const headers = groupRows(getVisibleData(), groupBy, tableColumns, { sorts, nullsOrder });
+    setCollapsedGroups(new Set(headers.filter(isGroupRow).map(row => row.key)));
+  };
+
+  const resizeColumn = (key, width, commit) => {
+    changeLayout(layoutEntries.map(entry => (entry.key === key ? { ...entry, width } : entry)), commit);
+  };
+
+  const handleColumnDragStart = (e, column) => {
+    // Drags from inside the header (e.g. text in a filter dropdown) bubble up here too
+    if (e.target !== e.currentTarget) return;
+    
+    dragColumnKeyRef.current = column.dataIndex;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', column.dataIndex);
+  };
+
+  const handleColumnDragEnd = () => {
+    dragColumnKeyRef.current = null;
+    setColumnDropTarget(null);
+  };
+
+  const handleColumnDragOver = (e, column) => {
+    if (!dragColumnKeyRef.current) return;
+    e.preventDefault();
+    
+    // Drop left or right of the column depending on which half the pointer is over
+    const rect = e.currentTarget.getBoundingClientRect();
+    const position = e.clientX < rect.left + rect.width / 2 ? 'before' : 'after';
+    
+    if (!columnDropTarget || columnDropTarget.key !== column.dataIndex || columnDropTarget.position !== position) {
+      setColumnDropTarget({ key: column.dataIndex, position });
+    }
+  };
+
+  const handleColumnDrop = (e, column) => {
+    e.preventDefault();
+    const key = dragColumnKeyRef.current;
+    const position = columnDropTarget ? columnDropTarget.position : 'before';
+    handleColumnDragEnd();
+    
+    if (!key || key === column.dataIndex) return;
+    changeLayout(moveLayoutEntry(layoutEntries, key, column.dataIndex, position));
+  };
+
+  // Rows can only be dragged while the table shows them in their stored order
+  const canDragRows = sorts.length === 0 && !isGrouped;
+  const dragColumn = {
+    key: 'drag',
+    width: 40,
+    fixed: layoutColumns.some(column => column.fixed === 'left') ? 'left' : undefined,
+    align: 'center',
+    className: 'data-table-drag-column',
+    render: (_, record) => isGroupRow(record) ? null : (
+      <Tooltip title={t(canDragRows ? 'table.dragToReorder' : 'table.dragDisabled')}>
+        <span
+          className={`data-table-drag-handle${canDragRows ? '' : ' disabled'}`}
+          draggable={canDragRows}
+          onDragStart={(e) => handleDragStart(e, record)}
+          onDragEnd={handleDragEnd}
+          aria-label={t('table.dragToReorder')}
+        >
+          <HolderOutlined />
+        </span>
+      </Tooltip>
+    ),
+  };
+
+  // The footer shows the aggregates of the visible columns that declare one
+  const hasFooter = layoutColumns.some(hasAggregate);
+  const hasScales = rules.some(rule => rule.type === 'scale');
+
+  // Rows that pass the filters, needed for grouping, the footer aggregates, color scales and the search count
+  const visibleRows = useMemo(
+    () => (isGrouped || hasFooter || hasScales || searchTerm ? getVisibleData() : null),
+    [searchedData, computedData, filters, distinctValues, isGrouped, hasFooter, hasScales, searchTerm, columnLayout, serverMode]
+  );
+
+  const scaleRanges = useMemo(
+    () => (hasScales ? getScaleRanges(rules, visibleRows) : {}),
+    [rules, hasScales, visibleRows]
+  );
+
+  const columns = rowDragEnabled 
+    ? [dragColumn, ...processColumns(layoutColumns)] 
+    : processColumns(layoutColumns);
+
+  // The virtual table and pinned columns need a fixed scroll width; columns without a width get a default
+  const scrollWidth = columns.reduce((total, column) => total + (column.width || 150), 60);
+  const hasPinnedColumns = layoutColumns.some(column => column.fixed);
+
+  // Rows as shown: grouped rows are filtered here, ungrouped ones by the Table
+  const tableRows = useMemo(
+    () => (isGrouped 
+      ? groupRows(visibleRows, groupBy, tableColumns, { sorts, nullsOrder, collapsed: collapsedGroups }) 
+      : searchedData),
+    [visibleRows, searchedData, groupBy.join(), collapsedGroups, tableColumns, sorts, nullsOrder]
+  );
+
+  // Rows the grid shows, group headers included (the current page's when paged), how
+  // many rows there are to page through, and how many rows match the filters and search
+  const { shownRows, rowCount, matchCount } = useMemo(() => {
+    if (serverMode) return { shownRows: tableRows, rowCount: total, matchCount: total };
+    
+    const matchingRows = isGrouped ? visibleRows : getVisibleData();
+    const rows = isGrouped ? tableRows : matchingRows;
+    const { current, pageSize } = pagination;
+    return {
+      shownRows: isPaged ? rows.slice((current - 1) * pageSize, current * pageSize) : rows,
+      rowCount: rows.length,
+      matchCount: matchingRows.length,
+    };
+  }, [tableRows, visibleRows, searchedData, filters, distinctValues, columnLayout, pagination, total, serverMode, isPaged]);
+
+  // The grid's tab stop: the active cell while it is shown, else the first cell
+  const tabStop = useMemo(() => {
+    const activeRow = activeCell && shownRows.find(row => row.key === activeCell.key);
+    if (activeRow && (isGroupRow(activeRow) ? activeCell.field === gridFields[0] : gridFields.includes(activeCell.field))) {
+      return activeCell;
+    }
+    return shownRows.length > 0 ? { key: shownRows[0].key, field: gridFields[0] } : null;
+  }, [activeCell, shownRows, gridFields.join()]);
+
+  // Cells moved to with the keyboard get the DOM focus; the virtual table renders them first
+  useEffect(() => {
+    if (!focusPendingRef.current || !activeCell) return;
+    focusPendingRef.current = false;
+    
+    const focusCell = () => {
+      const cell = findGridCell(activeCell);
+      if (cell) cell.focus();
+    };
+    if (virtual && tableRef.current) {
+      tableRef.current.scrollTo({ key: activeCell.key });
+      requestAnimationFrame(focusCell);
+    } else {
+      focusCell();
+    }
+  }, [activeCell]);
+
+  // After PageUp / PageDown, focus the same row position once the other page's rows are shown
+  useEffect(() => {
+    const pending = pageFocusRef.current;
+    if (!pending || shownRows.length === 0 || (serverMode && pending.rows === dataSource)) return;
+    
+    pageFocusRef.current = null;
+    moveToCell(shownRows[Math.min(pending.index, shownRows.length - 1)], pending.field);
+  }, [shownRows]);
+
+  // Once filters or the search changed, tell screen reader users how many rows are left
+  useEffect(() => {
+    const pending = rowCountPendingRef.current;
+    if (!pending || (serverMode && pending.rows === dataSource)) return;
+    
+    rowCountPendingRef.current = null;
+    announce(serverMode 
+      ? t('table.matchingRows', { count: matchCount }) 
+      : t('table.rowsShown', { shown: matchCount, total: dataSource.length }));
+  }, [matchCount, filters, searchTerm, formulaErrorsOnly, dataSource]);
+
+  // The selected range with its rows and columns in display order; null once a cell
+  // of it is no longer shown (e.g. filtered out, deleted or its column hidden)
+  const selectedRange = useMemo(() => {
+    if (!cellRange) return null;
+    
+    const rows = getRangeRows();
+    const rowIndexes = [cellRange.anchor.key, cellRange.focus.key]
+      .map(key => rows.findIndex(row => row.key === key));
+    const columnIndexes = [cellRange.anchor.field, cellRange.focus.field]
+      .map(field => layoutColumns.findIndex(column => column.dataIndex === field));
+    if ([...rowIndexes, ...columnIndexes].includes(-1)) return null;
+    
+    const [top, bottom] = rowIndexes.sort((a, b) => a - b);
+    const [left, right] = columnIndexes.sort((a, b) => a - b);
+    const records = rows.slice(top, bottom + 1);
+    const rangeColumns = layoutColumns.slice(left, right + 1);
+    return {
+      rows, top, bottom, left, right, records, columns: rangeColumns,
+      keys: new Set(records.map(record => record.key)),
+      fields: new Set(rangeColumns.map(column => column.dataIndex)),
+    };
+  }, [cellRange, tableRows, searchedData, filters, distinctValues, columnLayout, tableColumns]);
+
+  const footerAggregates = useMemo(() => (hasFooter 
+    ? Object.fromEntries(layoutColumns
+      .filter(hasAggregate)
+      .map(column => [column.dataIndex, computeAggregate(column, visibleRows)])) 
+    : {}
+  ), [visibleRows, hasFooter, tableColumns, columnLayout]);
+
+  // Expanded rows show the row's detail: a custom component, or the related rows as a nested table
+  const isExpandable = Boolean(renderDetail || detail);
+  const expandable = isExpandable ? {
+    expandedRowRender: (record) => (renderDetail 
+      ? renderDetail(record) 
+      : <DetailTable detail={detail} record={record} />),
+    rowExpandable: (record) => !isGroupRow(record),
+  } : undefined;
+
+  // Footer cells line up with the columns: selection, expand and drag handle first, Actions last
+  const renderFooter = () => {
+    const leadingCount = 1 + (isExpandable ? 1 : 0) + (rowDragEnabled ? 1 : 0);
+    return (
+      <Table.Summary fixed>
+        <Table.Summary.Row className="data-table-footer-row">
+          <Table.Summary.Cell index={0} colSpan={leadingCount} />
+          {layoutColumns.map((column, index) => (
+            <Table.Summary.Cell key={column.dataIndex} index={leadingCount + index}>
+              {hasAggregate(column) 
+                ? renderAggregate(column, footerAggregates[column.dataIndex]) 
+                : index === 0 && (
+                  // In serverMode only the loaded page is known, not the total of all matching rows
+                  <span className="data-table-footer-label">{t(serverMode ? 'table.pageTotal' : 'table.total')}</span>
+                )}
+            </Table.Summary.Cell>
+          ))}
+          {rowActions && <Table.Summary.Cell index={leadingCount + layoutColumns.length} />}
+        </Table.Summary.Row>
+      </Table.Summary>
+    );
+  };
+
   return (
-    <div className="data-table-container">
-      <div className="data-table-header">
-        <h2>{tableName}</h2>
-        <Space>
-          <Button 
-            type="primary" 
-            icon={<PlusOutlined />} 
-            onClick={showAddModal}
-          >
-            Add New
-          </Button>
-        </Space>
-      </div>
+    <LocaleProvider locale={locale}>
+      {/* tabIndex lets a click anywhere in the table focus it, so the shortcuts and clipboard events reach it */}
+      <div 
+        ref={containerRef}
+        className="data-table-container" 
+        tabIndex={-1} 
+        onKeyDown={handleTableKeyDown}
+        onCopy={handleCopy}
+        onPaste={handlePaste}
+      >
+        <div className="data-table-header">
+          <div className="data-table-title">
+            <h2>{tableName}</h2>
+            {titleExtra}
+          </div>
+          <Space>
+            {(formulaErrorCount > 0 || formulaErrorsOnly) && (
+              <Tooltip title={t(formulaErrorsOnly ? 'formulaError.showAll' : 'formulaError.showErrors')}>
+                <Button
+                  danger
+                  type={formulaErrorsOnly ? 'primary' : 'default'}
+                  icon={<WarningOutlined />}
+                  onClick={toggleFormulaErrors}
+                  aria-pressed={formulaErrorsOnly}
+                >
+                  {t('formulaError.rows', { count: formulaErrorCount })}
+                </Button>
+              </Tooltip>
+            )}
+            {searchable && searchTerm && (
+              <span className="data-table-search-count" aria-live="polite">
+                {serverMode 
+                  ? t('table.matchingRows', { count: total }) 
+                  : t('table.searchCount', { shown: visibleRows.length, total: dataSource.length })}
+              </span>
+            )}
+            {searchable && (
+              <Input
+                allowClear
+                prefix={<SearchOutlined />}
+                placeholder={t('table.search')}
+                value={searchText}
+                onChange={(e) => setSearchText(e.target.value)}
+                aria-label={t('table.searchLabel', { table: tableName })}
+                style={{ width: 220 }}
+              />
+            )}
+            {addEnabled && (
+              <Button 
+                type="primary" 
+                icon={<PlusOutlined />} 
+                onClick={showAddModal}
+              >
+                {t('table.addNew')}
+              </Button>
+            )}
+          </Space>
+        </div>
       
-      <div className="data-table-actions">
-        <Space>
-          <Button 
-            icon={<ArrowUpOutlined />} 
-            onClick={() => moveRow('up')}
-            disabled={selectedRowKeys.length !== 1}
-          >
-            Move Up
-          </Button>
-          <Button 
-            icon={<ArrowDownOutlined />} 
-            onClick={() => moveRow('down')}
-            disabled={selectedRowKeys.length !== 1}
-          >
-            Move Down
-          </Button>
-        </Space>
-      </div>
+        {toolbar && <div className="data-table-actions">
+          <Space wrap>
+            <ColumnSettings
+              columns={tableColumns}
+              entries={layoutEntries}
+              onChange={changeLayout}
+              onReset={resetLayout}
+            />
+            <Select
+              mode="multiple"
+              allowClear
+              placeholder={t('table.groupBy')}
+              value={groupBy}
+              onChange={changeGroupBy}
+              options={tableColumns.filter(isGroupable).map(column => ({ value: column.dataIndex, label: column.title }))}
+              style={{ minWidth: 160 }}
+              maxTagCount="responsive"
+              aria-label={t('table.groupBy')}
+            />
+            <FormattingRules columns={tableColumns} rules={tableRules} onChange={changeFormattingRules} />
+            {isGrouped && (
+              <>
+                <Button onClick={() => setCollapsedGroups(new Set())}>{t('table.expandAll')}</Button>
+                <Button onClick={collapseAllGroups}>{t('table.collapseAll')}</Button>
+              </>
+            )}
+            <Tooltip 
+              title={history.nextUndo ? t('table.undoTooltip', { label: history.nextUndo.label }) : t('table.nothingToUndo')}
+            >
+              <Button icon={<UndoOutlined />} onClick={handleUndo} disabled={!history.canUndo}>
+                {t('table.undo')}
+              </Button>
+            </Tooltip>
+            <Tooltip 
+              title={history.nextRedo ? t('table.redoTooltip', { label: history.nextRedo.label }) : t('table.nothingToRedo')}
+            >
+              <Button icon={<RedoOutlined />} onClick={handleRedo} disabled={!history.canRedo}>
+                {t('table.redo')}
+              </Button>
+            </Tooltip>
+            <Button 
+              icon={<ArrowUpOutlined />} 
+              onClick={() => moveRow('up')}
+              disabled={selectedRowKeys.length !== 1}
+            >
+              {t('table.moveUp')}
+            </Button>
+            <Button 
+              icon={<ArrowDownOutlined />} 
+              onClick={() => moveRow('down')}
+              disabled={selectedRowKeys.length !== 1}
+            >
+              {t('table.moveDown')}
+            </Button>
+            {selectionType === 'checkbox' && selectedRowKeys.length > 0 && (
+              <>
+                <span className="data-table-selection-count">
+                  {t('table.selectedCount', { count: selectedRowKeys.length })}
+                </span>
+                <Button icon={<EditOutlined />} onClick={showBulkUpdateModal}>
+                  {t('table.setField')}
+                </Button>
+                <Button icon={<CopyOutlined />} onClick={handleBulkDuplicate}>
+                  {t('table.duplicate')}
+                </Button>
+                <Button 
+                  icon={<DeleteOutlined />} 
+                  onClick={() => setIsBulkDeleteModalVisible(true)}
+                  danger
+                >
+                  {t('table.deleteSelected')}
+                </Button>
+                <Button type="link" onClick={() => setSelectedRowKeys([])}>
+                  {t('table.clearSelection')}
+                </Button>
+              </>
+            )}
+          </Space>
+        </div>}
       
-      <Table
-        rowSelection={{
-          type: 'radio',
-          selectedRowKeys,
-          onChange: setSelectedRowKeys,
-        }}
-        columns={columns}
-        dataSource={dataSource}
-        pagination={{ pageSize: 20, showSizeChanger: true, pageSizeOptions: ['10', '20', '50', '100'] }}
-        // Remove horizontal scrolling to use full width
-        bordered
-        size="middle"
-        loading={loading}
-      />
+        <FilterChips
+          columns={tableColumns}
+          filters={filters}
+          onRemove={(key) => applyFilters({ ...filters, [key]: null })}
+          onClearAll={() => applyFilters({})}
+        />
       
-      {/* Delete Confirmation Modal */}
-      <Modal
-        title="Confirm Delete"
-        open={isDeleteModalVisible}
-        onOk={handleDelete}
-        onCancel={() => setIsDeleteModalVisible(false)}
-        okText="Yes, Delete"
-        cancelText="Cancel"
-      >
-        <p>Are you sure you want to delete this record?</p>
-      </Modal>
+        <div className="data-table-live-region" role="status" aria-live="polite" aria-atomic="true">
+          {announcement}
+        </div>
       
-      {/* Edit Modal */}
-      <Modal
-        title="Edit Record"
-        open={isEditModalVisible}
-        onOk={handleEditSave}
-        onCancel={() => setIsEditModalVisible(false)}
-        width={600}
-      >
-        <Form form={form} layout="vertical">
-          {columns
-            .filter(col => col.key !== 'actions')
-            .map(column => renderFormItem(column))}
-        </Form>
-      </Modal>
+        <Table
+          ref={tableRef}
+          role="grid"
+          aria-label={tableName}
+          aria-rowcount={rowCount + 1}
+          aria-multiselectable={selectionType === 'checkbox' || undefined}
+          components={{ 
+            header: { cell: ResizableHeaderCell },
+            body: { cell: virtual ? VirtualEditableCell : EditableCell } 
+          }}
+          rowSelection={{
+            type: selectionType,
+            selectedRowKeys,
+            onChange: setSelectedRowKeys,
+            // Space on a cell selects its row, so the checkboxes are no tab stops
+            getCheckboxProps: (record) => (isGroupRow(record) 
+              ? { disabled: true, style: { display: 'none' } } 
+              : { tabIndex: -1, 'aria-label': t('table.selectRow') }),
+            selections: selectionType === 'checkbox' ? [
+              ...(isPaged ? [{ key: 'page', text: t('table.selectPage'), onSelect: selectPage }] : []),
+              // Rows outside the loaded page are unknown in serverMode
+              ...(serverMode ? [] : [{ key: 'filtered', text: t('table.selectMatching'), onSelect: selectAllMatching }]),
+              Table.SELECTION_NONE,
+            ] : undefined,
+          }}
+          columns={columns}
+          dataSource={tableRows}
+          onChange={handleTableChange}
+          onRow={(record, index) => {
+            const rowProps = { 'aria-rowindex': (isPaged ? (pagination.current - 1) * pagination.pageSize : 0) + index + 2 };
+            if (isGroupRow(record)) return { ...rowProps, 'aria-expanded': !getGroup(record).collapsed };
+            return {
+              ...rowProps,
+              'aria-selected': selectedRowKeys.includes(record.key),
+              onDragOver: (e) => handleRowDragOver(e, record),
+              onDrop: (e) => handleRowDrop(e, record),
+            };
+          }}
+          rowClassName={(record) => {
+            if (isGroupRow(record)) return `data-table-group-row data-table-group-level-${getGroup(record).level}`;
+            return [
+              getRowClassName(rules, record),
+              dropTarget && dropTarget.key === record.key ? `data-table-drop-${dropTarget.position}` : '',
+            ].filter(Boolean).join(' ');
+          }}
+          summary={hasFooter ? renderFooter : undefined}
+          expandable={expandable}
+          virtual={virtual}
+          scroll={virtual 
+            ? { x: scrollWidth, y: scrollHeight } 
+            : hasPinnedColumns ? { x: scrollWidth } : undefined}
+          pagination={isPaged ? { 
+            ...pagination, 
+            ...(serverMode ? { total } : {}),
+            showSizeChanger: true, 
+            pageSizeOptions: ['10', '20', '50', '100'] 
+          } : false}
+          // Remove horizontal scrolling to use full width
+          bordered
+          size="middle"
+          loading={loading}
+        />
       
-      {/* Add New Modal */}
-      <Modal
-        title="Add New Record"
-        open={isAddModalVisible}
-        onOk={handleAddSave}
-        onCancel={() => setIsAddModalVisible(false)}
-        width={600}
-      >
-        <Form form={form} layout="vertical">
-          {columns
-            .filter(col => col.key !== 'actions')
-            .map(column => renderFormItem(column))}
-        </Form>
-      </Modal>
-    </div>
+        {/* Delete Confirmation Modal */}
+        <Modal
+          title={t('table.confirmDelete')}
+          open={isDeleteModalVisible}
+          onOk={handleDelete}
+          onCancel={() => setIsDeleteModalVisible(false)}
+          okText={t('table.confirmDeleteOk')}
+          cancelText={t('table.cancel')}
+        >
+          <p>{t('table.confirmDeleteRecord')}</p>
+        </Modal>
+      
+        {/* Bulk Delete Confirmation Modal */}
+        <Modal
+          title={t('table.confirmDelete')}
+          open={isBulkDeleteModalVisible}
+          onOk={handleBulkDelete}
+          onCancel={() => setIsBulkDeleteModalVisible(false)}
+          okText={t('table.confirmDeleteOk')}
+          cancelText={t('table.cancel')}
+          okButtonProps={{ danger: true }}
+        >
+          <p>{t('table.confirmDeleteRecords', { count: selectedRowKeys.length })}</p>
+        </Modal>
+      
+        {/* Bulk Update Modal */}
+        <Modal
+          title={t('table.setFieldTitle', { count: selectedRowKeys.length })}
+          open={isBulkUpdateModalVisible}
+          onOk={handleBulkUpdateSave}
+          onCancel={() => setIsBulkUpdateModalVisible(false)}
+          width={600}
+        >
+          <Form form={bulkForm} layout="vertical">
+            <Form.Item
+              name={BULK_FIELD}
+              label={t('table.field')}
+              rules={[{ required: true, message: t('table.chooseField') }]}
+            >
+              <Select placeholder={t('table.chooseFieldPlaceholder')}>
+                {tableColumns.filter(isCellEditable).map(column => (
+                  <Select.Option key={column.dataIndex} value={column.dataIndex}>
+                    {column.title}
+                  </Select.Option>
+                ))}
+              </Select>
+            </Form.Item>
+            <Form.Item noStyle shouldUpdate={(prev, next) => prev[BULK_FIELD] !== next[BULK_FIELD]}>
+              {({ getFieldValue }) => {
+                const column = tableColumns.find(col => col.dataIndex === getFieldValue(BULK_FIELD));
+                const selectedKeySet = new Set(selectedRowKeys);
+                return column 
+                  ? renderFormItem(column, dataSource.filter(item => selectedKeySet.has(item.key))) 
+                  : null;
+              }}
+            </Form.Item>
+          </Form>
+        </Modal>
+      
+        {/* Edit Modal */}
+        <Modal
+          title={t('table.editRecord')}
+          open={isEditModalVisible}
+          onOk={handleEditSave}
+          onCancel={() => setIsEditModalVisible(false)}
+          width={600}
+        >
+          <Form form={form} layout="vertical">
+            {tableColumns.map(column => renderFormItem(column, currentRecord ? [currentRecord] : []))}
+          </Form>
+        </Modal>
+      
+        {/* Add New Modal */}
+        <Modal
+          title={t('table.addRecord')}
+          open={isAddModalVisible}
+          onOk={handleAddSave}
+          onCancel={() => setIsAddModalVisible(false)}
+          width={600}
+        >
+          <Form form={form} layout="vertical">
+            {tableColumns.map(column => renderFormItem(column))}
+          </Form>
+        </Modal>
+      </div>
+    </LocaleProvider>
   );
 };
 
@@ -1,16 +1,33 @@
-import React, { useState, useEffect } from 'react';
-import { Input, Select, Button, message as antMessage } from 'antd';
-import { SearchOutlined, DatabaseOutlined } from '@ant-design/icons';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Input, Select, Button, Switch, message as antMessage } from 'antd';
+import { DatabaseOutlined } from '@ant-design/icons';
 import DataTable from './DataTable';
 import TableSelector from './TableSelector';
+import ViewSwitcher from './ViewSwitcher';
+import { inferColumnType } from './columnTypes';
+import { DEFAULT_LOCALE, LOCALES, LocaleProvider, translate } from './i18n';
 import { 
   fetchProducts, 
-  searchProducts, 
   fetchCategories,
   saveProduct, 
   deleteProduct,
+  deleteRecords,
+  updateRecords,
+  updateRecordBatch,
+  insertRecords,
   fetchTableData,
-  getTableColumns
+  fetchTablePage,
+  getTableColumns,
+  getTableSettings,
+  saveRowOrder,
+  fetchTableViews,
+  saveTableView,
+  deleteTableView,
+  fetchFormattingRules,
+  saveFormattingRules,
+  fetchLookupOptions,
+  getTableDetail,
+  BENCHMARK_TABLE
 } from './DatabaseConnector';
 // Import Supabase client from DatabaseConnector to use in this file
 import { createClient } from '@supabase/supabase-js';
@@ -23,7 +40,10 @@ const supabase = supabaseUrl && supabaseKey
   : {
       from: () => ({
         select: () => ({ limit: () => ({ then: (cb) => cb({ data: [], error: null }) }) }),
-        insert: () => ({ then: (cb) => cb({ data: null, error: null }) }),
+        insert: (data) => ({
+          select: () => ({ then: (cb) => cb({ data: [].concat(data), error: null }) }),
+          then: (cb) => cb({ data: null, error: null })
+        }),
         update: () => ({ eq: () => ({ then: (cb) => cb({ data: null, error: null }) }) }),
         delete: () => ({ eq: () => ({ then: (cb) => cb({ data: null, error: null }) }) })
       })
@@ -31,11 +51,13 @@ const supabase = supabaseUrl && supabaseKey
 
 const { Option } = Select;
 
+// Tables larger than this render through the virtual table instead of pages
+const VIRTUAL_ROW_THRESHOLD = 1000;
+
 const DataTableExample = () => {
   const [tableData, setTableData] = useState([]);
   const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [searchTerm, setSearchTerm] = useState('');
   const [selectedCategory, setSelectedCategory] = useState(null);
   const [selectedStatus, setSelectedStatus] = useState(null);
   const [selectedTable, setSelectedTable] = useState('product_summary');
@@ -47,6 +69,26 @@ const DataTableExample = () => {
   const [sqlQueryResult, setSqlQueryResult] = useState(null);
   const [sqlQueryError, setSqlQueryError] = useState(null);
   const [sqlQueryRunning, setSqlQueryRunning] = useState(false);
+  const [serverMode, setServerMode] = useState(false);
+  const [totalRows, setTotalRows] = useState(0);
+  // Last query descriptor emitted by the table in server mode
+  const pageQueryRef = useRef(null);
+  // Saved views (column layouts) of the selected table
+  const [views, setViews] = useState([]);
+  const [currentView, setCurrentView] = useState(null);
+  // Conditional formatting rules added in the table's rule editor
+  const [formattingRules, setFormattingRules] = useState([]);
+  const [tableLayout, setTableLayout] = useState(null);
+  // Related rows shown when a row of the selected table is expanded
+  const [tableDetail, setTableDetail] = useState(null);
+  // Language of the explorer and the table, kept across reloads
+  const [locale, setLocale] = useState(() => localStorage.getItem('locale') || DEFAULT_LOCALE);
+  const t = (key, params) => translate(locale, key, params);
+  
+  const changeLocale = (value) => {
+    setLocale(value);
+    localStorage.setItem('locale', value);
+  };
   
   // Enhanced debug logger function with detailed logging and popup notifications
   const logDebug = (message, type = 'info', details = null, showPopup = false) => {
@@ -157,7 +199,7 @@ const DataTableExample = () => {
           error: error.message,
           stack: error.stack
         });
-        antMessage.error('Failed to load table structure');
+        antMessage.error(t('example.loadStructureFailed'));
       } finally {
         setLoading(false);
       }
@@ -168,8 +210,49 @@ const DataTableExample = () => {
     }
   }, [selectedTable]);
 
+  // Load one page of a table in server mode
+  const loadTablePage = async (tableId, query) => {
+    setLoading(true);
+    logDB('FETCH', `page ${query.page} of ${tableId}`, 'STARTED', query);
+    try {
+      const { data, count } = await fetchTablePage(tableId, query);
+      
+      // A newer query may have been issued while this one was running
+      if (pageQueryRef.current !== query) return;
+      
+      setTableData(data);
+      setTotalRows(count);
+      logDB('FETCH', `page ${query.page} of ${tableId}`, 'SUCCESS', {
+        count: data.length,
+        total: count
+      });
+    } catch (error) {
+      // Failures of queries that were replaced meanwhile are only logged
+      const isLatest = pageQueryRef.current === query;
+      logDB('FETCH', `page ${query.page} of ${tableId}`, 'ERROR', {
+        error: error.message,
+        query
+      }, isLatest);
+      if (isLatest) antMessage.error(t('example.loadFailed', { table: tableId, error: error.message }));
+    } finally {
+      // The newer query is still loading
+      if (pageQueryRef.current === query) setLoading(false);
+    }
+  };
+  
+  // Called by the table in server mode whenever the page, sorting or filters change
+  const handleQueryChange = (query) => {
+    pageQueryRef.current = query;
+    loadTablePage(selectedTable, query);
+  };
+
   // Function to load table data
   const loadTableData = async (tableId) => {
+    // In server mode only the current page is reloaded
+    if (serverMode && pageQueryRef.current) {
+      return loadTablePage(tableId, pageQueryRef.current);
+    }
+    
     setLoading(true);
     logDB('FETCH', `data from ${tableId}`, 'STARTED');
     try {
@@ -236,13 +319,13 @@ const DataTableExample = () => {
         
         // Show specific error notification based on error type
         if (dbError.code && dbError.code.startsWith('22')) {
-          antMessage.error(`Database syntax error: ${dbError.message}`);
+          antMessage.error(t('example.syntaxError', { error: dbError.message }));
         } else if (dbError.code && dbError.code.startsWith('23')) {
-          antMessage.error(`Database constraint violation: ${dbError.message}`);
+          antMessage.error(t('example.constraintError', { error: dbError.message }));
         } else if (dbError.code && dbError.code.startsWith('42')) {
-          antMessage.error(`Invalid database object or syntax: ${dbError.message}`);
+          antMessage.error(t('example.invalidObjectOrSyntax', { error: dbError.message }));
         } else {
-          antMessage.error(`Failed to load ${tableId} table data: ${dbError.message}`);
+          antMessage.error(t('example.loadFailed', { table: tableId, error: dbError.message }));
         }
         
         // Return mock data as fallback
@@ -265,22 +348,111 @@ const DataTableExample = () => {
         url: supabaseUrl ? supabaseUrl.substring(0, 15) + '...' : 'not defined'
       }, true); // Force popup for this critical error
       
-      antMessage.error(`Failed to load ${tableId} table data: ${error.message}`);
+      antMessage.error(t('example.loadFailed', { table: tableId, error: error.message }));
     } finally {
       setLoading(false);
     }
   };
   
   // Load table data when selected table changes
+  // In server mode the table requests its first page itself once the columns are loaded
   useEffect(() => {
-    if (selectedTable) {
+    if (selectedTable && !serverMode) {
       loadTableData(selectedTable);
     }
+  }, [selectedTable, serverMode]);
+
+  // Load the saved views of a table
+  const loadViews = async (tableId) => {
+    try {
+      const tableViews = await fetchTableViews(tableId);
+      setViews(tableViews);
+      logDB('FETCH', `views for ${tableId}`, 'SUCCESS', {
+        views: tableViews.map(view => `${view.name}${view.shared ? ' (shared)' : ''}`)
+      });
+    } catch (error) {
+      logDB('FETCH', `views for ${tableId}`, 'ERROR', { error: error.message });
+      setViews([]);
+    }
+  };
+  
+  // Every table starts with its default layout
+  useEffect(() => {
+    if (!selectedTable) return undefined;
+    // Settings of a table that is no longer selected arrive too late to be used
+    let isCurrent = true;
+    setCurrentView(null);
+    setTableLayout(null);
+    loadViews(selectedTable);
+    fetchFormattingRules(selectedTable).then(rules => {
+      if (isCurrent) setFormattingRules(rules);
+    });
+    setTableDetail(null);
+    getTableDetail(selectedTable)
+      .then(detail => {
+        if (isCurrent) setTableDetail(detail);
+      })
+      .catch(error => {
+        // The table is shown without expandable rows
+        logDB('FETCH', `detail of ${selectedTable}`, 'ERROR', { error: error.message });
+      });
+    return () => {
+      isCurrent = false;
+    };
   }, [selectedTable]);
+  
+  const handleFormattingRulesChange = async (rules) => {
+    const target = `formatting rules of ${selectedTable}`;
+    try {
+      await saveFormattingRules(selectedTable, rules);
+      logDB('SAVE', target, 'SUCCESS', { rules: rules.length });
+    } catch (error) {
+      logDB('SAVE', target, 'ERROR', { error: error.message }, true);
+      antMessage.error(t('example.saveRulesFailed', { error: error.message }));
+    }
+  };
+  
+  const handleSelectView = (view) => {
+    setCurrentView(view);
+    setTableLayout(view ? view.layout : null);
+    logDebug(`Switched to ${view ? `view "${view.name}"` : 'the default layout'}`, 'info');
+  };
+  
+  // Store the current layout under the given view name
+  const handleSaveView = async ({ name, shared }) => {
+    const target = `view "${name}" of ${selectedTable}`;
+    logDB('SAVE', target, 'STARTED', { shared, layout: tableLayout });
+    try {
+      const savedView = await saveTableView(selectedTable, { name, shared, layout: tableLayout });
+      await loadViews(selectedTable);
+      setCurrentView(savedView);
+      logDB('SAVE', target, 'SUCCESS');
+      antMessage.success(t('example.viewSaved', { name }));
+    } catch (error) {
+      logDB('SAVE', target, 'ERROR', { error: error.message, code: error.code }, true);
+      antMessage.error(t('example.saveViewFailed', { error: error.message }));
+    }
+  };
+  
+  const handleDeleteView = async (view) => {
+    const target = `view "${view.name}" of ${selectedTable}`;
+    logDB('DELETE', target, 'STARTED', { shared: view.shared });
+    try {
+      await deleteTableView(selectedTable, view);
+      await loadViews(selectedTable);
+      handleSelectView(null);
+      logDB('DELETE', target, 'SUCCESS');
+      antMessage.success(t('example.viewDeleted', { name: view.name }));
+    } catch (error) {
+      logDB('DELETE', target, 'ERROR', { error: error.message, code: error.code }, true);
+      antMessage.error(t('example.deleteViewFailed', { error: error.message }));
+    }
+  };
 
-  // Filter products when category or status changes (only for product_summary)
+  // Filter products when category or status changes (only for product_summary).
+  // In server mode the table loads its pages itself and filters through its columns.
   useEffect(() => {
-    if (selectedTable !== 'product_summary' && selectedTable !== 'products') {
+    if (serverMode || (selectedTable !== 'product_summary' && selectedTable !== 'products')) {
       return;
     }
     
@@ -299,7 +471,7 @@ const DataTableExample = () => {
       } catch (error) {
         const errorMsg = `Error applying filters: ${error.message}`;
         logDebug(errorMsg, 'error');
-        antMessage.error('Failed to filter products');
+        antMessage.error(t('example.filterFailed'));
       } finally {
         setLoading(false);
       }
@@ -308,37 +480,10 @@ const DataTableExample = () => {
     applyFilters();
   }, [selectedCategory, selectedStatus, selectedTable]);
 
-  // Handle search
-  const handleSearch = async () => {
-    if (selectedTable !== 'product_summary' && selectedTable !== 'products') {
-      antMessage.info('Search is currently only available for the Products table');
-      return;
-    }
-    
-    if (!searchTerm.trim()) {
-      // If search is cleared, reset to all products
-      const productsData = await fetchProducts();
-      setTableData(productsData);
-      return;
-    }
-    
-    setLoading(true);
-    try {
-      const results = await searchProducts(searchTerm);
-      setTableData(results);
-    } catch (error) {
-      console.error('Error searching products:', error);
-      antMessage.error('Search failed');
-    } finally {
-      setLoading(false);
-    }
-  };
-
   // Handle table change
   const handleTableChange = (tableId) => {
     logDebug(`Switching to table: ${tableId}`, 'info');
     setSelectedTable(tableId);
-    setSearchTerm('');
     setSelectedCategory(null);
     setSelectedStatus(null);
   };
@@ -460,13 +605,13 @@ const DataTableExample = () => {
       
       // Show specific error message based on error type
       if (code && code.startsWith('22')) {
-        antMessage.error(`Database syntax error: ${message}`);
+        antMessage.error(t('example.syntaxError', { error: message }));
       } else if (code && code.startsWith('23')) {
-        antMessage.error(`Database constraint violation: ${message}`);
+        antMessage.error(t('example.constraintError', { error: message }));
       } else if (code && code.startsWith('42')) { 
-        antMessage.error(`Invalid database object: ${message}`);
+        antMessage.error(t('example.invalidObject', { error: message }));
       } else {
-        antMessage.error(`Database error: ${message}`);
+        antMessage.error(t('example.databaseError', { error: message }));
       }
     };
     
@@ -525,442 +670,634 @@ const DataTableExample = () => {
     }, 1000);
   }, []);
 
-  // Event handlers for DataTable
+  // Event handlers for DataTable. The write handlers throw when the database write
+  // fails, so the table reports the failure and restores its rows.
   const handleSave = async (values, key, newData) => {
-    try {
-      // Find the record to update
-      const record = tableData.find(p => p.key === key);
-      if (!record) {
-        // Show popup notification
-        logDebug('Record not found', 'error', { key, availableRecords: tableData.length }, true);
-        return;
-      }
+    // Find the record to update
+    const record = tableData.find(p => (p.key ?? p.id) === key);
+    if (!record) {
+      logDebug('Record not found', 'error', { key, availableRecords: tableData.length });
+      throw new Error(t('example.notFound'));
+    }
+    
+    // Show loading indicator
+    antMessage.loading({ content: t('example.saving'), key: 'saveOperation' });
+    
+    // For product tables, we have specific save functionality
+    if (selectedTable === 'product_summary' || selectedTable === 'products') {
+      // Validate inputs before sending to database
+      // Make sure numeric values are properly formatted
+      const processedValues = { ...values };
       
-      // Show loading indicator
-      antMessage.loading({ content: 'Saving to database...', key: 'saveOperation' });
+      // Convert string numbers to actual numbers
+      if (processedValues.price) processedValues.price = Number(processedValues.price);
+      if (processedValues.cost) processedValues.cost = Number(processedValues.cost);
+      if (processedValues.quantity) processedValues.quantity = Number(processedValues.quantity);
+      if (processedValues.reorder_level) processedValues.reorder_level = Number(processedValues.reorder_level);
       
-      // For product tables, we have specific save functionality
-      if (selectedTable === 'product_summary' || selectedTable === 'products') {
-        try {
-          // Validate inputs before sending to database
-          // Make sure numeric values are properly formatted
-          const processedValues = { ...values };
-          
-          // Convert string numbers to actual numbers
-          if (processedValues.price) processedValues.price = Number(processedValues.price);
-          if (processedValues.cost) processedValues.cost = Number(processedValues.cost);
-          if (processedValues.quantity) processedValues.quantity = Number(processedValues.quantity);
-          if (processedValues.reorder_level) processedValues.reorder_level = Number(processedValues.reorder_level);
+      // Only the edited fields and the id: the row also holds its key, embedded
+      // lookup rows and computed formula values, which aren't columns of the table
+      const updatePayload = { id: record.id, ...processedValues };
+      
+      // Log the update operation start with details
+      logDB('UPDATE', `product ${record.id || record.key}`, 'STARTED', {
+        id: record.id || record.key,
+        fields: Object.keys(processedValues),
+        timestamp: new Date().toISOString()
+      });
+      
+      // Start timing the operation
+      const startTime = performance.now();
+      
+      try {
+        // Update the product in database
+        const savedData = await saveProduct(updatePayload, false);
+        
+        // Calculate time taken
+        const endTime = performance.now();
+        const updateTime = (endTime - startTime).toFixed(2);
+        
+        if (savedData) {
+          // Operation was successful
+          antMessage.success({ content: t('example.updated'), key: 'saveOperation', duration: 2 });
           
-          // Log the update operation start with details
-          const updatePayload = { ...record, ...processedValues };
-          logDB('UPDATE', `product ${record.id || record.key}`, 'STARTED', {
+          // Log success with timing details
+          logDB('UPDATE', `product ${record.id || record.key}`, 'SUCCESS', {
             id: record.id || record.key,
+            timeMs: updateTime,
             fields: Object.keys(processedValues),
-            timestamp: new Date().toISOString()
+            response: savedData
+          }, true); // Show success popup
+          
+          // Refresh data to get server-calculated fields
+          await loadTableData(selectedTable);
+        } else {
+          throw new Error('Save operation returned no data');
+        }
+      } catch (error) {
+          antMessage.destroy('saveOperation');
+        
+        // Log detailed error information with popup notification
+        logDB('UPDATE', `product ${record.id || record.key}`, 'ERROR', {
+          id: record.id || record.key,
+          error: error.message || 'Unknown database error',
+          details: error.details || {},
+          stack: error.stack,
+          table: selectedTable,
+          fields: Object.keys(values),
+          timestamp: new Date().toISOString()
+        }, true); // force popup for this error
+        throw error;
+      }
+    } else {
+      // Generic table update
+      try {
+        // Check if table includes "DUMMY" (indicating mock data)
+        if (selectedTable.includes('DUMMY')) {
+          // Just update local state for mock data
+          setTableData(newData);
+          antMessage.success({ content: t('example.updatedMock'), key: 'saveOperation', duration: 2 });
+          logDebug(`${selectedTable} updated (mock mode)`, 'success');
+        } else {
+          // For real tables, try a generic update
+          const tableName = selectedTable.split('.').pop();
+          
+          logDB('UPDATE', `record in ${tableName}`, 'STARTED', {
+            id: record.id,
+            table: tableName,
+            fields: Object.keys(values)
           });
           
-          // Start timing the operation
           const startTime = performance.now();
           
-          try {
-            // Update the product in database
-            const savedData = await saveProduct(updatePayload, false);
-            
-            // Calculate time taken
-            const endTime = performance.now();
-            const updateTime = (endTime - startTime).toFixed(2);
-            
-            if (savedData) {
-              // Operation was successful
-              antMessage.success({ content: 'Record updated in database', key: 'saveOperation', duration: 2 });
-              
-              // Log success with timing details
-              logDB('UPDATE', `product ${record.id || record.key}`, 'SUCCESS', {
-                id: record.id || record.key,
-                timeMs: updateTime,
-                fields: Object.keys(processedValues),
-                response: savedData
-              }, true); // Show success popup
-              
-              // Refresh data to get server-calculated fields
-              await loadTableData(selectedTable);
-            } else {
-              throw new Error('Save operation returned no data');
-            }
-          } catch (error) {
-            // Enhanced error handling with detailed logging and user-friendly message
-            const errorMessage = error.message || 'Unknown database error';
-            
-            // Show user-friendly error with popup
-            antMessage.error({ 
-              content: `Failed to update record: ${errorMessage}`, 
-              key: 'saveOperation', 
-              duration: 5 
-            });
-            
-            // Log detailed error information with popup notification
-            logDB('UPDATE', `product ${record.id || record.key}`, 'ERROR', {
-              id: record.id || record.key,
-              error: errorMessage,
-              details: error.details || {},
-              stack: error.stack,
-              table: selectedTable,
-              fields: Object.keys(values),
-              timestamp: new Date().toISOString()
-            }, true); // force popup for this error
-          }
-        } catch (error) {
-          // This catches errors in the validation phase
-          antMessage.error({ content: `Failed to update product: ${error.message}`, key: 'saveOperation', duration: 3 });
+          const { data, error } = await supabase.from(tableName)
+            .update(values)
+            .eq('id', record.id);
           
-          // Log detailed error information with popup notification
-          logDB('UPDATE', `product validation`, 'ERROR', {
-            error: error.message,
-            stack: error.stack,
-            table: selectedTable,
-            fields: Object.keys(values)
-          }, true);
-        }
-      } else {
-        // Generic table update
-        try {
-          // Check if table includes "DUMMY" (indicating mock data)
-          if (selectedTable.includes('DUMMY')) {
-            // Just update local state for mock data
-            setTableData(newData);
-            antMessage.success({ content: 'Record updated (mock mode)', key: 'saveOperation', duration: 2 });
-            logDebug(`${selectedTable} updated (mock mode)`, 'success');
-          } else {
-            // For real tables, try a generic update
-            const tableName = selectedTable.split('.').pop();
-            
-            logDB('UPDATE', `record in ${tableName}`, 'STARTED', {
-              id: record.id,
-              table: tableName,
-              fields: Object.keys(values)
-            });
-            
-            const startTime = performance.now();
-            
-            const { data, error } = await supabase.from(tableName)
-              .update(values)
-              .eq('id', record.id);
-            
-            const endTime = performance.now();
-            const updateTime = (endTime - startTime).toFixed(2);
-              
-            if (error) throw error;
-            
-            antMessage.success({ content: 'Record updated in database', key: 'saveOperation', duration: 2 });
-            
-            // Log success with details
-            logDB('UPDATE', `record in ${tableName}`, 'SUCCESS', {
-              id: record.id,
-              timeMs: updateTime,
-              table: tableName,
-              fields: Object.keys(values),
-              response: data
-            });
+          const endTime = performance.now();
+          const updateTime = (endTime - startTime).toFixed(2);
             
-            // Refresh table data
-            await loadTableData(selectedTable);
-          }
-        } catch (error) {
-          antMessage.error({ content: `Failed to update record: ${error.message}`, key: 'saveOperation', duration: 3 });
+          if (error) throw error;
           
-          // Log detailed error information
-          logDB('UPDATE', `record in ${selectedTable}`, 'ERROR', {
+          antMessage.success({ content: t('example.updated'), key: 'saveOperation', duration: 2 });
+          
+          // Log success with details
+          logDB('UPDATE', `record in ${tableName}`, 'SUCCESS', {
             id: record.id,
-            error: error.message,
-            stack: error.stack,
-            table: selectedTable,
+            timeMs: updateTime,
+            table: tableName,
             fields: Object.keys(values),
-            sqlErrorCode: error.code
+            response: data
           });
+          
+          // Refresh table data
+          await loadTableData(selectedTable);
         }
+      } catch (error) {
+        antMessage.destroy('saveOperation');
+        
+        // Log detailed error information
+        logDB('UPDATE', `record in ${selectedTable}`, 'ERROR', {
+          id: record.id,
+          error: error.message,
+          stack: error.stack,
+          table: selectedTable,
+          fields: Object.keys(values),
+          sqlErrorCode: error.code
+        });
+        throw error;
       }
-    } catch (error) {
-      console.error('Error updating record:', error);
-      antMessage.error({ content: 'Failed to update record in database', key: 'saveOperation', duration: 2 });
-      
-      // Log the overall operation failure
-      logDB('UPDATE', 'record', 'CRITICAL_ERROR', {
-        error: error.message,
-        stack: error.stack,
-        table: selectedTable
-      });
     }
   };
 
   const handleDelete = async (key, newData) => {
-    try {
-      // Find the record to delete
-      const record = tableData.find(p => p.key === key);
-      if (!record) {
-        antMessage.error({ content: 'Record not found', duration: 2 });
-        return;
-      }
-      
-      // Show loading indicator
-      antMessage.loading({ content: 'Deleting from database...', key: 'deleteOperation' });
-      
-      // For product tables, we have specific delete functionality
-      if (selectedTable === 'product_summary' || selectedTable === 'products') {
-        try {
-          // Log the delete operation start
-          logDB('DELETE', `product ${record.id}`, 'STARTED', {
+    // Find the record to delete
+    const record = tableData.find(p => (p.key ?? p.id) === key);
+    if (!record) {
+      throw new Error(t('example.notFound'));
+    }
+    
+    // Show loading indicator
+    antMessage.loading({ content: t('example.deleting'), key: 'deleteOperation' });
+    
+    // For product tables, we have specific delete functionality
+    if (selectedTable === 'product_summary' || selectedTable === 'products') {
+      try {
+        // Log the delete operation start
+        logDB('DELETE', `product ${record.id}`, 'STARTED', {
+          id: record.id,
+          product: record.name || 'unknown',
+          table: selectedTable
+        });
+        
+        // Start timing the operation
+        const startTime = performance.now();
+        
+        // Delete from database
+        const success = await deleteProduct(record.id);
+        
+        // Calculate time taken
+        const endTime = performance.now();
+        const deleteTime = (endTime - startTime).toFixed(2);
+        
+        if (success) {
+          // Operation was successful
+          antMessage.success({ content: t('example.deleted'), key: 'deleteOperation', duration: 2 });
+          
+          // Log success with timing information
+          logDB('DELETE', `product ${record.id}`, 'SUCCESS', {
             id: record.id,
             product: record.name || 'unknown',
+            timeMs: deleteTime,
             table: selectedTable
           });
           
+          // Refresh data to ensure consistency
+          await loadTableData(selectedTable);
+        } else {
+          throw new Error('Delete operation failed');
+        }
+      } catch (error) {
+        antMessage.destroy('deleteOperation');
+        
+        // Log detailed error information
+        logDB('DELETE', `product ${record.id}`, 'ERROR', {
+          id: record.id,
+          error: error.message,
+          stack: error.stack,
+          table: selectedTable
+        });
+        throw error;
+      }
+    } else {
+      // Generic table delete
+      try {
+        // Check if table includes "DUMMY" (indicating mock data)
+        if (selectedTable.includes('DUMMY')) {
+          // Just update local state for mock data
+          setTableData(newData);
+          antMessage.success({ content: t('example.deletedMock'), key: 'deleteOperation', duration: 2 });
+          logDebug(`Record deleted from ${selectedTable} (mock mode)`, 'success');
+        } else {
+          // For real tables, try a generic delete
+          const tableName = selectedTable.split('.').pop();
+          
+          // Log the delete operation start
+          logDB('DELETE', `record from ${tableName}`, 'STARTED', {
+            id: record.id,
+            table: tableName
+          });
+          
           // Start timing the operation
           const startTime = performance.now();
           
-          // Delete from database
-          const success = await deleteProduct(record.id);
+          const { error } = await supabase.from(tableName)
+            .delete()
+            .eq('id', record.id);
           
           // Calculate time taken
           const endTime = performance.now();
           const deleteTime = (endTime - startTime).toFixed(2);
-          
-          if (success) {
-            // Operation was successful
-            antMessage.success({ content: 'Record deleted from database', key: 'deleteOperation', duration: 2 });
-            
-            // Log success with timing information
-            logDB('DELETE', `product ${record.id}`, 'SUCCESS', {
-              id: record.id,
-              product: record.name || 'unknown',
-              timeMs: deleteTime,
-              table: selectedTable
-            });
             
-            // Refresh data to ensure consistency
-            await loadTableData(selectedTable);
-          } else {
-            throw new Error('Delete operation failed');
-          }
-        } catch (error) {
-          antMessage.error({ content: `Failed to delete product: ${error.message}`, key: 'deleteOperation', duration: 3 });
+          if (error) throw error;
           
-          // Log detailed error information
-          logDB('DELETE', `product ${record.id}`, 'ERROR', {
-            id: record.id,
-            error: error.message,
-            stack: error.stack,
-            table: selectedTable
-          });
-        }
-      } else {
-        // Generic table delete
-        try {
-          // Check if table includes "DUMMY" (indicating mock data)
-          if (selectedTable.includes('DUMMY')) {
-            // Just update local state for mock data
-            setTableData(newData);
-            antMessage.success({ content: 'Record deleted (mock mode)', key: 'deleteOperation', duration: 2 });
-            logDebug(`Record deleted from ${selectedTable} (mock mode)`, 'success');
-          } else {
-            // For real tables, try a generic delete
-            const tableName = selectedTable.split('.').pop();
-            
-            // Log the delete operation start
-            logDB('DELETE', `record from ${tableName}`, 'STARTED', {
-              id: record.id,
-              table: tableName
-            });
-            
-            // Start timing the operation
-            const startTime = performance.now();
-            
-            const { error } = await supabase.from(tableName)
-              .delete()
-              .eq('id', record.id);
-            
-            // Calculate time taken
-            const endTime = performance.now();
-            const deleteTime = (endTime - startTime).toFixed(2);
-              
-            if (error) throw error;
-            
-            antMessage.success({ content: 'Record deleted from database', key: 'deleteOperation', duration: 2 });
-            
-            // Log success with timing information
-            logDB('DELETE', `record from ${tableName}`, 'SUCCESS', {
-              id: record.id,
-              timeMs: deleteTime,
-              table: tableName
-            });
-            
-            // Refresh table data
-            await loadTableData(selectedTable);
-          }
-        } catch (error) {
-          antMessage.error({ content: `Failed to delete record: ${error.message}`, key: 'deleteOperation', duration: 3 });
+          antMessage.success({ content: t('example.deleted'), key: 'deleteOperation', duration: 2 });
           
-          // Log detailed error information
-          logDB('DELETE', `record from ${selectedTable}`, 'ERROR', {
+          // Log success with timing information
+          logDB('DELETE', `record from ${tableName}`, 'SUCCESS', {
             id: record.id,
-            error: error.message,
-            stack: error.stack,
-            table: selectedTable,
-            sqlErrorCode: error.code
+            timeMs: deleteTime,
+            table: tableName
           });
           
-          // Update local state anyway for better user experience
-          setTableData(newData);
+          // Refresh table data
+          await loadTableData(selectedTable);
         }
+      } catch (error) {
+        antMessage.destroy('deleteOperation');
+        
+        // Log detailed error information
+        logDB('DELETE', `record from ${selectedTable}`, 'ERROR', {
+          id: record.id,
+          error: error.message,
+          stack: error.stack,
+          table: selectedTable,
+          sqlErrorCode: error.code
+        });
+        throw error;
       }
-    } catch (error) {
-      console.error('Error deleting record:', error);
-      antMessage.error({ content: 'Failed to delete record from database', key: 'deleteOperation', duration: 2 });
-      
-      // Log the overall operation failure
-      logDB('DELETE', 'record', 'CRITICAL_ERROR', {
-        error: error.message,
-        stack: error.stack,
-        table: selectedTable
-      });
     }
   };
 
   const handleAdd = async (record, newData) => {
-    try {
-      // Show loading indicator
-      antMessage.loading({ content: 'Adding to database...', key: 'addOperation' });
-      
-      // For product tables, we have specific add functionality
-      if (selectedTable === 'product_summary' || selectedTable === 'products') {
-        try {
-          // Validate and process inputs before sending to database
-          const processedRecord = { ...record };
-          
-          // Convert string numbers to actual numbers
-          if (processedRecord.price) processedRecord.price = Number(processedRecord.price);
-          if (processedRecord.cost) processedRecord.cost = Number(processedRecord.cost);
-          if (processedRecord.quantity) processedRecord.quantity = Number(processedRecord.quantity);
-          if (processedRecord.reorder_level) processedRecord.reorder_level = Number(processedRecord.reorder_level);
+    // Show loading indicator
+    antMessage.loading({ content: t('example.adding'), key: 'addOperation' });
+    
+    // For product tables, we have specific add functionality
+    if (selectedTable === 'product_summary' || selectedTable === 'products') {
+      try {
+        // Validate and process inputs before sending to database
+        const processedRecord = { ...record };
+        
+        // Convert string numbers to actual numbers
+        if (processedRecord.price) processedRecord.price = Number(processedRecord.price);
+        if (processedRecord.cost) processedRecord.cost = Number(processedRecord.cost);
+        if (processedRecord.quantity) processedRecord.quantity = Number(processedRecord.quantity);
+        if (processedRecord.reorder_level) processedRecord.reorder_level = Number(processedRecord.reorder_level);
+        
+        // Log the add operation start with details
+        logDB('INSERT', 'new product', 'STARTED', {
+          fields: Object.keys(processedRecord),
+          table: selectedTable,
+          product: processedRecord.name || 'unnamed product'
+        });
+        
+        // Start timing the operation
+        const startTime = performance.now();
+        
+        // Add to database (true indicates new record)
+        const savedData = await saveProduct(processedRecord, true);
+        
+        // Calculate time taken
+        const endTime = performance.now();
+        const insertTime = (endTime - startTime).toFixed(2);
+        
+        if (savedData) {
+          // Operation was successful
+          antMessage.success({ content: t('example.added'), key: 'addOperation', duration: 2 });
           
-          // Log the add operation start with details
-          logDB('INSERT', 'new product', 'STARTED', {
-            fields: Object.keys(processedRecord),
+          // Log success with timing details
+          logDB('INSERT', 'new product', 'SUCCESS', {
+            timeMs: insertTime,
             table: selectedTable,
-            product: processedRecord.name || 'unnamed product'
+            product: processedRecord.name || 'unnamed product',
+            id: savedData.id || 'unknown',
+            response: savedData
+          });
+          
+          // Refresh data to get server-assigned IDs and calculated fields
+          await loadTableData(selectedTable);
+          
+          // The stored row tells the table (and its undo history) the new ID
+          return savedData;
+        } else {
+          throw new Error('Add operation returned no data');
+        }
+      } catch (error) {
+        antMessage.destroy('addOperation');
+        
+        // Log detailed error information
+        logDB('INSERT', 'new product', 'ERROR', {
+          error: error.message,
+          stack: error.stack,
+          table: selectedTable,
+          fields: Object.keys(record)
+        });
+        throw error;
+      }
+    } else {
+      // Generic table add
+      try {
+        // Check if table includes "DUMMY" (indicating mock data)
+        if (selectedTable.includes('DUMMY')) {
+          // Just update local state for mock data
+          setTableData(newData);
+          antMessage.success({ content: t('example.addedMock'), key: 'addOperation', duration: 2 });
+          logDebug(`New record added to ${selectedTable} (mock mode)`, 'success');
+          return record;
+        } else {
+          // For real tables, try a generic insert
+          // Remove key field which might conflict with database auto-increment
+          const { key, ...insertData } = record;
+          const tableName = selectedTable.split('.').pop();
+          
+          // Log the insert operation start
+          logDB('INSERT', `record into ${tableName}`, 'STARTED', {
+            fields: Object.keys(insertData),
+            table: tableName
           });
           
           // Start timing the operation
           const startTime = performance.now();
           
-          // Add to database (true indicates new record)
-          const savedData = await saveProduct(processedRecord, true);
+          const { data, error } = await supabase.from(tableName)
+            .insert(insertData)
+            .select();
           
           // Calculate time taken
           const endTime = performance.now();
           const insertTime = (endTime - startTime).toFixed(2);
-          
-          if (savedData) {
-            // Operation was successful
-            antMessage.success({ content: 'Record added to database', key: 'addOperation', duration: 2 });
-            
-            // Log success with timing details
-            logDB('INSERT', 'new product', 'SUCCESS', {
-              timeMs: insertTime,
-              table: selectedTable,
-              product: processedRecord.name || 'unnamed product',
-              id: savedData.id || 'unknown',
-              response: savedData
-            });
             
-            // Refresh data to get server-assigned IDs and calculated fields
-            await loadTableData(selectedTable);
-          } else {
-            throw new Error('Add operation returned no data');
-          }
-        } catch (error) {
-          antMessage.error({ content: `Failed to add product: ${error.message}`, key: 'addOperation', duration: 3 });
+          if (error) throw error;
           
-          // Log detailed error information
-          logDB('INSERT', 'new product', 'ERROR', {
-            error: error.message,
-            stack: error.stack,
-            table: selectedTable,
-            fields: Object.keys(record)
-          });
-        }
-      } else {
-        // Generic table add
-        try {
-          // Check if table includes "DUMMY" (indicating mock data)
-          if (selectedTable.includes('DUMMY')) {
-            // Just update local state for mock data
-            setTableData(newData);
-            antMessage.success({ content: 'Record added (mock mode)', key: 'addOperation', duration: 2 });
-            logDebug(`New record added to ${selectedTable} (mock mode)`, 'success');
-          } else {
-            // For real tables, try a generic insert
-            // Remove key field which might conflict with database auto-increment
-            const { key, ...insertData } = record;
-            const tableName = selectedTable.split('.').pop();
-            
-            // Log the insert operation start
-            logDB('INSERT', `record into ${tableName}`, 'STARTED', {
-              fields: Object.keys(insertData),
-              table: tableName
-            });
-            
-            // Start timing the operation
-            const startTime = performance.now();
-            
-            const { data, error } = await supabase.from(tableName)
-              .insert(insertData);
-            
-            // Calculate time taken
-            const endTime = performance.now();
-            const insertTime = (endTime - startTime).toFixed(2);
-              
-            if (error) throw error;
-            
-            antMessage.success({ content: 'Record added to database', key: 'addOperation', duration: 2 });
-            
-            // Log success with timing details
-            logDB('INSERT', `record into ${tableName}`, 'SUCCESS', {
-              timeMs: insertTime,
-              table: tableName,
-              fields: Object.keys(insertData),
-              response: data
-            });
-            
-            // Refresh table data to get the server-assigned ID
-            await loadTableData(selectedTable);
-          }
-        } catch (error) {
-          antMessage.error({ content: `Failed to add record: ${error.message}`, key: 'addOperation', duration: 3 });
+          antMessage.success({ content: t('example.added'), key: 'addOperation', duration: 2 });
           
-          // Log detailed error information
-          logDB('INSERT', `record into ${selectedTable}`, 'ERROR', {
-            error: error.message,
-            stack: error.stack,
-            table: selectedTable,
-            sqlErrorCode: error.code,
-            fields: Object.keys(record)
+          // Log success with timing details
+          logDB('INSERT', `record into ${tableName}`, 'SUCCESS', {
+            timeMs: insertTime,
+            table: tableName,
+            fields: Object.keys(insertData),
+            response: data
           });
           
-          // Update local state anyway for better user experience in case of temporary database issues
-          setTableData(newData);
+          // Refresh table data to get the server-assigned ID
+          await loadTableData(selectedTable);
+          return (data && data[0]) || record;
         }
+      } catch (error) {
+        antMessage.destroy('addOperation');
+        
+        // Log detailed error information
+        logDB('INSERT', `record into ${selectedTable}`, 'ERROR', {
+          error: error.message,
+          stack: error.stack,
+          table: selectedTable,
+          sqlErrorCode: error.code,
+          fields: Object.keys(record)
+        });
+        throw error;
+      }
+    }
+  };
+
+  // Persist drag-and-drop reordering to the table's declared order column
+  const handleReorder = async (newData) => {
+    const { orderColumn } = getTableSettings(selectedTable);
+    
+    if (!orderColumn || selectedTable.includes('DUMMY')) {
+      setTableData(newData);
+      logDebug(`Row order for ${selectedTable} changed locally (no order column declared)`, 'warning');
+      return;
+    }
+    
+    const tableName = selectedTable.split('.').pop();
+    logDB('REORDER', `rows in ${tableName}`, 'STARTED', { orderColumn });
+    
+    try {
+      const startTime = performance.now();
+      // In server mode the rows are one page of the table
+      const changes = await saveRowOrder(tableName, newData, orderColumn, 'id', { partial: serverMode });
+      const reorderTime = (performance.now() - startTime).toFixed(2);
+      
+      // Apply the written positions locally instead of reloading the table
+      const changedValues = new Map(changes.map(change => [change.id, change.value]));
+      setTableData(newData.map(row => (
+        changedValues.has(row.id) ? { ...row, [orderColumn]: changedValues.get(row.id) } : row
+      )));
+      
+      logDB('REORDER', `rows in ${tableName}`, 'SUCCESS', {
+        orderColumn,
+        changedRows: changes.length,
+        timeMs: reorderTime
+      });
+    } catch (error) {
+      logDB('REORDER', `rows in ${tableName}`, 'ERROR', {
+        orderColumn,
+        error: error.message,
+        stack: error.stack,
+        sqlErrorCode: error.code
+      });
+      
+      // Reload to show the order that is actually stored
+      await loadTableData(selectedTable);
+      throw error;
+    }
+  };
+
+  // Table that writes go to (both product views are stored in product_summary)
+  const getWriteTableName = () => {
+    if (selectedTable === 'product_summary' || selectedTable === 'products') {
+      return 'product_summary';
+    }
+    return selectedTable.split('.').pop();
+  };
+
+  // Find the loaded records for a set of DataTable row keys
+  const findRecordsByKeys = (keys) => {
+    const keySet = new Set(keys);
+    return tableData.filter(item => keySet.has(item.key ?? item.id));
+  };
+
+  // Bulk handlers send one batched request instead of one request per row
+  const handleBulkDelete = async (keys, newData) => {
+    const ids = findRecordsByKeys(keys).map(record => record.id);
+    const tableName = getWriteTableName();
+    
+    antMessage.loading({ content: t('example.bulkDeleting', { count: ids.length }), key: 'bulkDeleteOperation' });
+    
+    try {
+      if (selectedTable.includes('DUMMY')) {
+        setTableData(newData);
+        antMessage.success({ content: t('example.bulkDeletedMock', { count: ids.length }), key: 'bulkDeleteOperation', duration: 2 });
+        return;
       }
+      
+      logDB('BULK DELETE', `${ids.length} records from ${tableName}`, 'STARTED', { ids, table: tableName });
+      const startTime = performance.now();
+      
+      await deleteRecords(tableName, ids);
+      
+      const deleteTime = (performance.now() - startTime).toFixed(2);
+      antMessage.success({ content: t('example.bulkDeleted', { count: ids.length }), key: 'bulkDeleteOperation', duration: 2 });
+      logDB('BULK DELETE', `${ids.length} records from ${tableName}`, 'SUCCESS', {
+        ids,
+        timeMs: deleteTime,
+        table: tableName
+      });
+      
+      await loadTableData(selectedTable);
     } catch (error) {
-      console.error('Error adding record:', error);
-      antMessage.error({ content: 'Failed to add record to database', key: 'addOperation', duration: 2 });
+      antMessage.destroy('bulkDeleteOperation');
+      logDB('BULK DELETE', `records from ${tableName}`, 'ERROR', {
+        ids,
+        error: error.message,
+        stack: error.stack,
+        table: tableName,
+        sqlErrorCode: error.code
+      });
+      throw error;
+    }
+  };
+
+  const handleBulkUpdate = async (keys, patch, newData) => {
+    const ids = findRecordsByKeys(keys).map(record => record.id);
+    const tableName = getWriteTableName();
+    
+    antMessage.loading({ content: t('example.bulkUpdating', { count: ids.length }), key: 'bulkUpdateOperation' });
+    
+    try {
+      if (selectedTable.includes('DUMMY')) {
+        setTableData(newData);
+        antMessage.success({ content: t('example.bulkUpdatedMock', { count: ids.length }), key: 'bulkUpdateOperation', duration: 2 });
+        return;
+      }
+      
+      logDB('BULK UPDATE', `${ids.length} records in ${tableName}`, 'STARTED', {
+        ids,
+        fields: Object.keys(patch),
+        table: tableName
+      });
+      const startTime = performance.now();
+      
+      await updateRecords(tableName, ids, patch);
+      
+      const updateTime = (performance.now() - startTime).toFixed(2);
+      antMessage.success({ content: t('example.bulkUpdated', { count: ids.length }), key: 'bulkUpdateOperation', duration: 2 });
+      logDB('BULK UPDATE', `${ids.length} records in ${tableName}`, 'SUCCESS', {
+        ids,
+        timeMs: updateTime,
+        patch,
+        table: tableName
+      });
       
-      // Log the overall operation failure
-      logDB('INSERT', 'record', 'CRITICAL_ERROR', {
+      // Refresh data to get server-calculated fields
+      await loadTableData(selectedTable);
+    } catch (error) {
+      antMessage.destroy('bulkUpdateOperation');
+      logDB('BULK UPDATE', `records in ${tableName}`, 'ERROR', {
+        ids,
         error: error.message,
         stack: error.stack,
-        table: selectedTable
+        table: tableName,
+        sqlErrorCode: error.code
       });
+      throw error;
+    }
+  };
+
+  // Pasted and filled-down cells: different values per row, sent together
+  const handleBatchUpdate = async (updates, newData) => {
+    const rowsByKey = new Map(findRecordsByKeys(updates.map(update => update.key))
+      .map(record => [record.key ?? record.id, record]));
+    const changes = updates
+      .filter(update => rowsByKey.has(update.key))
+      .map(update => ({ id: rowsByKey.get(update.key).id, values: update.values }));
+    const tableName = getWriteTableName();
+    
+    antMessage.loading({ content: t('example.bulkUpdating', { count: changes.length }), key: 'batchUpdateOperation' });
+    
+    try {
+      if (selectedTable.includes('DUMMY')) {
+        setTableData(newData);
+        antMessage.success({ content: t('example.bulkUpdatedMock', { count: changes.length }), key: 'batchUpdateOperation', duration: 2 });
+        return;
+      }
+      
+      logDB('BATCH UPDATE', `${changes.length} records in ${tableName}`, 'STARTED', {
+        ids: changes.map(change => change.id),
+        table: tableName
+      });
+      const startTime = performance.now();
+      
+      const requests = await updateRecordBatch(tableName, changes);
+      
+      const updateTime = (performance.now() - startTime).toFixed(2);
+      antMessage.success({ content: t('example.bulkUpdated', { count: changes.length }), key: 'batchUpdateOperation', duration: 2 });
+      logDB('BATCH UPDATE', `${changes.length} records in ${tableName}`, 'SUCCESS', {
+        timeMs: updateTime,
+        requests,
+        table: tableName
+      });
+      
+      // Refresh data to get server-calculated fields
+      await loadTableData(selectedTable);
+    } catch (error) {
+      antMessage.destroy('batchUpdateOperation');
+      logDB('BATCH UPDATE', `records in ${tableName}`, 'ERROR', {
+        error: error.message,
+        stack: error.stack,
+        table: tableName,
+        sqlErrorCode: error.code
+      });
+      throw error;
+    }
+  };
+
+  const handleBulkAdd = async (records, newData) => {
+    const tableName = getWriteTableName();
+    const isProductTable = tableName === 'product_summary';
+    
+    // Drop the client-side key and, for products, the generated columns
+    const rows = records.map(({ key, ...record }) => {
+      if (!isProductTable) return record;
+      const { profit_margin, needs_reorder, ...productData } = record;
+      return productData;
+    });
+    
+    antMessage.loading({ content: t('example.bulkAdding', { count: rows.length }), key: 'bulkAddOperation' });
+    
+    try {
+      if (selectedTable.includes('DUMMY')) {
+        setTableData(newData);
+        antMessage.success({ content: t('example.bulkAddedMock', { count: rows.length }), key: 'bulkAddOperation', duration: 2 });
+        return records;
+      }
+      
+      logDB('BULK INSERT', `${rows.length} records into ${tableName}`, 'STARTED', { table: tableName });
+      const startTime = performance.now();
+      
+      const data = await insertRecords(tableName, rows);
+      
+      const insertTime = (performance.now() - startTime).toFixed(2);
+      antMessage.success({ content: t('example.bulkAdded', { count: rows.length }), key: 'bulkAddOperation', duration: 2 });
+      logDB('BULK INSERT', `${rows.length} records into ${tableName}`, 'SUCCESS', {
+        timeMs: insertTime,
+        table: tableName,
+        response: data
+      });
+      
+      // Refresh data to get server-assigned IDs
+      await loadTableData(selectedTable);
+      return data;
+    } catch (error) {
+      antMessage.destroy('bulkAddOperation');
+      logDB('BULK INSERT', `records into ${tableName}`, 'ERROR', {
+        error: error.message,
+        stack: error.stack,
+        table: tableName,
+        sqlErrorCode: error.code
+      });
+      throw error;
     }
   };
 
@@ -968,28 +1305,32 @@ const DataTableExample = () => {
   const getTableDisplayName = () => {
     // Check if we're in SQL query mode
     if (localStorage.getItem('currentMode') === 'sql_query') {
-      return localStorage.getItem('sqlQueryLabel') || 'SQL Query Results';
+      return localStorage.getItem('sqlQueryLabel') || t('example.sqlResults');
     }
     
     // Otherwise use normal table names
     switch (selectedTable) {
       case 'product_summary':
-        return 'Products';
       case 'categories':
-        return 'Categories';
       case 'suppliers':
-        return 'Suppliers';
       case 'customers':
-        return 'Customers';
       case 'orders':
-        return 'Orders';
       case 'transactions':
-        return 'Transactions';
+        return t(`example.table.${selectedTable}`);
+      case BENCHMARK_TABLE:
+        return t('example.table.benchmark');
       default:
         return selectedTable.charAt(0).toUpperCase() + selectedTable.slice(1);
     }
   };
 
+  // Keyed rows for the table, recomputed only when the data changes (100k rows in the benchmark)
+  const keyedTableData = useMemo(
+    // Rows added in mock mode have no id yet and keep the table's own key
+    () => tableData.map(item => ({ ...item, key: item.id ?? item.key })),
+    [tableData]
+  );
+
   // Toggle debug console
   const toggleDebugConsole = () => {
     setShowDebugConsole(prev => !prev);
@@ -1289,16 +1630,12 @@ const DataTableExample = () => {
             // Get columns from the first row
             const firstRow = resultData[0];
             const dynamicColumns = Object.keys(firstRow).map(key => {
-              // Try to infer column type
-              const value = firstRow[key];
-              const type = typeof value;
-              
               return {
                 title: key.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
                 dataIndex: key,
                 key: key,
-                type: type === 'number' ? 'number' : 
-                      type === 'boolean' ? 'checkbox' : 'text',
+                // Infer the column type from the first rows
+                type: inferColumnType(key, resultData.slice(0, 20).map(row => row[key])),
                 sorter: true,
                 filterable: true
               };
@@ -1341,7 +1678,7 @@ const DataTableExample = () => {
   };
 
   return (
-    <>
+    <LocaleProvider locale={locale}>
       <div className="sql-explorer" style={{ height: '100%', display: 'flex', flexDirection: 'column', overflow: 'hidden', position: 'relative' }}>
         <div className="explorer-main-area" style={{ display: 'flex', flex: 1, minHeight: 0, overflow: 'hidden' }}>
           {/* Sidebar */}
@@ -1403,42 +1740,33 @@ const DataTableExample = () => {
               color: 'var(--heading-color, rgba(255, 255, 255, 0.85))'
             }}>
               <DatabaseOutlined style={{ marginRight: 10, color: 'var(--primary-color, #1890ff)' }} />
-              SQL Explorer
+              {t('example.title')}
             </h2>
             <p style={{ color: 'var(--text-color-secondary, rgba(255, 255, 255, 0.45))' }}>
-              View and manage all tables in your PostgreSQL database
+              {t('example.subtitle')}
             </p>
             
+            <Select
+              value={locale}
+              onChange={changeLocale}
+              options={LOCALES}
+              style={{ width: '100%', marginBottom: 16 }}
+              aria-label={t('example.language')}
+            />
+            
             <TableSelector 
               selectedTable={selectedTable}
               onSelectTable={handleTableChange}
             />
           
-          {/* Only show filters for product tables */}
-          {(selectedTable === 'product_summary' || selectedTable === 'products') && (
+          {/* Only show filters for product tables, and not over the pages of server mode */}
+          {!serverMode && (selectedTable === 'product_summary' || selectedTable === 'products') && (
             <>
-              <h3 style={{ color: 'var(--heading-color, rgba(255, 255, 255, 0.85))' }}>Filters</h3>
+              <h3 style={{ color: 'var(--heading-color, rgba(255, 255, 255, 0.85))' }}>{t('example.filters')}</h3>
               <div style={{ marginBottom: 16 }}>
-                <div style={{ marginBottom: 8 }}>
-                  <Input
-                    placeholder="Search products..."
-                    value={searchTerm}
-                    onChange={e => setSearchTerm(e.target.value)}
-                    onPressEnter={handleSearch}
-                    style={{ width: '100%' }}
-                    suffix={
-                      <Button 
-                        type="text" 
-                        icon={<SearchOutlined />} 
-                        onClick={handleSearch}
-                      />
-                    }
-                  />
-                </div>
-                
                 <div style={{ marginBottom: 8 }}>
                   <Select
-                    placeholder="Filter by Category"
+                    placeholder={t('example.filterCategory')}
                     allowClear
                     style={{ width: '100%' }}
                     onChange={value => setSelectedCategory(value)}
@@ -1452,16 +1780,15 @@ const DataTableExample = () => {
                 
                 <div style={{ marginBottom: 8 }}>
                   <Select
-                    placeholder="Filter by Status"
+                    placeholder={t('example.filterStatus')}
                     allowClear
                     style={{ width: '100%' }}
                     onChange={value => setSelectedStatus(value)}
                     value={selectedStatus}
                   >
-                    <Option value="active">Active</Option>
-                    <Option value="discontinued">Discontinued</Option>
-                    <Option value="out_of_stock">Out of Stock</Option>
-                    <Option value="backordered">Backordered</Option>
+                    {['active', 'discontinued', 'out_of_stock', 'backordered'].map(status => (
+                      <Option key={status} value={status}>{t(`example.status.${status}`)}</Option>
+                    ))}
                   </Select>
                 </div>
               </div>
@@ -1476,15 +1803,38 @@ const DataTableExample = () => {
             border: '1px solid var(--border-color-split, #303030)',
             color: 'var(--text-color-secondary, rgba(255, 255, 255, 0.45))'
           }}>
-            <h3 style={{ color: 'var(--heading-color, rgba(255, 255, 255, 0.85))' }}>Database Integration</h3>
-            <p>This component connects to PostgreSQL database with:</p>
+            <h3 style={{ color: 'var(--heading-color, rgba(255, 255, 255, 0.85))' }}>{t('example.integration')}</h3>
+            <p>{t('example.integrationIntro')}</p>
             <ul>
-              <li>Dynamic table selection</li>
-              <li>Automatic schema detection</li>
-              <li>CRUD operations</li>
-              <li>Filtering and search</li>
+              <li>{t('example.featureTables')}</li>
+              <li>{t('example.featureSchema')}</li>
+              <li>{t('example.featureCrud')}</li>
+              <li>{t('example.featureFiltering')}</li>
             </ul>
             
+            <div style={{ 
+              marginTop: 16, 
+              display: 'flex', 
+              justifyContent: 'center', 
+              alignItems: 'center',
+              gap: '8px'
+            }}>
+              <Switch 
+                size="small" 
+                checked={serverMode} 
+                onChange={(checked) => {
+                  setServerMode(checked);
+                  // The product filters aren't applied to server pages
+                  if (checked) {
+                    setSelectedCategory(null);
+                    setSelectedStatus(null);
+                  }
+                  logDebug(`Server-side paging ${checked ? 'enabled' : 'disabled'}`, 'info');
+                }} 
+              />
+              <span>{t('example.serverMode')}</span>
+            </div>
+            
             <div style={{ 
               marginTop: 16, 
               display: 'flex', 
@@ -1496,7 +1846,7 @@ const DataTableExample = () => {
                 onClick={() => loadTableData(selectedTable)}
                 loading={loading}
               >
-                Refresh Table Data
+                {t('example.refreshTable')}
               </Button>
               
               {/* Show this button when we're in SQL query results mode */}
@@ -1523,7 +1873,7 @@ const DataTableExample = () => {
                     logDebug(`Restored original table view: ${originalTable}`, 'info');
                   }}
                 >
-                  Back to Original Table
+                  {t('example.backToTable')}
                 </Button>
               )}
             </div>
@@ -1542,13 +1892,38 @@ const DataTableExample = () => {
           }}>
             <DataTable
               tableName={getTableDisplayName()}
+              locale={locale}
               columns={columns}
-              dataSource={tableData.map(item => ({ ...item, key: item.id }))}
+              dataSource={keyedTableData}
               onSave={handleSave}
               onDelete={handleDelete}
               onAdd={handleAdd}
+              onUpdate={handleReorder}
+              onBulkDelete={handleBulkDelete}
+              onBulkUpdate={handleBulkUpdate}
+              onBulkAdd={handleBulkAdd}
+              onBatchUpdate={handleBatchUpdate}
+              selectionType="checkbox"
+              virtual={!serverMode && tableData.length > VIRTUAL_ROW_THRESHOLD}
+              serverMode={serverMode}
+              onQueryChange={handleQueryChange}
+              total={totalRows}
+              layout={tableLayout}
+              onLayoutChange={setTableLayout}
+              loadLookupOptions={fetchLookupOptions}
+              formattingRules={formattingRules}
+              onFormattingRulesChange={handleFormattingRulesChange}
+              detail={tableDetail}
+              titleExtra={
+                <ViewSwitcher
+                  views={views}
+                  currentView={currentView}
+                  onSelect={handleSelectView}
+                  onSave={handleSaveView}
+                  onDelete={handleDeleteView}
+                />
+              }
               loading={loading}
-              formulaEnabled={selectedTable === 'product_summary'}
             />
 
             {tableData.length === 0 && !loading && (
@@ -1558,8 +1933,8 @@ const DataTableExample = () => {
                 color: 'var(--text-color-secondary, rgba(255, 255, 255, 0.45))'
               }}>
                 <div style={{ fontSize: '72px', lineHeight: '72px', marginBottom: '16px' }}>📋</div>
-                <h3 style={{ color: 'var(--heading-color, rgba(255, 255, 255, 0.85))' }}>No data found</h3>
-                <p>This table appears to be empty or not available.</p>
+                <h3 style={{ color: 'var(--heading-color, rgba(255, 255, 255, 0.85))' }}>{t('example.noData')}</h3>
+                <p>{t('example.emptyTable')}</p>
                 <div style={{ marginBottom: '16px' }}>
                   {selectedTable && selectedTable.includes('DUMMY') && (
                     <div style={{
@@ -1571,7 +1946,7 @@ const DataTableExample = () => {
                       borderRadius: '4px',
                       fontWeight: 'bold'
                     }}>
-                      DUMMY DATA MODE ACTIVE
+                      {t('example.dummyData')}
                     </div>
                   )}
                 </div>
@@ -1580,7 +1955,7 @@ const DataTableExample = () => {
                   onClick={() => loadTableData(selectedTable)}
                   style={{ marginTop: '8px' }}
                 >
-                  Refresh Data
+                  {t('example.refreshData')}
                 </Button>
               </div>
             )}
@@ -2126,7 +2501,6 @@ const DataTableExample = () => {
                 )}
               </div>
             </div>
-          </div>
         </div>
       )}
       
@@ -2149,7 +2523,7 @@ const DataTableExample = () => {
       )}
       
       </div>
-    </>
+    </LocaleProvider>
   );
 };
 
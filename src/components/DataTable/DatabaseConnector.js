@@ -5,6 +5,7 @@
 
 // Import the Supabase client
 import { createClient } from '@supabase/supabase-js';
+import { getLookup, inferColumnType } from './columnTypes';
 
 // For secure connection on GitHub Pages:
 // 1. In a real implementation, we'd get these from environment variables
@@ -113,10 +114,16 @@ const mockSupabase = {
   from: (table) => ({
     select: (columns = '*') => ({
       eq: (column, value) => ({
-        order: (column, { ascending }) => ({
+        order: (orderColumn, { ascending }) => ({
           then: (callback) => {
-            console.log(`Querying ${table} with filter ${column}=${value}`);
-            return mockData[table] ? callback({ data: mockData[table], error: null }) : callback({ data: [], error: null });
+            console.log(`Querying ${table} with filter ${column}=${value} ordered by ${orderColumn}`);
+            const sortedData = (mockData[table] || [])
+              .filter(row => row[column] === value)
+              .sort((a, b) => {
+                const result = a[orderColumn] < b[orderColumn] ? -1 : a[orderColumn] > b[orderColumn] ? 1 : 0;
+                return ascending ? result : -result;
+              });
+            return callback({ data: sortedData, error: null });
           }
         }),
         then: (callback) => {
@@ -139,7 +146,11 @@ const mockSupabase = {
       order: (column, { ascending }) => ({
         then: (callback) => {
           console.log(`Querying ${table} ordered by ${column} ${ascending ? 'ASC' : 'DESC'}`);
-          return mockData[table] ? callback({ data: mockData[table], error: null }) : callback({ data: [], error: null });
+          const sortedData = [...(mockData[table] || [])].sort((a, b) => {
+            const result = a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0;
+            return ascending ? result : -result;
+          });
+          return callback({ data: sortedData, error: null });
         }
       }),
       then: (callback) => {
@@ -148,6 +159,12 @@ const mockSupabase = {
       }
     }),
     insert: (data) => ({
+      select: () => ({
+        then: (callback) => {
+          console.log(`Inserting data into ${table}`, data);
+          return callback({ data: [].concat(data), error: null });
+        }
+      }),
       then: (callback) => {
         console.log(`Inserting data into ${table}`, data);
         return callback({ data, error: null });
@@ -159,6 +176,12 @@ const mockSupabase = {
           console.log(`Updating ${table} where ${column}=${value}`, data);
           return callback({ data, error: null });
         }
+      }),
+      in: (column, values) => ({
+        then: (callback) => {
+          console.log(`Updating ${table} where ${column} in (${values.join(', ')})`, data);
+          return callback({ data, error: null });
+        }
       })
     }),
     delete: () => ({
@@ -167,6 +190,12 @@ const mockSupabase = {
           console.log(`Deleting from ${table} where ${column}=${value}`);
           return callback({ data: null, error: null });
         }
+      }),
+      in: (column, values) => ({
+        then: (callback) => {
+          console.log(`Deleting from ${table} where ${column} in (${values.join(', ')})`);
+          return callback({ data: null, error: null });
+        }
       })
     }),
     rpc: (functionName, params) => ({
@@ -187,14 +216,63 @@ const mockSupabase = {
   })
 };
 
+// Synthetic table for checking scroll performance of the virtual table
+export const BENCHMARK_TABLE = 'benchmark_rows_DUMMY';
+export const BENCHMARK_ROW_COUNT = 100000;
+
+let benchmarkRows = null;
+
+/**
+ * Generates deterministic benchmark rows (the same seed always yields the same data)
+ * @param {number} count - Number of rows to generate
+ * @returns {Array} - Generated rows
+ */
+export const generateBenchmarkRows = (count = BENCHMARK_ROW_COUNT) => {
+  const categories = ['Electronics', 'Office Supplies', 'Furniture', 'Kitchen', 'Books'];
+  const warehouses = ['North', 'South', 'East', 'West'];
+  const statuses = ['active', 'active', 'active', 'discontinued', 'out_of_stock'];
+  const baseDate = Date.UTC(2024, 0, 1);
+  
+  // Small linear congruential generator, Math.random would change the data on every load
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+  };
+  
+  const rows = new Array(count);
+  for (let i = 0; i < count; i++) {
+    const category = categories[Math.floor(random() * categories.length)];
+    rows[i] = {
+      id: i + 1,
+      sku: `${category.charAt(0)}-BENCH-${String(i + 1).padStart(6, '0')}`,
+      name: `${category} item ${i + 1}`,
+      category,
+      warehouse: warehouses[Math.floor(random() * warehouses.length)],
+      price: Math.round(random() * 100000) / 100,
+      quantity: Math.floor(random() * 500),
+      status: statuses[Math.floor(random() * statuses.length)],
+      updated_at: new Date(baseDate + Math.floor(random() * 365) * 86400000).toISOString().slice(0, 10)
+    };
+  }
+  return rows;
+};
+
 // Mock data for our tables
 const mockData = {
+  // Generated on first access, 100k rows are too many to build on every import
+  get [BENCHMARK_TABLE]() {
+    if (!benchmarkRows) {
+      benchmarkRows = generateBenchmarkRows();
+    }
+    return benchmarkRows;
+  },
   categories: [
-    { id: 1, name: 'Electronics', description: 'Electronic devices and accessories' },
-    { id: 2, name: 'Office Supplies', description: 'Office stationary and supplies' },
-    { id: 3, name: 'Furniture', description: 'Office and home furniture' },
-    { id: 4, name: 'Kitchen', description: 'Kitchen appliances and utensils' },
-    { id: 5, name: 'Books', description: 'Books and publications' }
+    { id: 1, name: 'Electronics', description: 'Electronic devices and accessories', sort_order: 1 },
+    { id: 2, name: 'Office Supplies', description: 'Office stationary and supplies', sort_order: 2 },
+    { id: 3, name: 'Furniture', description: 'Office and home furniture', sort_order: 3 },
+    { id: 4, name: 'Kitchen', description: 'Kitchen appliances and utensils', sort_order: 4 },
+    { id: 5, name: 'Books', description: 'Books and publications', sort_order: 5 }
   ],
   // Map categories to products for easier filtering
   category_map: {
@@ -209,6 +287,15 @@ const mockData = {
     { id: 2, category_id: 1, sku: 'E-PHONE-002', name: 'Smartphone X', description: 'Latest smartphone model with dual camera', price: 899.99, cost: 650.00, quantity: 42, reorder_level: 10, status: 'active' },
     // Additional products would be here
   ],
+  transactions: [
+    { id: 1, product_id: 1, type: 'purchase', quantity: 20, transaction_date: '2024-02-01T09:00:00.000Z', note: 'Initial stock' },
+    { id: 2, product_id: 1, type: 'sale', quantity: -3, transaction_date: '2024-02-12T14:30:00.000Z', note: null },
+    { id: 3, product_id: 1, type: 'purchase', quantity: 10, transaction_date: '2024-03-04T10:15:00.000Z', note: 'Reorder' },
+    { id: 4, product_id: 2, type: 'purchase', quantity: 50, transaction_date: '2024-02-03T08:45:00.000Z', note: 'Initial stock' },
+    { id: 5, product_id: 2, type: 'sale', quantity: -8, transaction_date: '2024-02-20T16:00:00.000Z', note: null },
+    { id: 6, product_id: 3, type: 'purchase', quantity: 30, transaction_date: '2024-02-05T11:20:00.000Z', note: 'Initial stock' },
+    { id: 7, product_id: 6, type: 'adjustment', quantity: -1, transaction_date: '2024-03-01T12:00:00.000Z', note: 'Damaged in storage' }
+  ],
   product_summary: [
     { id: 1, sku: 'E-LAPTOP-001', name: 'Business Laptop', description: '15-inch business laptop with 16GB RAM', category: 'Electronics', price: 1299.99, cost: 950.00, quantity: 25, reorder_level: 5, status: 'active', profit_margin: 349.99, needs_reorder: false },
     { id: 2, sku: 'E-PHONE-002', name: 'Smartphone X', description: 'Latest smartphone model with dual camera', category: 'Electronics', price: 899.99, cost: 650.00, quantity: 42, reorder_level: 10, status: 'active', profit_margin: 249.99, needs_reorder: false },
@@ -238,6 +325,151 @@ const mockData = {
   ]
 };
 
+// Transactions of a product, newest first; used by both product tables
+const PRODUCT_TRANSACTIONS = {
+  title: 'Transactions',
+  table: 'transactions',
+  foreignKey: 'product_id',
+  load: (product) => fetchProductTransactions(product.id),
+  add: (product, transaction) => recordTransaction({ ...transaction, product_id: product.id }),
+};
+
+/**
+ * Per-table settings that cannot be inferred from a sample row.
+ * - orderColumn: integer column holding the manual row order (used for
+ *   drag-and-drop reordering and as the default load order)
+ * - lookups: foreign key columns shown as lookup columns, by field, e.g.
+ *   { category_id: { table: 'categories', valueField: 'id', labelField: 'name' } }
+ * - aggregates: aggregate of each column in group header rows and the footer, by field,
+ *   e.g. { quantity: 'sum' } (see aggregates.js for custom ones)
+ * - formatting: conditional formatting rules of each column, by field (see formatting.js)
+ * - formulas: formula columns added after the table's own columns, e.g.
+ *   [{ title: 'Stock Value', dataIndex: 'stock_value', formula: '=price * quantity', resultType: 'currency' }]
+ * - detail: related rows shown when a row is expanded, see getTableDetail
+ */
+const tableSettings = {
+  categories: { orderColumn: 'sort_order' },
+  product_summary: {
+    aggregates: {
+      // Inventory value at list price, below the price column
+      price: {
+        label: 'Value',
+        compute: (values, rows) => rows.reduce((sum, row) => sum + (Number(row.price) || 0) * (Number(row.quantity) || 0), 0),
+      },
+      cost: 'avg',
+      quantity: 'sum',
+      profit_margin: 'avg',
+      sku: 'count',
+      category: 'distinct',
+    },
+    formatting: {
+      needs_reorder: [{ target: 'row', condition: 'needs_reorder=true', style: 'danger' }],
+      quantity: [{ condition: 'quantity<reorder_level', style: 'bold' }],
+      profit_margin: [{ type: 'scale' }],
+    },
+    // Stock profit uses the stock value, so it is computed after it
+    formulas: [
+      { title: 'Stock Value', dataIndex: 'stock_value', formula: '=price * quantity', resultType: 'currency' },
+      { title: 'Stock Profit', dataIndex: 'stock_profit', formula: '=stock_value - cost * quantity', resultType: 'currency' },
+      { title: 'Margin %', dataIndex: 'margin_pct', formula: '=IF(price > 0, ROUND(profit_margin / price * 100, 1))', resultType: 'percent' },
+    ],
+    detail: PRODUCT_TRANSACTIONS,
+  },
+  products: {
+    lookups: { category_id: { table: 'categories', valueField: 'id', labelField: 'name' } },
+    detail: PRODUCT_TRANSACTIONS,
+  },
+  orders: {
+    lookups: { customer_id: { table: 'customers', valueField: 'id', labelField: 'name' } },
+  },
+  transactions: {
+    lookups: { product_id: { table: 'products', valueField: 'id', labelField: 'name' } },
+  },
+};
+
+/**
+ * Gets the declared settings for a table
+ * @param {string} tableName - Table name (schema-qualified names are accepted)
+ * @returns {Object} - Table settings (empty object if none are declared)
+ */
+export const getTableSettings = (tableName) => {
+  return tableSettings[tableName.split('.').pop()] || {};
+};
+
+/**
+ * Declares settings for a table, e.g. registerTableSettings('tasks', { orderColumn: 'position' })
+ * @param {string} tableName - Table name
+ * @param {Object} settings - Settings to merge into the existing declaration
+ */
+export const registerTableSettings = (tableName, settings) => {
+  const table = tableName.split('.').pop();
+  tableSettings[table] = { ...tableSettings[table], ...settings };
+};
+
+/**
+ * PostgREST select for a table that embeds the label of each lookup column, e.g.
+ * '*, categories:categories!category_id(name)'. The "!category_id" hint picks the
+ * foreign key, so the same table can be referenced by several columns (give each an alias).
+ * @param {string} tableName - Table name (schema-qualified names are accepted)
+ * @returns {string} - Select string ('*' for tables without lookups)
+ */
+export const getLookupSelect = (tableName) => {
+  const { lookups = {} } = getTableSettings(tableName);
+  const embeds = Object.entries(lookups).map(([field, reference]) => {
+    const { table, labelField, alias } = getLookup({ lookup: reference });
+    return `${alias}:${table.split('.').pop()}!${field}(${labelField})`;
+  });
+  return ['*', ...embeds].join(', ');
+};
+
+// How many options a lookup select shows per search
+const LOOKUP_OPTION_LIMIT = 50;
+
+/**
+ * Options for a lookup column's select, read from the referenced table
+ * @param {Object} reference - { table, valueField, labelField } of the lookup column
+ * @param {Object} options
+ * @param {string} options.search - Only rows whose label contains this text
+ * @param {Array} options.values - Only the rows with these keys (to label existing values)
+ * @returns {Promise<Array>} - Options of the form { value, label }
+ */
+export const fetchLookupOptions = async (reference, { search = '', values } = {}) => {
+  const { table, valueField, labelField } = getLookup({ lookup: reference });
+  const toOption = (row) => ({ value: row[valueField], label: String(row[labelField] ?? row[valueField]) });
+  
+  if (supabase === mockSupabase) {
+    let rows = mockData[table.split('.').pop()] || [];
+    if (values) {
+      const keys = values.map(String);
+      rows = rows.filter(row => keys.includes(String(row[valueField])));
+    } else if (search) {
+      rows = rows.filter(row => String(row[labelField]).toLowerCase().includes(search.toLowerCase()));
+    }
+    return rows.slice(0, values ? undefined : LOOKUP_OPTION_LIMIT).map(toOption);
+  }
+  
+  const [schema, name] = table.includes('.') ? table.split('.') : [null, table];
+  let request = supabase
+    .from(name)
+    .select(`${valueField}, ${labelField}`, schema && schema !== 'public' ? { schema } : undefined);
+  
+  if (values) {
+    request = request.in(valueField, values);
+  } else {
+    if (search) {
+      request = request.ilike(labelField, `%${search}%`);
+    }
+    request = request.order(labelField, { ascending: true }).limit(LOOKUP_OPTION_LIMIT);
+  }
+  
+  const { data, error } = await request;
+  if (error) {
+    console.error(`❌ Error loading options from ${table}:`, error);
+    throw error;
+  }
+  return (data || []).map(toOption);
+};
+
 /**
  * Function to test CORS configuration with Supabase
  * @param {string} url - Supabase URL
@@ -469,6 +701,7 @@ export const getProductColumns = () => {
       required: true,
       sorter: true,
       filterable: true,
+      validation: { minLength: 3 },
     },
     {
       title: 'Name',
@@ -477,6 +710,7 @@ export const getProductColumns = () => {
       required: true,
       sorter: true,
       filterable: true,
+      validation: { minLength: 2 },
     },
     {
       title: 'Category',
@@ -489,16 +723,18 @@ export const getProductColumns = () => {
     {
       title: 'Price',
       dataIndex: 'price',
-      type: 'number',
+      type: 'currency',
       required: true,
       sorter: true,
+      validation: { min: 0 },
     },
     {
       title: 'Cost',
       dataIndex: 'cost',
-      type: 'number',
+      type: 'currency',
       required: false,
       sorter: true,
+      validation: { min: 0, compare: [{ operator: '<=', field: 'price' }] },
     },
     {
       title: 'Quantity',
@@ -506,12 +742,14 @@ export const getProductColumns = () => {
       type: 'number',
       required: true,
       sorter: true,
+      validation: { min: 0, integer: true },
     },
     {
       title: 'Reorder Level',
       dataIndex: 'reorder_level',
       type: 'number',
       required: true,
+      validation: { min: 0, integer: true },
     },
     {
       title: 'Status',
@@ -530,7 +768,7 @@ export const getProductColumns = () => {
     {
       title: 'Profit Margin',
       dataIndex: 'profit_margin',
-      type: 'number',
+      type: 'currency',
       readOnly: true,
       sorter: true,
     },
@@ -555,12 +793,13 @@ export const saveProduct = async (product, isNew = false) => {
     if (isNew) {
       console.log('Creating new product in database:', product);
       
-      // Prepare the product data - omit derived fields
-      const { profit_margin, needs_reorder, ...productData } = product;
+      // Prepare the product data - omit derived fields and the table's row key
+      const { profit_margin, needs_reorder, key, ...productData } = product;
       
       const { data, error } = await supabase
         .from('product_summary')
-        .insert(productData);
+        .insert(productData)
+        .select();
         
       if (error) {
         console.error('Error inserting product into database:', error);
@@ -568,7 +807,7 @@ export const saveProduct = async (product, isNew = false) => {
       }
       
       console.log('Product inserted successfully into database:', data);
-      return data || product; // Return the response data or original product
+      return (data && data[0]) || product; // Return the stored row or original product
     } else {
       console.log('Updating product in database:', product);
       
@@ -623,6 +862,327 @@ export const deleteProduct = async (id) => {
   }
 };
 
+/**
+ * Deletes several records from a table in a single request
+ * @param {string} tableName - Table name (schema-qualified names are accepted)
+ * @param {Array} ids - Primary key values of the records to delete
+ * @param {string} idColumn - Primary key column
+ * @returns {Promise<boolean>} - Success status
+ */
+export const deleteRecords = async (tableName, ids, idColumn = 'id') => {
+  const table = tableName.split('.').pop();
+  console.log(`Deleting ${ids.length} records from ${table}`);
+  
+  const { error } = await supabase
+    .from(table)
+    .delete()
+    .in(idColumn, ids);
+    
+  if (error) {
+    console.error(`❌ Error deleting records from ${table}:`, error);
+    throw error;
+  }
+  
+  console.log(`✅ Deleted ${ids.length} records from ${table}`);
+  return true;
+};
+
+/**
+ * Applies the same field changes to several records in a single request
+ * @param {string} tableName - Table name (schema-qualified names are accepted)
+ * @param {Array} ids - Primary key values of the records to update
+ * @param {Object} patch - Field values to set on every record
+ * @param {string} idColumn - Primary key column
+ * @returns {Promise<Array>} - Updated data returned by the database
+ */
+export const updateRecords = async (tableName, ids, patch, idColumn = 'id') => {
+  const table = tableName.split('.').pop();
+  console.log(`Updating ${ids.length} records in ${table}:`, patch);
+  
+  const { data, error } = await supabase
+    .from(table)
+    .update(patch)
+    .in(idColumn, ids);
+    
+  if (error) {
+    console.error(`❌ Error updating records in ${table}:`, error);
+    throw error;
+  }
+  
+  console.log(`✅ Updated ${ids.length} records in ${table}`);
+  return data;
+};
+
+/**
+ * Applies different field changes to several records, e.g. pasted cells. Records
+ * with the same changes are updated together, so filling a value down a column
+ * takes a single request. The requests are sent one after the other; when some
+ * fail, the others are still sent and the error lists the records not updated.
+ * @param {string} tableName - Table name (schema-qualified names are accepted)
+ * @param {Array<Object>} updates - Changes as [{ id, values }]
+ * @param {string} idColumn - Primary key column
+ * @returns {Promise<number>} - Number of update requests sent
+ * @throws {Error} - With failedIds, the ids of the records that were not updated
+ */
+export const updateRecordBatch = async (tableName, updates, idColumn = 'id') => {
+  const groups = new Map();
+  updates.forEach(({ id, values }) => {
+    const patchKey = JSON.stringify(values);
+    if (!groups.has(patchKey)) groups.set(patchKey, { patch: values, ids: [] });
+    groups.get(patchKey).ids.push(id);
+  });
+  
+  const failedIds = [];
+  let firstError;
+  for (const { patch, ids } of groups.values()) {
+    try {
+      await updateRecords(tableName, ids, patch, idColumn);
+    } catch (error) {
+      failedIds.push(...ids);
+      firstError = firstError || error;
+    }
+  }
+  
+  if (failedIds.length > 0) {
+    const error = new Error(
+      `Could not update ${failedIds.length} of ${updates.length} records (${idColumn} ${failedIds.join(', ')}): ${firstError.message}`
+    );
+    error.failedIds = failedIds;
+    error.code = firstError.code;
+    throw error;
+  }
+  return groups.size;
+};
+
+/**
+ * Inserts several records into a table in a single request
+ * @param {string} tableName - Table name (schema-qualified names are accepted)
+ * @param {Array<Object>} records - Records to insert
+ * @returns {Promise<Array>} - Inserted data returned by the database
+ */
+export const insertRecords = async (tableName, records) => {
+  const table = tableName.split('.').pop();
+  console.log(`Inserting ${records.length} records into ${table}`);
+  
+  const { data, error } = await supabase
+    .from(table)
+    .insert(records)
+    .select();
+    
+  if (error) {
+    console.error(`❌ Error inserting records into ${table}:`, error);
+    throw error;
+  }
+  
+  console.log(`✅ Inserted ${records.length} records into ${table}`);
+  return data || records;
+};
+
+/**
+ * Works out which rows need a new order value after rows were reordered.
+ * The existing order values are reused in ascending order, so only rows whose
+ * position actually changed get a new value. Rows are renumbered 1..n when
+ * the current values are missing or not unique, which needs all rows of the table:
+ * for a part of them, e.g. one page in server mode, the new numbers would collide
+ * with the values of the other rows, so it throws instead.
+ * @param {Array<Object>} orderedRows - Rows in their new display order
+ * @param {string} orderColumn - Column holding the row order
+ * @param {string} idColumn - Primary key column
+ * @param {Object} options - { partial: whether orderedRows are only some of the table's rows }
+ * @returns {Array<Object>} - Changes as { id, value } pairs
+ * @throws {Error} - When partial rows have missing or duplicate order values
+ */
+export const getRowOrderChanges = (orderedRows, orderColumn, idColumn = 'id', { partial = false } = {}) => {
+  const currentValues = orderedRows.map(row => row[orderColumn]);
+  const canReuse = currentValues.every(value => typeof value === 'number') &&
+    new Set(currentValues).size === currentValues.length;
+  
+  if (!canReuse && partial) {
+    throw new Error(`Rows can't be reordered by ${orderColumn} here, its values are missing or not unique`);
+  }
+  
+  const newValues = canReuse
+    ? [...currentValues].sort((a, b) => a - b)
+    : orderedRows.map((_, index) => index + 1);
+  
+  return orderedRows
+    .map((row, index) => ({ id: row[idColumn], value: newValues[index], previous: row[orderColumn] }))
+    .filter(change => change.value !== change.previous)
+    .map(({ id, value }) => ({ id, value }));
+};
+
+/**
+ * Persists a new row order by writing only the changed positions
+ * @param {string} tableName - Table name (schema-qualified names are accepted)
+ * @param {Array<Object>} orderedRows - Rows in their new display order
+ * @param {string} orderColumn - Column holding the row order
+ * @param {string} idColumn - Primary key column
+ * @param {Object} options - { partial }, see getRowOrderChanges
+ * @returns {Promise<Array>} - The changes that were written
+ */
+export const saveRowOrder = async (tableName, orderedRows, orderColumn, idColumn = 'id', options = {}) => {
+  const table = tableName.split('.').pop();
+  const changes = getRowOrderChanges(orderedRows, orderColumn, idColumn, options);
+  
+  if (changes.length === 0) {
+    console.log(`Row order for ${table} unchanged`);
+    return changes;
+  }
+  
+  console.log(`Saving order of ${changes.length} rows in ${table}.${orderColumn}`);
+  
+  const results = await Promise.all(changes.map(change => supabase
+    .from(table)
+    .update({ [orderColumn]: change.value })
+    .eq(idColumn, change.id)));
+  
+  const failed = results.find(result => result.error);
+  if (failed) {
+    console.error(`❌ Error saving row order for ${table}:`, failed.error);
+    throw failed.error;
+  }
+  
+  console.log(`✅ Saved order of ${changes.length} rows in ${table}`);
+  return changes;
+};
+
+// Local views are kept in localStorage under this prefix plus the table name
+const VIEWS_STORAGE_PREFIX = 'dataTableViews:';
+
+const readLocalViews = (tableName) => {
+  try {
+    return JSON.parse(localStorage.getItem(VIEWS_STORAGE_PREFIX + tableName)) || [];
+  } catch (e) {
+    return [];
+  }
+};
+
+const writeLocalViews = (tableName, views) => {
+  localStorage.setItem(VIEWS_STORAGE_PREFIX + tableName, JSON.stringify(views));
+};
+
+/**
+ * Fetches the saved views of a table: local views from this browser plus shared
+ * views from the `table_views` table (skipped when that table is not available)
+ * @param {string} tableName - Table the views belong to
+ * @returns {Promise<Array>} - Views of the form { name, layout, shared }
+ */
+export const fetchTableViews = async (tableName) => {
+  const localViews = readLocalViews(tableName).map(view => ({ ...view, shared: false }));
+  
+  if (supabase === mockSupabase) {
+    return localViews;
+  }
+  
+  try {
+    const { data, error } = await supabase
+      .from('table_views')
+      .select('*')
+      .eq('table_name', tableName)
+      .order('name', { ascending: true });
+    
+    if (error) throw error;
+    
+    return [
+      ...localViews,
+      ...data.map(row => ({ name: row.name, layout: row.layout, shared: true }))
+    ];
+  } catch (error) {
+    console.log(`Shared views for ${tableName} not available:`, error.message);
+    return localViews;
+  }
+};
+
+/**
+ * Saves a view, replacing any view of the same name and storage
+ * @param {string} tableName - Table the view belongs to
+ * @param {Object} view - View to save
+ * @param {string} view.name - View name
+ * @param {Object} view.layout - Column layout from DataTable's onLayoutChange, null for
+ *   the default layout
+ * @param {boolean} view.shared - Store in `table_views` instead of this browser
+ * @returns {Promise<Object>} - The saved view
+ */
+export const saveTableView = async (tableName, view) => {
+  // A layout without column entries is the default one; layout is never stored as null
+  const layout = view.layout || { columns: [] };
+  
+  if (view.shared && supabase !== mockSupabase) {
+    const { error } = await supabase
+      .from('table_views')
+      .upsert(
+        { table_name: tableName, name: view.name, layout },
+        { onConflict: 'table_name,name' }
+      );
+    
+    if (error) {
+      console.error(`❌ Error saving view ${view.name}:`, error);
+      throw error;
+    }
+    
+    return { ...view, layout };
+  }
+  
+  if (view.shared) {
+    console.log('⚠️ No database connection, saving the shared view in this browser instead');
+  }
+  
+  const views = readLocalViews(tableName).filter(existing => existing.name !== view.name);
+  writeLocalViews(tableName, [...views, { name: view.name, layout }]);
+  return { ...view, layout, shared: false };
+};
+
+/**
+ * Deletes a saved view
+ * @param {string} tableName - Table the view belongs to
+ * @param {Object} view - View to delete (its name and storage identify it)
+ * @returns {Promise<void>}
+ */
+export const deleteTableView = async (tableName, view) => {
+  if (view.shared && supabase !== mockSupabase) {
+    const { error } = await supabase
+      .from('table_views')
+      .delete()
+      .eq('table_name', tableName)
+      .eq('name', view.name);
+    
+    if (error) {
+      console.error(`❌ Error deleting view ${view.name}:`, error);
+      throw error;
+    }
+    return;
+  }
+  
+  writeLocalViews(tableName, readLocalViews(tableName).filter(existing => existing.name !== view.name));
+};
+
+// Conditional formatting rules added in the rule editor, by table, in localStorage
+const FORMATTING_STORAGE_PREFIX = 'dataTableFormatting:';
+
+/**
+ * Fetches the conditional formatting rules users added to a table in this browser
+ * @param {string} tableName - Table the rules belong to
+ * @returns {Promise<Array>} - Rules as passed to DataTable's formattingRules
+ */
+export const fetchFormattingRules = async (tableName) => {
+  try {
+    return JSON.parse(localStorage.getItem(FORMATTING_STORAGE_PREFIX + tableName)) || [];
+  } catch (e) {
+    return [];
+  }
+};
+
+/**
+ * Stores a table's conditional formatting rules in this browser
+ * @param {string} tableName - Table the rules belong to
+ * @param {Array} rules - Rules from DataTable's onFormattingRulesChange
+ * @returns {Promise<Array>} - The saved rules
+ */
+export const saveFormattingRules = async (tableName, rules) => {
+  localStorage.setItem(FORMATTING_STORAGE_PREFIX + tableName, JSON.stringify(rules));
+  return rules;
+};
+
 /**
  * Fetches transactions for a specific product
  * @param {number} productId - Product ID
@@ -655,17 +1215,35 @@ export const recordTransaction = async (transaction) => {
   try {
     const { data, error } = await supabase
       .from('transactions')  // Without schema prefix
-      .insert(transaction);
+      .insert(transaction)
+      .select();
       
     if (error) throw error;
     console.log('Transaction recorded successfully');
-    return data;
+    // The stored row carries the id the database assigned
+    return data && data[0] ? data[0] : transaction;
   } catch (e) {
     console.log('Mocked transaction insert operation:', e.message);
     return transaction; // Return the transaction as if it was saved
   }
 };
 
+// Lists the generated benchmark table after the real ones during development
+const withBenchmarkTable = (tables) => {
+  if (!import.meta.env.DEV) return tables;
+  
+  return [
+    ...tables,
+    {
+      id: BENCHMARK_TABLE,
+      name: 'Benchmark Rows (DUMMY)',
+      description: `${BENCHMARK_ROW_COUNT.toLocaleString()} generated rows for virtual scrolling`,
+      hasData: true,
+      schema: 'mock'
+    }
+  ];
+};
+
 /**
  * Fetches all available tables from the database
  * @returns {Promise<Array>} - List of table names
@@ -732,7 +1310,7 @@ export const fetchAvailableTables = async () => {
           }
           
           // We found tables via SQL, return early
-          return accessibleTables;
+          return withBenchmarkTable(accessibleTables);
         } else {
           console.log('SQL query failed, trying direct table access next');
         }
@@ -846,7 +1424,7 @@ export const fetchAvailableTables = async () => {
     // If we found real tables, use them
     if (accessibleTables.length > 0) {
       console.log(`✅ Found ${accessibleTables.length} accessible tables in database`);
-      return accessibleTables;
+      return withBenchmarkTable(accessibleTables);
     }
     
     // If no tables found, throw an error
@@ -860,9 +1438,53 @@ export const fetchAvailableTables = async () => {
 /**
  * Fetches table data based on table name
  * @param {string} tableName - Name of the table to fetch
+ * @param {Object} options - Query options
+ * @param {string} options.orderBy - Column to order by (defaults to the table's declared orderColumn)
  * @returns {Promise<Array>} - Table data
  */
-export const fetchTableData = async (tableName) => {
+export const fetchTableData = async (tableName, options = {}) => {
+  // The benchmark table only exists in the mock data
+  if (tableName === BENCHMARK_TABLE) {
+    return mockData[BENCHMARK_TABLE];
+  }
+  
+  const orderBy = options.orderBy !== undefined 
+    ? options.orderBy 
+    : getTableSettings(tableName).orderColumn;
+  const columns = getLookupSelect(tableName);
+  
+  if (columns === '*') {
+    return fetchOrderedTableData(tableName, orderBy, columns);
+  }
+  
+  try {
+    return await fetchOrderedTableData(tableName, orderBy, columns);
+  } catch (error) {
+    // The foreign keys may not exist in this database, load without the lookup labels
+    console.log(`Loading ${tableName} with lookup labels failed, loading without:`, error.message);
+    return fetchOrderedTableData(tableName, orderBy, '*');
+  }
+};
+
+const fetchOrderedTableData = async (tableName, orderBy, columns) => {
+  if (!orderBy) {
+    return queryTableData(tableName, null, columns);
+  }
+  
+  try {
+    return await queryTableData(tableName, orderBy, columns);
+  } catch (error) {
+    // The order column may not exist yet in this database, load unordered instead
+    console.log(`Ordering ${tableName} by ${orderBy} failed, loading unordered:`, error.message);
+    return queryTableData(tableName, null, columns);
+  }
+};
+
+// Runs the select for fetchTableData, optionally ordered by a column
+const queryTableData = async (tableName, orderBy, columns = '*') => {
+  // Apply the requested row order, if any
+  const withOrder = (query) => orderBy ? query.order(orderBy, { ascending: true }) : query;
+  
   try {
     // Try to fetch from actual database
     // Handle schema-qualified table names (format: schema.table)
@@ -872,9 +1494,9 @@ export const fetchTableData = async (tableName) => {
     
     // If no schema was specified, try public schema first (default)  
     if (!schema) {
-      const { data, error } = await supabase
+      const { data, error } = await withOrder(supabase
         .from(tableName)
-        .select('*');
+        .select(columns));
       
       if (!error) {
         console.log(`✅ Successfully fetched ${data?.length || 0} rows from ${tableName} (public schema)`);
@@ -884,9 +1506,9 @@ export const fetchTableData = async (tableName) => {
       // If public schema failed, try inventory schema
       console.log(`Trying inventory.${tableName} as fallback...`);
       try {
-        const inventoryResult = await supabase
+        const inventoryResult = await withOrder(supabase
           .from(tableName)
-          .select('*', { schema: 'inventory' });
+          .select(columns, { schema: 'inventory' }));
           
         if (!inventoryResult.error) {
           console.log(`✅ Successfully fetched ${inventoryResult.data?.length || 0} rows from inventory.${tableName}`);
@@ -901,9 +1523,9 @@ export const fetchTableData = async (tableName) => {
       // Schema was explicitly specified
       if (schema === 'inventory') {
         // Use proper Supabase syntax for inventory schema
-        const { data, error } = await supabase
+        const { data, error } = await withOrder(supabase
           .from(table)
-          .select('*', { schema: 'inventory' });
+          .select(columns, { schema: 'inventory' }));
           
         if (error) {
           console.error(`❌ Error fetching data from ${tableName}: ${error.message}`);
@@ -914,9 +1536,9 @@ export const fetchTableData = async (tableName) => {
         return data;
       } else {
         // For other schemas (including public), use as provided
-        const { data, error } = await supabase
+        const { data, error } = await withOrder(supabase
           .from(table)
-          .select('*', schema === 'public' ? undefined : { schema });
+          .select(columns, schema === 'public' ? undefined : { schema }));
           
         if (error) {
           console.error(`❌ Error fetching data from ${tableName}: ${error.message}`);
@@ -933,12 +1555,397 @@ export const fetchTableData = async (tableName) => {
   }
 };
 
+// A LIKE pattern matching the text anywhere, with its %, _ and \ taken literally
+const toContainsPattern = (text) => `%${String(text).replace(/[\\%_]/g, '\\$&')}%`;
+
+// Applies one serverMode filter to a PostgREST query
+const applyServerFilter = (query, { field, operator, value }) => {
+  switch (operator) {
+    case 'eq':
+      return query.eq(field, value);
+    case 'ilike':
+      return query.ilike(field, toContainsPattern(value));
+    case 'gt':
+      return query.gt(field, value);
+    case 'gte':
+      return query.gte(field, value);
+    case 'lt':
+      return query.lt(field, value);
+    case 'lte':
+      return query.lte(field, value);
+    case 'in':
+      return query.in(field, value);
+    case 'ov':
+      return query.overlaps(field, value);
+    default:
+      throw new Error(`Unsupported filter operator: ${operator}`);
+  }
+};
+
 /**
- * Gets column definitions for a specific table
+ * PostgREST filter for DataTable's quick search: rows where any of the fields contains
+ * the term, ignoring case. The term is quoted, so commas and parentheses in it are
+ * taken literally, and % and _ in it are escaped, so "50%" doesn't match "500".
+ * @param {Object} search - { fields, value } from the query descriptor
+ * @returns {string} - Filter for supabase's or(), e.g. 'name.ilike."%desk%",sku.ilike."%desk%"'
+ */
+export const buildSearchFilter = ({ fields, value }) => {
+  const quoted = `"${toContainsPattern(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  return fields.map(field => `${field}.ilike.${quoted}`).join(',');
+};
+
+// Evaluates a query descriptor in memory, with the same semantics as the PostgREST query
+const applyQueryToRows = (rows, { page, pageSize, sort = [], filters = [], search = null }) => {
+  const matches = (row, { field, operator, value }) => {
+    const cellValue = row[field];
+    switch (operator) {
+      case 'eq':
+        return String(cellValue) === String(value);
+      case 'ilike':
+        return cellValue != null && String(cellValue).toLowerCase().includes(String(value).toLowerCase());
+      case 'gt':
+        return cellValue != null && cellValue > value;
+      case 'gte':
+        return cellValue != null && cellValue >= value;
+      case 'lt':
+        return cellValue != null && cellValue < value;
+      case 'lte':
+        return cellValue != null && cellValue <= value;
+      case 'in':
+        return value.some(option => String(option) === String(cellValue));
+      case 'ov':
+        return Array.isArray(cellValue) && value.some(option => cellValue.map(String).includes(String(option)));
+      default:
+        throw new Error(`Unsupported filter operator: ${operator}`);
+    }
+  };
+  
+  const matchesSearch = (row) => !search || search.fields.some(field => (
+    matches(row, { field, operator: 'ilike', value: search.value })
+  ));
+  
+  const filtered = rows.filter(row => filters.every(filter => matches(row, filter)) && matchesSearch(row));
+  
+  if (sort.length > 0) {
+    filtered.sort((a, b) => {
+      for (const { field, order, nulls = 'last' } of sort) {
+        if (a[field] === b[field]) continue;
+        
+        const aEmpty = a[field] == null;
+        const bEmpty = b[field] == null;
+        if (aEmpty || bEmpty) {
+          if (aEmpty && bEmpty) continue;
+          return aEmpty === (nulls === 'first') ? -1 : 1;
+        }
+        
+        const result = a[field] > b[field] ? 1 : -1;
+        return order === 'desc' ? -result : result;
+      }
+      return 0;
+    });
+  }
+  
+  const from = (page - 1) * pageSize;
+  return { data: filtered.slice(from, from + pageSize), count: filtered.length };
+};
+
+/**
+ * Fetches one page of a table for DataTable's serverMode
+ * @param {string} tableName - Name of the table (schema-qualified names are accepted)
+ * @param {Object} query - Query descriptor emitted by DataTable
+ * @param {number} query.page - 1-based page number
+ * @param {number} query.pageSize - Rows per page
+ * @param {Array} query.sort - Sort list in priority order, e.g. [{ field: 'price', order: 'desc', nulls: 'last' }]
+ * @param {Array} query.filters - Filter list, e.g. [{ field: 'name', operator: 'ilike', value: 'desk' }]
+ *   (operators: eq, ilike, gt, gte, lt, lte, in)
+ * @param {Object|null} query.search - Quick search, e.g. { fields: ['name', 'sku'], value: 'desk' }:
+ *   rows where any of the fields contains the value
+ * @returns {Promise<{data: Array, count: number}>} - Rows of the page and the exact number of matching rows
+ */
+export const fetchTablePage = async (tableName, query) => {
+  // Mock tables are paged in memory
+  if (tableName === BENCHMARK_TABLE || supabase === mockSupabase) {
+    return applyQueryToRows(mockData[tableName.split('.').pop()] || [], query);
+  }
+  
+  const [schema, table] = tableName.includes('.') 
+    ? tableName.split('.') 
+    : [null, tableName];
+  const from = (query.page - 1) * query.pageSize;
+  
+  const runQuery = (selectOptions, columns = getLookupSelect(tableName)) => {
+    let request = supabase
+      .from(table)
+      .select(columns, { count: 'exact', ...selectOptions });
+    
+    (query.filters || []).forEach(filter => {
+      request = applyServerFilter(request, filter);
+    });
+    if (query.search) {
+      request = request.or(buildSearchFilter(query.search));
+    }
+    (query.sort || []).forEach(({ field, order, nulls }) => {
+      request = request.order(field, { ascending: order !== 'desc', nullsFirst: nulls === 'first' });
+    });
+    
+    return request.range(from, from + query.pageSize - 1);
+  };
+  
+  try {
+    const selectOptions = schema && schema !== 'public' ? { schema } : {};
+    let result = await runQuery(selectOptions);
+    
+    // The foreign keys may not exist in this database, load without the lookup labels
+    if (result.error && getLookupSelect(tableName) !== '*') {
+      const plainResult = await runQuery(selectOptions, '*');
+      if (!plainResult.error) {
+        result = plainResult;
+      }
+    }
+    
+    // Unqualified names may live in the inventory schema, same as fetchTableData
+    if (result.error && !schema) {
+      console.log(`Trying inventory.${tableName} for the page query...`);
+      const inventoryResult = await runQuery({ schema: 'inventory' });
+      if (!inventoryResult.error) {
+        result = inventoryResult;
+      }
+    }
+    
+    if (result.error) throw result.error;
+    
+    console.log(`✅ Fetched page ${query.page} of ${tableName} (${result.data?.length || 0} of ${result.count} rows)`);
+    return { data: result.data || [], count: result.count || 0 };
+  } catch (error) {
+    console.error(`❌ Failed to fetch page from ${tableName}:`, error.message);
+    throw new Error(`Data access error: ${error.message}`);
+  }
+};
+
+// Check clauses as Postgres reports them, e.g. "((price >= (0)::numeric))",
+// reduced to "price >= 0" so the patterns below can read them
+const normalizeCheckClause = (clause) => {
+  let text = clause.replace(/::[a-z_]+( [a-z_]+)*(\[\])?/gi, '').trim();
+  
+  // Parentheses around a single value, but not function calls like char_length(sku)
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(/(^|[^\w])\(([\w.'-]+)\)/g, '$1$2');
+  } while (text !== previous);
+  
+  // Outer parentheses, as long as they belong together
+  while (text.startsWith('(') && text.endsWith(')')) {
+    let depth = 0;
+    const closesEarly = [...text].some((char, index) => {
+      if (char === '(') depth += 1;
+      if (char === ')') depth -= 1;
+      return depth === 0 && index < text.length - 1;
+    });
+    if (closesEarly) break;
+    text = text.slice(1, -1).trim();
+  }
+  return text;
+};
+
+// Split "a AND b" at the top level into its parts
+const splitCheckClause = (clause) => {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < clause.length; i++) {
+    if (clause[i] === '(') depth += 1;
+    if (clause[i] === ')') depth -= 1;
+    if (depth === 0 && clause.startsWith(' AND ', i)) {
+      parts.push(clause.slice(start, i));
+      start = i + 5;
+    }
+  }
+  parts.push(clause.slice(start));
+  return parts.map(normalizeCheckClause);
+};
+
+// Column type for a Postgres data type, where it says more than the sample values
+const getTypeForDataType = (dataType) => {
+  if (dataType === 'date') return 'date';
+  if (dataType.startsWith('timestamp')) return 'datetime';
+  if (dataType === 'json' || dataType === 'jsonb') return 'json';
+  if (dataType === 'ARRAY') return 'tags';
+  if (dataType === 'boolean') return 'checkbox';
+  if (dataType === 'money') return 'currency';
+  return null;
+};
+
+/**
+ * Turns one row of get_column_constraints into column validation.
+ * Only simple checks are understood (comparisons with a constant or another column,
+ * length limits, lists of allowed values and regular expressions), others are ignored.
+ * @param {Object} row - { column_name, data_type, is_nullable, has_default, max_length, check_clauses }
+ * @returns {Object} - { type, required, validation }
+ */
+const parseColumnConstraints = (row) => {
+  const name = row.column_name;
+  const isInteger = ['smallint', 'integer', 'bigint'].includes(row.data_type);
+  const validation = {};
+  
+  if (isInteger) validation.integer = true;
+  if (row.max_length) validation.maxLength = row.max_length;
+  
+  (row.check_clauses || [])
+    .flatMap(clause => splitCheckClause(normalizeCheckClause(clause)))
+    .forEach(clause => {
+      let match;
+      
+      if ((match = clause.match(/^(\w+) (>=|>|<=|<) (-?\d+(?:\.\d+)?)$/)) && match[1] === name) {
+        const [, , operator, value] = match;
+        // Strict limits are exact only for whole numbers
+        if (operator === '>=') validation.min = Number(value);
+        if (operator === '<=') validation.max = Number(value);
+        if (operator === '>' && isInteger) validation.min = Number(value) + 1;
+        if (operator === '<' && isInteger) validation.max = Number(value) - 1;
+      } else if ((match = clause.match(/^(\w+) (>=|>|<=|<) ([a-z_]\w*)$/i)) && match[1] === name) {
+        validation.compare = [...(validation.compare || []), { operator: match[2], field: match[3] }];
+      } else if ((match = clause.match(/^(?:char_length|length)\((\w+)\) (>=|>|<=|<) (\d+)$/)) && match[1] === name) {
+        const [, , operator, value] = match;
+        if (operator.startsWith('>')) validation.minLength = Number(value) + (operator === '>' ? 1 : 0);
+        if (operator.startsWith('<')) validation.maxLength = Number(value) - (operator === '<' ? 1 : 0);
+      } else if ((match = clause.match(/^(\w+) = ANY \(ARRAY\[(.+)\]\)$/)) && match[1] === name) {
+        validation.enum = match[2].split(/,\s*/).map(value => value.replace(/^'|'$/g, ''));
+      } else if ((match = clause.match(/^(\w+) ~ '(.+)'$/)) && match[1] === name) {
+        validation.pattern = match[2].replace(/''/g, "'");
+      }
+    });
+  
+  return {
+    type: getTypeForDataType(row.data_type || ''),
+    // Columns with a default (e.g. serial ids) can be left empty
+    required: row.is_nullable === false && !row.has_default,
+    validation,
+  };
+};
+
+/**
+ * Reads a table's column constraints (NOT NULL, length, CHECK) through the optional
+ * get_column_constraints database function, see the setup SQL in TableSelector
+ * @param {string} tableName - Table name (schema-qualified names are accepted)
+ * @returns {Promise<Object>} - { type, required, validation } by column name, empty if unavailable
+ */
+export const fetchColumnConstraints = async (tableName) => {
+  const [schema, table] = tableName.includes('.') 
+    ? tableName.split('.') 
+    : ['public', tableName];
+  
+  try {
+    const { data, error } = await supabase
+      .rpc('get_column_constraints', { p_table: table, p_schema: schema });
+      
+    if (error) throw error;
+    
+    const constraints = {};
+    (data || []).forEach(row => {
+      constraints[row.column_name] = parseColumnConstraints(row);
+    });
+    console.log(`✅ Loaded constraints for ${Object.keys(constraints).length} columns of ${tableName}`);
+    return constraints;
+  } catch (error) {
+    // Without the function, columns keep the rules they declare themselves
+    console.log(`Column constraints not available for ${tableName}:`, error.message);
+    return {};
+  }
+};
+
+/**
+ * The detail relationship of a table, for DataTable's `detail` prop: when a row is
+ * expanded, `load(row)` fetches its related rows and `add(row, detailRow)` stores a
+ * new one. Declared per table with `detail: { title, table, foreignKey, load, add }`;
+ * the columns are those of the detail table, without the foreign key.
+ * @param {string} tableName - Name of the master table
+ * @returns {Promise<Object|null>} - { title, columns, load, add }, or null without a detail table
+ */
+export const getTableDetail = async (tableName) => {
+  const { detail } = getTableSettings(tableName);
+  if (!detail) return null;
+  
+  const columns = await getTableColumns(detail.table);
+  return {
+    ...detail,
+    columns: columns.filter(column => column.dataIndex !== detail.foreignKey),
+  };
+};
+
+/**
+ * Gets column definitions for a specific table, with types and validation
+ * rules from the database schema where they are available
  * @param {string} tableName - Name of the table
  * @returns {Array} - Column definitions
  */
 export const getTableColumns = async (tableName) => {
+  const { lookups = {}, aggregates = {}, formatting = {}, formulas = [] } = getTableSettings(tableName);
+  const inferred = (await inferTableColumns(tableName))
+    // A stored field of the same name gives way to the formula column
+    .filter(column => !formulas.some(formula => formula.dataIndex === column.dataIndex));
+  const columns = [...inferred, ...formulas.map(formula => ({ ...formula, type: 'formula' }))].map(column => {
+    const aggregate = column.aggregate || aggregates[column.dataIndex];
+    const declared = {
+      ...column,
+      ...(aggregate ? { aggregate } : {}),
+      ...(formatting[column.dataIndex] ? { formatting: formatting[column.dataIndex] } : {}),
+    };
+    return lookups[column.dataIndex]
+      // "Category ID" shows the category, so it is titled "Category"
+      ? { ...declared, type: 'lookup', lookup: lookups[column.dataIndex], title: column.title.replace(/ I[dD]$/, '') }
+      : declared;
+  });
+  
+  // Mock tables have no database constraints
+  if (tableName.includes('DUMMY')) return columns;
+  
+  const constraints = await fetchColumnConstraints(tableName);
+  return columns.map(column => {
+    const constraint = constraints[column.dataIndex];
+    if (!constraint || column.readOnly) return column;
+    
+    return {
+      ...column,
+      // The data type only helps where the sample values didn't (e.g. all nulls)
+      type: column.type === 'text' && constraint.type ? constraint.type : column.type,
+      required: column.required || constraint.required,
+      // Rules declared on the column win over the ones read from the database
+      validation: { ...constraint.validation, ...column.validation },
+    };
+  });
+};
+
+// Rows read to guess the column types; several, since a single row may have nulls
+const INFERENCE_SAMPLE_SIZE = 20;
+
+// Column definitions without the database constraints
+const inferTableColumns = async (tableName) => {
+  if (tableName === BENCHMARK_TABLE) {
+    return [
+      { title: 'ID', dataIndex: 'id', type: 'number', required: true, width: 100 },
+      { title: 'SKU', dataIndex: 'sku', type: 'text', required: true, width: 170 },
+      { title: 'Name', dataIndex: 'name', type: 'text', required: true, width: 240 },
+      { title: 'Category', dataIndex: 'category', type: 'text', required: false, width: 160 },
+      { title: 'Warehouse', dataIndex: 'warehouse', type: 'text', required: false, width: 130 },
+      { title: 'Price', dataIndex: 'price', type: 'currency', required: false, width: 120 },
+      { title: 'Quantity', dataIndex: 'quantity', type: 'number', required: false, width: 120 },
+      { 
+        title: 'Status', 
+        dataIndex: 'status', 
+        type: 'select', 
+        required: false, 
+        width: 140,
+        options: [
+          { value: 'active', label: 'Active' },
+          { value: 'discontinued', label: 'Discontinued' },
+          { value: 'out_of_stock', label: 'Out of Stock' }
+        ]
+      },
+      { title: 'Updated', dataIndex: 'updated_at', type: 'date', required: false, width: 130 }
+    ];
+  }
+  
   // Try to get a sample row to infer columns
   try {
     let data, error;
@@ -954,7 +1961,7 @@ export const getTableColumns = async (tableName) => {
         const result = await supabase
           .from(tableName)
           .select('*')
-          .limit(1);
+          .limit(INFERENCE_SAMPLE_SIZE);
         
         data = result.data;
         error = result.error;
@@ -966,7 +1973,7 @@ export const getTableColumns = async (tableName) => {
             const inventoryResult = await supabase
               .from(tableName)
               .select('*', { schema: 'inventory' })
-              .limit(1);
+              .limit(INFERENCE_SAMPLE_SIZE);
               
             if (!inventoryResult.error && inventoryResult.data?.length > 0) {
               data = inventoryResult.data;
@@ -981,7 +1988,7 @@ export const getTableColumns = async (tableName) => {
         const result = await supabase
           .from(table)
           .select('*', { schema: 'inventory' })
-          .limit(1);
+          .limit(INFERENCE_SAMPLE_SIZE);
         
         data = result.data;
         error = result.error;
@@ -990,7 +1997,7 @@ export const getTableColumns = async (tableName) => {
         const result = await supabase
           .from(table)
           .select('*', schema === 'public' ? undefined : { schema })
-          .limit(1);
+          .limit(INFERENCE_SAMPLE_SIZE);
         
         data = result.data;
         error = result.error;
@@ -1005,8 +2012,7 @@ export const getTableColumns = async (tableName) => {
       console.log(`Retrieved sample data for column detection from ${tableName}`);
       // Generate columns from the sample data
       return Object.keys(data[0]).map(key => {
-        const value = data[0][key];
-        const type = typeof value;
+        const type = inferColumnType(key, data.map(row => row[key]));
         
         if (key === 'id') {
           return {
@@ -1021,8 +2027,7 @@ export const getTableColumns = async (tableName) => {
         return {
           title: key.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
           dataIndex: key,
-          type: type === 'number' ? 'number' : 
-                type === 'boolean' ? 'checkbox' : 'text',
+          type,
           required: false,
           sorter: true,
           filterable: true
@@ -1040,14 +2045,15 @@ export const getTableColumns = async (tableName) => {
     return [
       { title: 'ID', dataIndex: 'id', type: 'number', required: true },
       { title: 'Name', dataIndex: 'name', type: 'text', required: true },
-      { title: 'Description', dataIndex: 'description', type: 'text', required: false }
+      { title: 'Description', dataIndex: 'description', type: 'text', required: false },
+      { title: 'Sort Order', dataIndex: 'sort_order', type: 'number', required: false }
     ];
   } else if (tableName === 'suppliers') {
     return [
       { title: 'ID', dataIndex: 'id', type: 'number', required: true },
       { title: 'Name', dataIndex: 'name', type: 'text', required: true },
       { title: 'Contact Person', dataIndex: 'contact', type: 'text', required: false },
-      { title: 'Email', dataIndex: 'email', type: 'text', required: false },
+      { title: 'Email', dataIndex: 'email', type: 'email', required: false },
       { title: 'Phone', dataIndex: 'phone', type: 'text', required: false }
     ];
   } else if (tableName === 'customers') {
@@ -1055,16 +2061,16 @@ export const getTableColumns = async (tableName) => {
       { title: 'ID', dataIndex: 'id', type: 'number', required: true },
       { title: 'Name', dataIndex: 'name', type: 'text', required: true },
       { title: 'Contact Person', dataIndex: 'contact', type: 'text', required: false },
-      { title: 'Email', dataIndex: 'email', type: 'text', required: false },
+      { title: 'Email', dataIndex: 'email', type: 'email', required: false },
       { title: 'Phone', dataIndex: 'phone', type: 'text', required: false }
     ];
   } else if (tableName === 'orders') {
     return [
       { title: 'ID', dataIndex: 'id', type: 'number', required: true },
       { title: 'Customer ID', dataIndex: 'customer_id', type: 'number', required: true },
-      { title: 'Order Date', dataIndex: 'order_date', type: 'text', required: true },
+      { title: 'Order Date', dataIndex: 'order_date', type: 'date', required: true },
       { title: 'Status', dataIndex: 'status', type: 'text', required: true },
-      { title: 'Total', dataIndex: 'total', type: 'number', required: true }
+      { title: 'Total', dataIndex: 'total', type: 'currency', required: true }
     ];
   } else if (tableName === 'transactions') {
     return [
@@ -1072,7 +2078,7 @@ export const getTableColumns = async (tableName) => {
       { title: 'Product ID', dataIndex: 'product_id', type: 'number', required: true },
       { title: 'Type', dataIndex: 'type', type: 'text', required: true },
       { title: 'Quantity', dataIndex: 'quantity', type: 'number', required: true },
-      { title: 'Transaction Date', dataIndex: 'transaction_date', type: 'text', required: true },
+      { title: 'Transaction Date', dataIndex: 'transaction_date', type: 'datetime', required: true },
       { title: 'Note', dataIndex: 'note', type: 'text', required: false }
     ];
   }
@@ -1091,9 +2097,29 @@ export default {
   getProductColumns,
   saveProduct,
   deleteProduct,
+  deleteRecords,
+  updateRecords,
+  updateRecordBatch,
+  insertRecords,
   fetchProductTransactions,
   recordTransaction,
   fetchAvailableTables,
   fetchTableData,
-  getTableColumns
+  fetchTablePage,
+  getTableColumns,
+  getTableDetail,
+  fetchColumnConstraints,
+  getTableSettings,
+  registerTableSettings,
+  getLookupSelect,
+  buildSearchFilter,
+  fetchLookupOptions,
+  getRowOrderChanges,
+  saveRowOrder,
+  fetchTableViews,
+  saveTableView,
+  deleteTableView,
+  fetchFormattingRules,
+  saveFormattingRules,
+  generateBenchmarkRows
 };
\ No newline at end of file
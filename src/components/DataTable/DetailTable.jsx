@@ -0,0 +1,73 @@
+import React, { useEffect, useState } from 'react';
+import { Alert, Button } from 'antd';
+import DataTable from './DataTable';
+import { useLocale } from './i18n';
+
+/**
+ * Related rows of an expanded row, shown as a nested DataTable.
+ * The rows are loaded when the row is first expanded.
+ * @param {Object} props Component props
+ * @param {Object} props.detail Detail relationship: { title, columns, load(record), add(record, row) }
+ * @param {Object} props.record The expanded row
+ */
+const DetailTable = ({ detail, record }) => {
+  const { t } = useLocale();
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const load = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setRows(await detail.load(record) || []);
+    } catch (e) {
+      console.error(`❌ Failed to load ${detail.title}:`, e);
+      setError(e.message || String(e));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [record.key]);
+
+  // New rows go on top, like the newest rows the detail is loaded with
+  const handleAdd = async (row) => {
+    const stored = await detail.add(record, row);
+    setRows(prev => [stored || row, ...prev]);
+    return stored;
+  };
+
+  if (error) {
+    return (
+      <Alert
+        type="error"
+        message={t('detail.loadFailed', { title: detail.title })}
+        description={error}
+        action={<Button size="small" onClick={load}>{t('detail.retry')}</Button>}
+      />
+    );
+  }
+
+  return (
+    <div className="data-table-detail">
+      <DataTable
+        tableName={detail.title}
+        columns={detail.columns}
+        dataSource={rows}
+        onAdd={detail.add ? handleAdd : undefined}
+        // Rows added without detail.add would only exist until the row is collapsed
+        addEnabled={Boolean(detail.add)}
+        rowDragEnabled={false}
+        inlineEditEnabled={false}
+        toolbar={false}
+        rowActions={false}
+        loading={loading}
+      />
+    </div>
+  );
+};
+
+export default DetailTable;
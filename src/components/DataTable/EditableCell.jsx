@@ -0,0 +1,209 @@
+import React, { useEffect, useRef } from 'react';
+import { Form, Input, InputNumber, Select, Checkbox } from 'antd';
+import { getDecimalSeparator, RICH_TYPES, TypedInput } from './columnTypes';
+
+// Editors that use Enter themselves: picking an option or a date, adding a tag
+const OWN_ENTER_TYPES = ['select', 'tags', 'date', 'datetime', 'lookup'];
+
+// Pickers that open right away and commit as soon as a value is picked
+const PICKER_TYPES = ['date', 'datetime', 'lookup'];
+
+/**
+ * Inline editor rendered inside a table cell while it is being edited.
+ * Enter and Tab commit the value (after validation), Escape cancels.
+ * @param {Object} props Component props
+ * @param {Object} props.record Row being edited
+ * @param {Object} props.column Column definition of the edited cell
+ * @param {Array} props.rules Validation rules for the field (same as the edit modal)
+ * @param {Function} props.onCommit Called with the validated value and the commit action
+ * @param {Function} props.onCancel Called when editing is cancelled
+ */
+const CellEditor = ({ record, column, rules, onCommit, onCancel }) => {
+  const [form] = Form.useForm();
+  const inputRef = useRef(null);
+  const committingRef = useRef(false);
+
+  useEffect(() => {
+    if (inputRef.current) {
+      inputRef.current.focus();
+    }
+  }, []);
+
+  // Validate the field and hand the value back to the table
+  // action is one of 'enter', 'tab', 'shiftTab' or 'blur'
+  const commit = async (action) => {
+    if (committingRef.current) return;
+    committingRef.current = true;
+    try {
+      const values = await form.validateFields();
+      onCommit(values[column.dataIndex], action);
+    } catch (e) {
+      // Validation errors are displayed below the editor, keep editing
+      committingRef.current = false;
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      committingRef.current = true;
+      onCancel();
+    } else if (e.key === 'Tab') {
+      e.preventDefault();
+      e.stopPropagation();
+      commit(e.shiftKey ? 'shiftTab' : 'tab');
+    } else if (e.key === 'Enter' && !OWN_ENTER_TYPES.includes(column.type) && 
+      !(column.type === 'json' && e.shiftKey)) {
+      // Shift+Enter adds a line break in the JSON editor; select, date and
+      // lookup editors commit via onChange, tags on blur or Tab
+      e.preventDefault();
+      e.stopPropagation();
+      commit('enter');
+    }
+  };
+
+  let editor;
+  switch (column.type) {
+    case 'number':
+      editor = (
+        <InputNumber
+          ref={inputRef}
+          style={{ width: '100%' }}
+          decimalSeparator={getDecimalSeparator(column.locale)}
+          onBlur={() => commit('blur')}
+        />
+      );
+      break;
+    case 'select':
+      editor = (
+        <Select
+          ref={inputRef}
+          defaultOpen
+          style={{ width: '100%', minWidth: 120 }}
+          onChange={() => setTimeout(() => commit('enter'))}
+          onBlur={() => commit('blur')}
+        >
+          {(column.options || []).map(option => (
+            <Select.Option key={option.value} value={option.value}>
+              {option.label}
+            </Select.Option>
+          ))}
+        </Select>
+      );
+      break;
+    case 'checkbox':
+      editor = <Checkbox ref={inputRef} onChange={() => setTimeout(() => commit('enter'))} />;
+      break;
+    case 'text':
+    default:
+      if (RICH_TYPES.includes(column.type)) {
+        const isPicker = PICKER_TYPES.includes(column.type);
+        editor = (
+          <TypedInput
+            ref={inputRef}
+            column={column}
+            defaultOpen={isPicker || undefined}
+            onChange={isPicker ? () => setTimeout(() => commit('enter')) : undefined}
+            onBlur={() => commit('blur')}
+          />
+        );
+        break;
+      }
+      editor = <Input ref={inputRef} onBlur={() => commit('blur')} />;
+  }
+
+  return (
+    <Form
+      form={form}
+      component={false}
+      initialValues={{ [column.dataIndex]: record[column.dataIndex] }}
+    >
+      <div onKeyDown={handleKeyDown}>
+        <Form.Item
+          name={column.dataIndex}
+          rules={rules}
+          valuePropName={column.type === 'checkbox' ? 'checked' : 'value'}
+          style={{ margin: 0 }}
+        >
+          {editor}
+        </Form.Item>
+      </div>
+    </Form>
+  );
+};
+
+/**
+ * Body cell used through the Table `components.body.cell` slot.
+ * Double-click or Enter on an editable cell switches it into an inline editor.
+ * The extra props are supplied by each column's `onCell` in DataTable, including the
+ * grid attributes and the cell's tabIndex (only the active cell is a tab stop).
+ * `cellTag` is 'td' for the regular table and 'div' for the virtual table.
+ */
+const EditableCell = ({
+  cellTag: CellTag = 'td',
+  editable,
+  editing,
+  record,
+  column,
+  rules,
+  onStartEdit,
+  onCommit,
+  onCancel,
+  children,
+  className,
+  ...restProps
+}) => {
+  const cellRef = useRef(null);
+
+  if (!editable) {
+    return <CellTag className={className} {...restProps}>{children}</CellTag>;
+  }
+
+  const handleCommit = (value, action) => {
+    onCommit(value, action);
+    // Keep keyboard users on the cell they just edited
+    if (action === 'enter') {
+      cellRef.current?.focus();
+    }
+  };
+
+  const handleCancel = () => {
+    onCancel();
+    cellRef.current?.focus();
+  };
+
+  const handleKeyDown = (e) => {
+    if (!editing && e.key === 'Enter' && e.target === cellRef.current) {
+      e.preventDefault();
+      onStartEdit();
+    }
+  };
+
+  return (
+    <CellTag
+      ref={cellRef}
+      className={`${className || ''} data-table-cell-editable`}
+      onDoubleClick={editing ? undefined : onStartEdit}
+      onKeyDown={handleKeyDown}
+      {...restProps}
+    >
+      {editing ? (
+        <CellEditor
+          record={record}
+          column={column}
+          rules={rules}
+          onCommit={handleCommit}
+          onCancel={handleCancel}
+        />
+      ) : (
+        <div className="editable-cell">{children}</div>
+      )}
+    </CellTag>
+  );
+};
+
+// The virtual table lays out rows and cells with divs instead of table elements
+export const VirtualEditableCell = (props) => <EditableCell {...props} cellTag="div" />;
+
+export default EditableCell;
@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import { Badge, Button, Checkbox, Empty, Form, Input, List, Modal, Segmented, Select, Tag } from 'antd';
+import { BgColorsOutlined, DeleteOutlined, PlusOutlined } from '@ant-design/icons';
+import { FORMAT_STYLES } from './formatting';
+import { getFieldReferences, parseFormula } from './FormulaParser';
+import { getValueKind } from './columnTypes';
+import { useLocale } from './i18n';
+
+const ROW_TARGET = '__row';
+
+const STYLE_COLORS = { danger: 'red', warning: 'orange', success: 'green', info: 'blue' };
+
+/**
+ * Toolbar button with a dialog to add and remove conditional formatting rules
+ * @param {Object} props Component props
+ * @param {Array} props.columns Column definitions (for the titles and the condition fields)
+ * @param {Array} props.rules The table's rules, see formatting.js
+ * @param {Function} props.onChange Called with the updated rules
+ */
+const FormattingRules = ({ columns, rules = [], onChange }) => {
+  const { t } = useLocale();
+  const [isVisible, setIsVisible] = useState(false);
+  const [form] = Form.useForm();
+  const titles = Object.fromEntries(columns.map(column => [column.dataIndex, column.title]));
+
+  // Style labels come from the catalog, with the English ones of FORMAT_STYLES as the fallback
+  const styleOptions = FORMAT_STYLES.map(style => ({
+    ...style,
+    label: t(`formatting.style.${style.value}`),
+  }));
+
+  const describeRule = (rule) => {
+    const target = rule.target === 'row' ? t('formatting.row') : titles[rule.field] || rule.field;
+    if (rule.type === 'scale') {
+      return <span>{t(rule.reverse ? 'formatting.scaleReversed' : 'formatting.scale', { target })}</span>;
+    }
+    const style = styleOptions.find(item => item.value === rule.style);
+    return (
+      <span>
+        {target} {t('formatting.when')} <code>{rule.condition}</code>{' '}
+        <Tag color={STYLE_COLORS[rule.style]}>{style ? style.label : rule.style}</Tag>
+      </span>
+    );
+  };
+
+  // Only the cells of number columns can be colored on a scale
+  const canScale = (target) => {
+    const column = columns.find(col => col.dataIndex === target);
+    return Boolean(column) && getValueKind(column) === 'number';
+  };
+
+  const handleAdd = () => {
+    form.validateFields().then(values => {
+      const isRow = values.target === ROW_TARGET;
+      const rule = values.type === 'scale' && canScale(values.target)
+        ? { id: Date.now().toString(), target: 'cell', field: values.target, type: 'scale', reverse: Boolean(values.reverse) }
+        : {
+          id: Date.now().toString(),
+          target: isRow ? 'row' : 'cell',
+          ...(isRow ? {} : { field: values.target }),
+          type: 'condition',
+          condition: values.condition.trim(),
+          style: values.style,
+        };
+      onChange([...rules, rule]);
+      form.resetFields();
+    });
+  };
+
+  // A condition has to parse, and name at least one column, otherwise it is the same
+  // for every row
+  const validateCondition = (_, value) => {
+    if (!value || !value.trim()) return Promise.reject(t('formatting.enterCondition'));
+    let fields;
+    try {
+      fields = getFieldReferences(parseFormula(value));
+    } catch (error) {
+      return Promise.reject(t('formatting.conditionSyntax', { position: error.position }));
+    }
+    // A name that isn't a column is a typo or unquoted text, and would never match
+    const unknown = [...fields].find(field => !columns.some(column => column.dataIndex === field));
+    if (unknown) return Promise.reject(t('formatting.unknownColumn', { name: unknown }));
+    return fields.size > 0 ? Promise.resolve() : Promise.reject(t('formatting.nameColumn'));
+  };
+
+  return (
+    <>
+      <Badge count={rules.length} size="small">
+        <Button icon={<BgColorsOutlined />} onClick={() => setIsVisible(true)}>
+          {t('formatting.button')}
+        </Button>
+      </Badge>
+
+      <Modal
+        title={t('formatting.title')}
+        open={isVisible}
+        onCancel={() => setIsVisible(false)}
+        footer={<Button onClick={() => setIsVisible(false)}>{t('formatting.close')}</Button>}
+        width={640}
+      >
+        <List
+          size="small"
+          bordered
+          dataSource={rules}
+          locale={{ emptyText: <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description={t('formatting.noRules')} /> }}
+          renderItem={(rule) => (
+            <List.Item
+              actions={[
+                <Button
+                  key="delete"
+                  type="link"
+                  danger
+                  icon={<DeleteOutlined />}
+                  onClick={() => onChange(rules.filter(item => item !== rule))}
+                  aria-label={t('formatting.deleteRule')}
+                />
+              ]}
+            >
+              {describeRule(rule)}
+            </List.Item>
+          )}
+          style={{ marginBottom: 16 }}
+        />
+
+        <Form form={form} layout="vertical" initialValues={{ target: ROW_TARGET, type: 'condition', style: 'danger' }}>
+          <Form.Item name="target" label={t('formatting.applyTo')}>
+            <Select
+              options={[
+                { value: ROW_TARGET, label: t('formatting.wholeRow') },
+                ...columns.map(column => ({ value: column.dataIndex, label: column.title })),
+              ]}
+            />
+          </Form.Item>
+          <Form.Item noStyle shouldUpdate={(prev, next) => prev.target !== next.target || prev.type !== next.type}>
+            {({ getFieldValue }) => {
+              const isScalable = canScale(getFieldValue('target'));
+              const type = isScalable ? getFieldValue('type') : 'condition';
+
+              return (
+                <>
+                  {isScalable && (
+                    <Form.Item name="type" label={t('formatting.rule')}>
+                      <Segmented
+                        options={[
+                          { value: 'condition', label: t('formatting.condition') },
+                          { value: 'scale', label: t('formatting.colorScale') },
+                        ]}
+                      />
+                    </Form.Item>
+                  )}
+                  {type === 'scale' ? (
+                    <Form.Item name="reverse" valuePropName="checked">
+                      <Checkbox>{t('formatting.reverse')}</Checkbox>
+                    </Form.Item>
+                  ) : (
+                    <>
+                      <Form.Item
+                        name="condition"
+                        label={t('formatting.condition')}
+                        rules={[{ validator: validateCondition }]}
+                        extra={t('formatting.conditionHelp', { columns: columns.map(column => column.dataIndex).join(', ') })}
+                      >
+                        <Input placeholder={t('formatting.conditionPlaceholder')} />
+                      </Form.Item>
+                      <Form.Item name="style" label={t('formatting.style')}>
+                        <Select options={styleOptions} />
+                      </Form.Item>
+                    </>
+                  )}
+                </>
+              );
+            }}
+          </Form.Item>
+          <Button type="primary" icon={<PlusOutlined />} onClick={handleAdd}>
+            {t('formatting.add')}
+          </Button>
+        </Form>
+      </Modal>
+    </>
+  );
+};
+
+export default FormattingRules;
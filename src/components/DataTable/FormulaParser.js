@@ -1,134 +1,455 @@
 /**
- * A simple formula parser for table cell calculations.
- * This is a basic implementation that could be expanded with more functions and operators.
+ * Formula parser for table cell calculations.
+ * Formulas start with "=" and are spreadsheet-like expressions over the row's fields:
+ * numbers, "text" literals, TRUE/FALSE, field names, function calls such as SUM(a,b)
+ * and the operators below. A formula is tokenized and parsed into a syntax tree once,
+ * then the tree is evaluated against each row. A formula that fails evaluates to a
+ * FormulaError such as #DIV/0! (see formulaErrors.js).
  */
 
-// Available formula functions
-const FORMULA_FUNCTIONS = {
-  SUM: (args) => args.reduce((sum, val) => sum + (parseFloat(val) || 0), 0),
-  AVG: (args) => {
-    if (args.length === 0) return 0;
-    return FORMULA_FUNCTIONS.SUM(args) / args.length;
-  },
-  MIN: (args) => Math.min(...args.map(val => parseFloat(val) || 0)),
-  MAX: (args) => Math.max(...args.map(val => parseFloat(val) || 0)),
-  COUNT: (args) => args.length,
-  IF: (args) => {
-    if (args.length < 3) return null;
-    return evaluateCondition(args[0]) ? args[1] : args[2];
-  },
+import {
+  FORMULA_FUNCTIONS, callFormulaFunction, isBlank, toNumber, toText,
+} from './formulaFunctions';
+import {
+  FORMULA_ERRORS, FormulaError, attributeFormulaError, isFormulaError, locateFormulaError,
+} from './formulaErrors';
+
+// Available formula functions, see formulaFunctions.js
+export { FORMULA_FUNCTIONS };
+
+// Binary operators from the loosest to the tightest binding. All are left-associative
+// except "^"; "!=" is the same as "<>".
+const BINARY_LEVELS = [
+  ['=', '<>', '!=', '<', '>', '<=', '>='],
+  ['&'],
+  ['+', '-'],
+  ['*', '/'],
+  ['^'],
+];
+
+// Operator tokens, two-character ones first so "<=" isn't read as "<"
+const OPERATORS = ['<>', '!=', '<=', '>=', '=', '<', '>', '&', '+', '-', '*', '/', '^'];
+
+const NUMBER_PATTERN = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/;
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_.]*/;
+
+// Syntax errors carry the 1-based position of the offending character in the formula
+const syntaxError = (message, position) => Object.assign(
+  new Error(`${message} at position ${position}`),
+  { position }
+);
+
+// A quoted string from `start` on: the quote is escaped by doubling it or with a backslash
+const readString = (formula, start) => {
+  const quote = formula[start];
+  let value = '';
+  let index = start + 1;
+  while (index < formula.length) {
+    const char = formula[index];
+    if (char === '\\' && index + 1 < formula.length) {
+      value += formula[index + 1];
+      index += 2;
+    } else if (char === quote && formula[index + 1] === quote) {
+      value += quote;
+      index += 2;
+    } else if (char === quote) {
+      return { value, end: index + 1 };
+    } else {
+      value += char;
+      index += 1;
+    }
+  }
+  throw syntaxError('Unterminated string', start + 1);
 };
 
-// Helper to evaluate conditions for IF formulas
-const evaluateCondition = (condition) => {
-  if (typeof condition === 'boolean') return condition;
-  if (typeof condition === 'string') {
-    // Handle string comparisons like "value1=value2"
-    if (condition.includes('=')) {
-      const [left, right] = condition.split('=');
-      return left.trim() === right.trim();
+/**
+ * Splits a formula into tokens.
+ * Strings are quoted with " or ' and escape their quote by doubling it or with a backslash.
+ * @param {string} formula - Formula string, with or without the leading "="
+ * @returns {Array<Object>} - Tokens { type, value, start, end }; the type is 'number',
+ *   'string', 'identifier', 'operator', '(', ')' or ','
+ * @throws {Error} - On an unknown character or an unterminated string, with its `position`
+ */
+export const tokenizeFormula = (formula) => {
+  const tokens = [];
+  let index = formula.startsWith('=') ? 1 : 0;
+
+  while (index < formula.length) {
+    const char = formula[index];
+    const rest = formula.slice(index);
+    const numberMatch = rest.match(NUMBER_PATTERN);
+    const identifierMatch = rest.match(IDENTIFIER_PATTERN);
+
+    if (/\s/.test(char)) {
+      index += 1;
+    } else if (char === '"' || char === "'") {
+      const { value, end } = readString(formula, index);
+      tokens.push({ type: 'string', value, start: index, end });
+      index = end;
+    } else if (numberMatch) {
+      const [text] = numberMatch;
+      tokens.push({ type: 'number', value: Number(text), start: index, end: index + text.length });
+      index += text.length;
+    } else if (identifierMatch) {
+      const [text] = identifierMatch;
+      tokens.push({ type: 'identifier', value: text, start: index, end: index + text.length });
+      index += text.length;
+    } else if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: char, value: char, start: index, end: index + 1 });
+      index += 1;
+    } else {
+      const operator = OPERATORS.find(op => rest.startsWith(op));
+      if (!operator) throw syntaxError(`Unexpected character "${char}"`, index + 1);
+      tokens.push({ type: 'operator', value: operator, start: index, end: index + operator.length });
+      index += operator.length;
+    }
+  }
+  return tokens;
+};
+
+/**
+ * Parses a formula into a syntax tree.
+ * Every node has a `type` and its 0-based `start` and `end` in the formula. 'number',
+ * 'string' and 'boolean' nodes have a `value`, 'field' nodes a `name`, 'unary' nodes
+ * an `operator` and `operand`, 'binary' nodes an `operator`, `left` and `right`, and
+ * 'call' nodes a `name` (upper case) and `args`.
+ * @param {string} formula - Formula string, e.g. "=(price-cost)/price"
+ * @returns {Object} - Root node of the syntax tree
+ * @throws {Error} - On a syntax error, with the `position` where it was found
+ */
+export const parseFormula = (formula) => {
+  const tokens = tokenizeFormula(formula);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (token, operators) => Boolean(token) && token.type === 'operator' &&
+    operators.includes(token.value);
+  const unexpected = (token) => (token
+    ? syntaxError(`Unexpected "${formula.slice(token.start, token.end)}"`, token.start + 1)
+    : syntaxError('Unexpected end of formula', formula.length + 1));
+  const expect = (type) => {
+    const token = peek();
+    if (!token || token.type !== type) throw unexpected(token);
+    index += 1;
+    return token;
+  };
+
+  const parseBinary = (level) => {
+    if (level === BINARY_LEVELS.length) return parseUnary();
+
+    let left = parseBinary(level + 1);
+    while (isOperator(peek(), BINARY_LEVELS[level])) {
+      const { value } = peek();
+      index += 1;
+      // "^" is right-associative: 2^3^2 is 2^(3^2)
+      const right = parseBinary(value === '^' ? level : level + 1);
+      const operator = value === '!=' ? '<>' : value;
+      left = { type: 'binary', operator, left, right, start: left.start, end: right.end };
+    }
+    return left;
+  };
+
+  const parseCall = (name) => {
+    index += 1;
+    const args = [];
+    if (peek() && peek().type !== ')') {
+      args.push(parseBinary(0));
+      while (peek() && peek().type === ',') {
+        index += 1;
+        args.push(parseBinary(0));
+      }
     }
-    // Handle string comparisons like "value1>value2"
-    if (condition.includes('>')) {
-      const [left, right] = condition.split('>');
-      return parseFloat(left.trim()) > parseFloat(right.trim());
+    const close = expect(')');
+    return { type: 'call', name: name.value.toUpperCase(), args, start: name.start, end: close.end };
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw unexpected(token);
+    index += 1;
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: token.type, value: token.value, start: token.start, end: token.end };
+      case '(': {
+        const expression = parseBinary(0);
+        const close = expect(')');
+        return { ...expression, start: token.start, end: close.end };
+      }
+      case 'identifier': {
+        if (peek() && peek().type === '(') return parseCall(token);
+        const upper = token.value.toUpperCase();
+        if (upper === 'TRUE' || upper === 'FALSE') {
+          return { type: 'boolean', value: upper === 'TRUE', start: token.start, end: token.end };
+        }
+        return { type: 'field', name: token.value, start: token.start, end: token.end };
+      }
+      default:
+        throw unexpected(token);
     }
-    // Handle string comparisons like "value1<value2"
-    if (condition.includes('<')) {
-      const [left, right] = condition.split('<');
-      return parseFloat(left.trim()) < parseFloat(right.trim());
+  };
+
+  // Unary minus binds tightest, so -2^2 is 4 as in spreadsheets
+  const parseUnary = () => {
+    const token = peek();
+    if (!isOperator(token, ['-', '+'])) return parsePrimary();
+    index += 1;
+    const operand = parseUnary();
+    return { type: 'unary', operator: token.value, operand, start: token.start, end: operand.end };
+  };
+
+  const tree = parseBinary(0);
+  if (index < tokens.length) throw unexpected(peek());
+  return tree;
+};
+
+// Parsed formulas by their text, so a column's formula is parsed once for all rows.
+// Every condition or formula typed in adds an entry, so past the limit the least
+// recently used ones are dropped.
+const MAX_PARSED_FORMULAS = 500;
+const parsedFormulas = new Map();
+
+const getParsedFormula = (formula) => {
+  let tree = parsedFormulas.get(formula);
+  if (tree) {
+    // Re-inserting keeps the Map in order of use
+    parsedFormulas.delete(formula);
+  } else {
+    tree = parseFormula(formula);
+    if (parsedFormulas.size >= MAX_PARSED_FORMULAS) {
+      parsedFormulas.delete(parsedFormulas.keys().next().value);
     }
   }
-  return Boolean(condition);
+  parsedFormulas.set(formula, tree);
+  return tree;
+};
+
+// Numbers (and numeric text) compare as numbers, anything else as text ignoring case
+const compareValues = (left, operator, right) => {
+  const isNumeric = (value) => !isBlank(value) && !Number.isNaN(toNumber(value));
+  const [a, b] = isNumeric(left) && isNumeric(right)
+    ? [toNumber(left), toNumber(right)]
+    : [toText(left).toLowerCase(), toText(right).toLowerCase()];
+
+  switch (operator) {
+    case '=': return a === b;
+    case '<>': return a !== b;
+    case '<': return a < b;
+    case '>': return a > b;
+    case '<=': return a <= b;
+    default: return a >= b;
+  }
+};
+
+// Operand of an arithmetic operator as a number; text that isn't one is #VALUE!
+const toOperand = (operator, value) => {
+  const number = toNumber(value);
+  if (Number.isNaN(number)) {
+    throw new FormulaError(FORMULA_ERRORS.VALUE, `"${operator}" needs numbers, got "${toText(value)}"`);
+  }
+  return number;
+};
+
+const applyBinary = (operator, left, right) => {
+  switch (operator) {
+    case '&': return toText(left) + toText(right);
+    case '+': return toOperand(operator, left) + toOperand(operator, right);
+    case '-': return toOperand(operator, left) - toOperand(operator, right);
+    case '*': return toOperand(operator, left) * toOperand(operator, right);
+    case '/': {
+      const divisor = toOperand(operator, right);
+      const dividend = toOperand(operator, left);
+      if (divisor === 0) throw new FormulaError(FORMULA_ERRORS.DIV_ZERO, 'Division by zero');
+      return dividend / divisor;
+    }
+    case '^': return toOperand(operator, left) ** toOperand(operator, right);
+    default: return compareValues(left, operator, right);
+  }
+};
+
+const evaluateNode = (node, rowData) => {
+  switch (node.type) {
+    case 'number':
+    case 'string':
+    case 'boolean':
+      return node.value;
+    case 'field': {
+      if (!rowData || !(node.name in rowData)) {
+        throw new FormulaError(FORMULA_ERRORS.REF, `Unknown field: ${node.name}`);
+      }
+      const value = rowData[node.name] !== undefined ? rowData[node.name] : null;
+      // The error of another formula field is passed on
+      if (isFormulaError(value)) throw value;
+      return value;
+    }
+    case 'unary': {
+      const operand = toOperand(node.operator, evaluateParsedFormula(node.operand, rowData));
+      return node.operator === '-' ? -operand : operand;
+    }
+    case 'binary':
+      return applyBinary(
+        node.operator,
+        evaluateParsedFormula(node.left, rowData),
+        evaluateParsedFormula(node.right, rowData)
+      );
+    case 'call':
+      // Arguments are evaluated by the function, so IF and IFERROR can skip or catch them
+      return callFormulaFunction(node.name, node.args.map(arg => () => evaluateParsedFormula(arg, rowData)));
+    default:
+      throw new Error(`Unknown formula node: ${node.type}`);
+  }
+};
+
+/**
+ * Evaluates a parsed formula against a row.
+ * @param {Object} node - Syntax tree from parseFormula
+ * @param {Object} rowData - Row data object containing field values; a field the row
+ *   doesn't have is #REF!
+ * @returns {*} - Result of the expression
+ * @throws {FormulaError} - When the expression fails, with the position of the
+ *   innermost sub-expression that failed
+ */
+export const evaluateParsedFormula = (node, rowData) => {
+  try {
+    return evaluateNode(node, rowData);
+  } catch (error) {
+    throw locateFormulaError(error, node);
+  }
 };
 
+/**
+ * The #NAME? error of a formula that doesn't parse.
+ * @param {Error} error - Syntax error from parseFormula, with its 1-based `position`
+ * @returns {FormulaError}
+ */
+export const toSyntaxFormulaError = (error) => new FormulaError(FORMULA_ERRORS.NAME, error.message, {
+  start: error.position - 1,
+  end: error.position,
+});
+
 /**
  * Parses and evaluates a formula string using row data.
- * @param {string} formula - Formula string (e.g., "=SUM(field1,field2)")
- * @param {Object} rowData - Row data object containing field values
- * @returns {number|string} - Result of formula evaluation
+ * @param {string} formula - Formula string (e.g., "=SUM(field1,field2)" or "=(price-cost)/price")
+ * @param {Object} rowData - Row data object containing field values; a field the row
+ *   doesn't have is #REF!
+ * @param {string} field - Field the formula belongs to, for the errors it returns
+ * @returns {number|string|boolean|FormulaError} - Result of formula evaluation, a
+ *   FormulaError if it fails; values without the leading "=" are returned as they are
  */
-export const evaluateFormula = (formula, rowData) => {
+export const evaluateFormula = (formula, rowData, field) => {
   if (!formula || typeof formula !== 'string' || !formula.startsWith('=')) {
     return formula;
   }
 
+  let tree;
   try {
-    // Extract the function name and arguments
-    const functionMatch = formula.match(/^=([A-Z]+)\((.*)\)$/);
-    if (!functionMatch) {
-      return formula; // Not a valid formula format
-    }
+    tree = getParsedFormula(formula);
+  } catch (error) {
+    return attributeFormulaError(toSyntaxFormulaError(error), formula, field);
+  }
+  try {
+    return evaluateParsedFormula(tree, rowData);
+  } catch (error) {
+    return attributeFormulaError(error, formula, field);
+  }
+};
 
-    const [, functionName, argsString] = functionMatch;
-    const func = FORMULA_FUNCTIONS[functionName];
-    
-    if (!func) {
-      return `Unknown function: ${functionName}`;
-    }
+// A condition's result as true or false; text counts as true unless it's empty or "false"
+const isTruthy = (value) => (typeof value === 'string'
+  ? value !== '' && value.toLowerCase() !== 'false'
+  : Boolean(value));
 
-    // Parse the arguments and replace field references with actual values
-    const args = argsString.split(',').map(arg => {
-      const trimmed = arg.trim();
-      
-      // If the argument is a field reference, get the value from rowData
-      if (rowData && rowData[trimmed] !== undefined) {
-        return rowData[trimmed];
-      }
-      
-      // Check if it's a nested formula
-      if (trimmed.startsWith('=')) {
-        return evaluateFormula(trimmed, rowData);
-      }
-      
-      // Otherwise, it's a literal value
-      return trimmed;
-    });
+/**
+ * Evaluates a condition against a row, e.g. "quantity<reorder_level" or "needs_reorder=true".
+ * A condition is a formula without the leading "=": field names stand for the row's
+ * values and text is quoted, as in status="discontinued". Without a comparison it is
+ * the truth of its value.
+ * @param {string} condition - Condition, e.g. 'AND(quantity > 0, status <> "on hold")'
+ * @param {Object} rowData - Row data object containing field values
+ * @returns {boolean} - Whether the row meets the condition; false if it doesn't parse,
+ *   uses a name that isn't a field of the row (#REF!) or its evaluation fails
+ */
+export const evaluateRowCondition = (condition, rowData) => {
+  if (!condition || typeof condition !== 'string') return false;
+
+  try {
+    return isTruthy(evaluateParsedFormula(getParsedFormula(condition.trim()), rowData));
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Names of the fields a parsed formula refers to.
+ * @param {Object} node - Syntax tree from parseFormula
+ * @returns {Set<string>} - Field names
+ */
+export const getFieldReferences = (node) => {
+  const fields = new Set();
+  const visit = (current) => {
+    if (current.type === 'field') fields.add(current.name);
+    if (current.type === 'unary') visit(current.operand);
+    if (current.type === 'binary') {
+      visit(current.left);
+      visit(current.right);
+    }
+    if (current.type === 'call') current.args.forEach(visit);
+  };
+  visit(node);
+  return fields;
+};
 
-    // Execute the formula function with the arguments
-    return func(args);
+// Fields of a formula, none if it can't be parsed
+const getFormulaFields = (formula) => {
+  if (!formula || typeof formula !== 'string') return new Set();
+  try {
+    return getFieldReferences(getParsedFormula(formula));
   } catch (error) {
-    console.error('Formula evaluation error:', error);
-    return 'Error';
+    return new Set();
   }
 };
 
 /**
- * Checks if a cell formula has circular references.
+ * Checks if a cell formula has circular references: whether it refers to its own field,
+ * directly or through the formulas of the fields it refers to.
  * @param {string} formula - The formula to check
  * @param {string} fieldName - The current field name
+ * @param {Object} formulas - Formulas of the other formula fields, by field name
  * @returns {boolean} - True if circular reference is detected
  */
-export const hasCircularReference = (formula, fieldName) => {
-  if (!formula || typeof formula !== 'string') return false;
-  
-  const fieldRegex = new RegExp(`\\b${fieldName}\\b`);
-  return fieldRegex.test(formula);
+export const hasCircularReference = (formula, fieldName, formulas = {}) => {
+  const visited = new Set();
+  const reaches = (fields) => [...fields].some(field => {
+    if (field === fieldName) return true;
+    if (visited.has(field) || !formulas[field]) return false;
+    visited.add(field);
+    return reaches(getFormulaFields(formulas[field]));
+  });
+  return reaches(getFormulaFields(formula));
 };
 
 /**
  * Gets a list of fields that a formula depends on.
  * @param {string} formula - The formula to analyze
  * @param {Array<string>} allFields - List of all available fields
- * @returns {Array<string>} - List of field dependencies
+ * @returns {Array<string>} - List of field dependencies, in the order of allFields
  */
 export const getFormulaDependencies = (formula, allFields) => {
   if (!formula || typeof formula !== 'string' || !allFields) return [];
   
-  const dependencies = [];
-  
-  allFields.forEach(field => {
-    const fieldRegex = new RegExp(`\\b${field}\\b`);
-    if (fieldRegex.test(formula)) {
-      dependencies.push(field);
-    }
-  });
-  
-  return dependencies;
+  const references = getFormulaFields(formula);
+  return allFields.filter(field => references.has(field));
 };
 
 export default {
+  FORMULA_FUNCTIONS,
+  tokenizeFormula,
+  parseFormula,
+  evaluateParsedFormula,
   evaluateFormula,
+  evaluateRowCondition,
+  getFieldReferences,
   hasCircularReference,
   getFormulaDependencies,
 };
\ No newline at end of file
@@ -0,0 +1,196 @@
+import { describe, expect, it } from 'vitest';
+import { evaluateFormula, evaluateRowCondition, parseFormula, tokenizeFormula } from './FormulaParser';
+import { FORMULA_ERRORS, FormulaError, isFormulaError } from './formulaErrors';
+
+// The syntax error a formula fails to parse with
+const syntaxFailure = (formula) => {
+  try {
+    parseFormula(formula);
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`${formula} parsed`);
+};
+
+describe('parseFormula', () => {
+  const row = { price: 10, cost: 4, qty: 3, name: 'Widget' };
+
+  it('binds operators by precedence', () => {
+    expect(evaluateFormula('=1+2*3', row)).toBe(7);
+    expect(evaluateFormula('=2*3^2', row)).toBe(18);
+    expect(evaluateFormula('=10-4-3', row)).toBe(3);
+    expect(evaluateFormula('=2^3^2', row)).toBe(512);
+    expect(evaluateFormula('=1+2&3', row)).toBe('33');
+    expect(evaluateFormula('=1+2=3', row)).toBe(true);
+  });
+
+  it('evaluates parentheses first', () => {
+    expect(evaluateFormula('=(1+2)*3', row)).toBe(9);
+    expect(evaluateFormula('=(price-cost)/price', row)).toBe(0.6);
+    expect(evaluateFormula('=((2))^(1+1)', row)).toBe(4);
+  });
+
+  it('applies unary minus and plus', () => {
+    expect(evaluateFormula('=-price', row)).toBe(-10);
+    expect(evaluateFormula('=--price', row)).toBe(10);
+    expect(evaluateFormula('=+cost', row)).toBe(4);
+    expect(evaluateFormula('=-2^2', row)).toBe(4);
+    expect(evaluateFormula('=3*-qty', row)).toBe(-9);
+    expect(evaluateFormula('=-name', row).code).toBe(FORMULA_ERRORS.VALUE);
+  });
+
+  it('compares numbers as numbers and text ignoring case', () => {
+    expect(evaluateFormula('=price > cost', row)).toBe(true);
+    expect(evaluateFormula('=price >= 10', row)).toBe(true);
+    expect(evaluateFormula('=price <= 9', row)).toBe(false);
+    expect(evaluateFormula('=price < "9"', row)).toBe(false);
+    expect(evaluateFormula('=price <> 10', row)).toBe(false);
+    expect(evaluateFormula('=price != 11', row)).toBe(true);
+    expect(evaluateFormula('=name = "WIDGET"', row)).toBe(true);
+    expect(evaluateFormula('=name < "x"', row)).toBe(true);
+    expect(evaluateFormula('="10" < "9"', row)).toBe(false);
+  });
+
+  it('reads escaped quotes in strings', () => {
+    expect(evaluateFormula('="say ""hi"""', row)).toBe('say "hi"');
+    expect(evaluateFormula("='it''s'", row)).toBe("it's");
+    expect(evaluateFormula('="a\\"b"', row)).toBe('a"b');
+    expect(evaluateFormula("='it\\'s'", row)).toBe("it's");
+    expect(evaluateFormula('="back\\\\slash"', row)).toBe('back\\slash');
+  });
+
+  it('concatenates with &', () => {
+    expect(evaluateFormula('=name & " x" & qty', row)).toBe('Widget x3');
+    expect(evaluateFormula('=TRUE & ""', row)).toBe('TRUE');
+    expect(evaluateFormula('=qty * 2 & "pcs"', row)).toBe('6pcs');
+  });
+
+  it('evaluates nested function calls', () => {
+    expect(evaluateFormula('=ROUND(SUM(price, cost, MAX(qty, 1)) / 3, 1)', row)).toBe(5.7);
+    expect(evaluateFormula('=IF(AND(price > cost, NOT(qty = 0)), UPPER(LEFT(name, 3)), "")', row)).toBe('WID');
+    expect(evaluateFormula('=sum(1, 2)', row)).toBe(3);
+  });
+
+  it('reports the position of a syntax error', () => {
+    expect(syntaxFailure('=price +').message).toBe('Unexpected end of formula at position 9');
+    expect(syntaxFailure('=(price').position).toBe(8);
+    expect(syntaxFailure('=price ) + 1').message).toBe('Unexpected ")" at position 8');
+    expect(syntaxFailure('=price # 2').message).toBe('Unexpected character "#" at position 8');
+    expect(syntaxFailure('=SUM(1,,2)').position).toBe(8);
+    expect(syntaxFailure('="open').message).toBe('Unterminated string at position 2');
+  });
+
+  it('turns a syntax error into #NAME? at its position', () => {
+    const error = evaluateFormula('=price * * 2', row, 'total');
+    expect(error.code).toBe(FORMULA_ERRORS.NAME);
+    expect(error.start).toBe(9);
+    expect(error.expression).toBe('*');
+    expect(error.field).toBe('total');
+  });
+
+  it('gives the positions of tokens and nodes', () => {
+    const tokens = tokenizeFormula('=a <= 2').map(({ type, value, start, end }) => [type, value, start, end]);
+    expect(tokens).toEqual([
+      ['identifier', 'a', 1, 2],
+      ['operator', '<=', 3, 5],
+      ['number', 2, 6, 7],
+    ]);
+    const tree = parseFormula('=(a+b)*c');
+    expect(tree).toMatchObject({ type: 'binary', operator: '*', start: 1, end: 8 });
+    expect(tree.left).toMatchObject({ type: 'binary', operator: '+', start: 1, end: 6 });
+  });
+});
+
+describe('evaluateFormula with the row only', () => {
+  it('evaluates against the row without a field', () => {
+    expect(evaluateFormula('=price*qty', { price: 2.5, qty: 4 })).toBe(10);
+    expect(evaluateFormula('=price/0', { price: 1 }).code).toBe(FORMULA_ERRORS.DIV_ZERO);
+  });
+
+  it('returns values that are not formulas as they are', () => {
+    expect(evaluateFormula('plain text', {})).toBe('plain text');
+    expect(evaluateFormula(42, {})).toBe(42);
+    expect(evaluateFormula('', {})).toBe('');
+    expect(evaluateFormula(null, {})).toBe(null);
+  });
+});
+
+describe('evaluateFormula errors', () => {
+  const row = { price: 10, cost: 4, name: 'Widget', missing: null };
+
+  it('fails with #REF! for a field the row does not have', () => {
+    const error = evaluateFormula('=unknown_field*2', row, 'total');
+    expect(isFormulaError(error)).toBe(true);
+    expect(error.code).toBe(FORMULA_ERRORS.REF);
+    expect(error.expression).toBe('unknown_field');
+    expect(error.field).toBe('total');
+    expect(evaluateFormula('=foo', row).code).toBe(FORMULA_ERRORS.REF);
+    expect(evaluateFormula('=price', null).code).toBe(FORMULA_ERRORS.REF);
+  });
+
+  it('reads a field the row has without a value as blank', () => {
+    expect(evaluateFormula('=missing*2', row)).toBe(0);
+    expect(evaluateFormula('=missing', row)).toBe(null);
+  });
+
+  it('passes errors on through function calls', () => {
+    const error = evaluateFormula('=SUM(1, price/0)', row);
+    expect(error.code).toBe(FORMULA_ERRORS.DIV_ZERO);
+    expect(error.expression).toBe('price/0');
+    expect(evaluateFormula('=ROUND(SUM(price, nope), 2)', row).code).toBe(FORMULA_ERRORS.REF);
+  });
+
+  it('passes errors on through concatenation', () => {
+    expect(evaluateFormula('=name & " costs " & price/0', row).code).toBe(FORMULA_ERRORS.DIV_ZERO);
+    expect(evaluateFormula('="#" & nope', row).code).toBe(FORMULA_ERRORS.REF);
+  });
+
+  it('passes errors on through comparisons', () => {
+    expect(evaluateFormula('=price/0 > 1', row).code).toBe(FORMULA_ERRORS.DIV_ZERO);
+    expect(evaluateFormula('=IF(cost = nope, 1, 2)', row).code).toBe(FORMULA_ERRORS.REF);
+  });
+
+  it('passes on the error of another formula field', () => {
+    const margin = new FormulaError(FORMULA_ERRORS.DIV_ZERO, 'Division by zero', { field: 'margin' });
+    const error = evaluateFormula('=SUM(margin, 1) & "%"', { margin }, 'label');
+    expect(error).toBe(margin);
+    expect(error.field).toBe('margin');
+  });
+});
+
+describe('evaluateRowCondition', () => {
+  const row = { quantity: 5, reorder_level: 10, status: 'Out of stock', needs_reorder: true, notes: null };
+
+  it('compares fields with fields and literals', () => {
+    expect(evaluateRowCondition('quantity<reorder_level', row)).toBe(true);
+    expect(evaluateRowCondition('quantity >= 5', row)).toBe(true);
+    expect(evaluateRowCondition('quantity <> 5', row)).toBe(false);
+    expect(evaluateRowCondition('status="out of stock"', row)).toBe(true);
+    expect(evaluateRowCondition('needs_reorder=true', row)).toBe(true);
+    expect(evaluateRowCondition('needs_reorder=true', { ...row, needs_reorder: false })).toBe(false);
+  });
+
+  it('does not match names that are not fields of the row', () => {
+    expect(evaluateRowCondition('status=discontinued', { status: 'discontinued' })).toBe(false);
+    expect(evaluateRowCondition('status="discontinued"', { status: 'discontinued' })).toBe(true);
+    expect(evaluateRowCondition('quantiy<reorder_level', row)).toBe(false);
+    expect(evaluateRowCondition('quantiy<>reorder_level', row)).toBe(false);
+    expect(evaluateRowCondition('NOT(quantiy)', row)).toBe(false);
+  });
+
+  it('takes the truth of a condition without a comparison', () => {
+    expect(evaluateRowCondition('needs_reorder', row)).toBe(true);
+    expect(evaluateRowCondition('notes', row)).toBe(false);
+    expect(evaluateRowCondition('notes', { notes: 'false' })).toBe(false);
+    expect(evaluateRowCondition('AND(quantity > 0, needs_reorder)', row)).toBe(true);
+  });
+
+  it('does not match conditions that fail', () => {
+    expect(evaluateRowCondition('quantity / 0 > 1', row)).toBe(false);
+    expect(evaluateRowCondition('quantity <', row)).toBe(false);
+    expect(evaluateRowCondition('NOPE(quantity)', row)).toBe(false);
+    const margin = new FormulaError(FORMULA_ERRORS.DIV_ZERO, 'Division by zero');
+    expect(evaluateRowCondition('margin < 10', { margin })).toBe(false);
+    expect(evaluateRowCondition('', row)).toBe(false);
+  });
+});
@@ -0,0 +1,82 @@
+import React, { forwardRef, useEffect, useRef, useState } from 'react';
+import { Select, Spin } from 'antd';
+
+const SEARCH_DELAY = 300;
+
+/**
+ * Searchable select for lookup columns. Options are loaded through the column's
+ * `loadOptions(search)` when the dropdown first opens and again as the user types,
+ * so rendering many editors doesn't query the referenced table.
+ * The current value is shown with its known label (`column.lookupLabels`) meanwhile.
+ */
+const LookupSelect = forwardRef(({ column, value, onChange, defaultOpen, ...props }, ref) => {
+  const [options, setOptions] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const searchTimerRef = useRef(null);
+  // Only the latest request may set the options, earlier searches can finish later
+  const requestRef = useRef(0);
+
+  const load = async (search = '') => {
+    if (!column.loadOptions) return;
+
+    const request = requestRef.current + 1;
+    requestRef.current = request;
+    setLoading(true);
+    try {
+      const result = await column.loadOptions(search);
+      if (request === requestRef.current) setOptions(result);
+    } catch (error) {
+      console.error(`❌ Failed to load options for ${column.title}:`, error);
+    } finally {
+      if (request === requestRef.current) setLoading(false);
+    }
+  };
+
+  // The inline editor opens the dropdown right away, without a visibility change
+  useEffect(() => {
+    if (defaultOpen) load();
+    return () => clearTimeout(searchTimerRef.current);
+  }, []);
+
+  const handleDropdownVisibleChange = (open) => {
+    if (open && options === null) load();
+  };
+
+  const handleSearch = (search) => {
+    clearTimeout(searchTimerRef.current);
+    searchTimerRef.current = setTimeout(() => load(search), SEARCH_DELAY);
+  };
+
+  const hasValue = value !== undefined && value !== null;
+  const currentOption = hasValue
+    ? { value, label: (column.lookupLabels && column.lookupLabels.get(String(value))) ?? String(value) }
+    : null;
+  const loadedOptions = options || [];
+  const mergedOptions = currentOption && !loadedOptions.some(option => String(option.value) === String(value))
+    ? [currentOption, ...loadedOptions]
+    : loadedOptions;
+
+  return (
+    <Select
+      ref={ref}
+      showSearch
+      allowClear
+      // Searching happens in the referenced table
+      filterOption={false}
+      value={hasValue ? value : undefined}
+      onChange={(newValue) => onChange(newValue === undefined ? null : newValue)}
+      onSearch={handleSearch}
+      onDropdownVisibleChange={handleDropdownVisibleChange}
+      defaultOpen={defaultOpen}
+      loading={loading}
+      notFoundContent={loading ? <Spin size="small" /> : undefined}
+      options={mergedOptions}
+      style={{ width: '100%', minWidth: 160 }}
+      {...props}
+    />
+  );
+});
+
+LookupSelect.displayName = 'LookupSelect';
+
+export default LookupSelect;
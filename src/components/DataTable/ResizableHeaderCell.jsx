@@ -0,0 +1,48 @@
+import React from 'react';
+
+const MIN_COLUMN_WIDTH = 60;
+
+/**
+ * Header cell used through the Table `components.header.cell` slot.
+ * Columns that receive `onResize` from their `onHeaderCell` get a handle on the
+ * right edge: `onResize` is called while dragging, `onResizeEnd` on release.
+ */
+const ResizableHeaderCell = ({ onResize, onResizeEnd, children, ...restProps }) => {
+  if (!onResize) {
+    return <th {...restProps}>{children}</th>;
+  }
+
+  const handleMouseDown = (e) => {
+    // Keep the header from starting a column drag or selecting text
+    e.preventDefault();
+    e.stopPropagation();
+
+    const startX = e.clientX;
+    const startWidth = e.currentTarget.parentElement.offsetWidth;
+    const getWidth = (event) => Math.max(MIN_COLUMN_WIDTH, Math.round(startWidth + event.clientX - startX));
+
+    const handleMouseMove = (event) => onResize(getWidth(event));
+    const handleMouseUp = (event) => {
+      document.removeEventListener('mousemove', handleMouseMove);
+      document.removeEventListener('mouseup', handleMouseUp);
+      onResizeEnd(getWidth(event));
+    };
+
+    document.addEventListener('mousemove', handleMouseMove);
+    document.addEventListener('mouseup', handleMouseUp);
+  };
+
+  return (
+    <th {...restProps}>
+      {children}
+      <span
+        className="data-table-resize-handle"
+        onMouseDown={handleMouseDown}
+        // A click on the handle must not sort the column
+        onClick={(e) => e.stopPropagation()}
+      />
+    </th>
+  );
+};
+
+export default ResizableHeaderCell;
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Select, Tooltip, Typography, Spin, message } from 'antd';
 import { DatabaseOutlined, ReloadOutlined } from '@ant-design/icons';
 import { fetchAvailableTables } from './DatabaseConnector';
+import { useLocale } from './i18n';
 
 const { Option } = Select;
 const { Title, Text } = Typography;
@@ -13,6 +14,7 @@ const { Title, Text } = Typography;
  * @param {Function} props.onSelectTable Callback when table is selected
  */
 const TableSelector = ({ selectedTable, onSelectTable }) => {
+  const { t } = useLocale();
   const [tables, setTables] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshCounter, setRefreshCounter] = useState(0);
@@ -30,25 +32,25 @@ const TableSelector = ({ selectedTable, onSelectTable }) => {
       // Try to get tables from the real database
       const availableTables = await fetchAvailableTables();
       
-      console.log('✅ Found database tables:', availableTables.map(t => t.id).join(', '));
+      console.log('✅ Found database tables:', availableTables.map(table => table.id).join(', '));
       setTables(availableTables);
       
       // If no table is selected and we have tables, select the first one
       if (!selectedTable && availableTables.length > 0) {
         onSelectTable(availableTables[0].id);
-        message.success(`Connected to ${availableTables.length} database tables`);
+        message.success(t('selector.connected', { count: availableTables.length }));
       }
       
       // Force clear any previously selected table that no longer exists
-      if (selectedTable && !availableTables.find(t => t.id === selectedTable)) {
-        message.info('Previously selected table is no longer available');
+      if (selectedTable && !availableTables.find(table => table.id === selectedTable)) {
+        message.info(t('selector.unavailable'));
         if (availableTables.length > 0) {
           onSelectTable(availableTables[0].id);
         }
       }
     } catch (error) {
       console.error('Database connection error:', error);
-      message.error(`Database connection failed: ${error.message}`);
+      message.error(t('selector.connectionFailed', { error: error.message }));
       setTables([]);
       
       // If we've been trying without success, retry a few times
@@ -94,7 +96,7 @@ const TableSelector = ({ selectedTable, onSelectTable }) => {
       }}>
         <div style={{ display: 'flex', alignItems: 'center' }}>
           <DatabaseOutlined style={{ marginRight: 8, color: 'var(--primary-color, #1890ff)' }} />
-          <span style={{ fontWeight: 'bold' }}>Database Tables</span>
+          <span style={{ fontWeight: 'bold' }}>{t('selector.title')}</span>
         </div>
         <div 
           onClick={handleRefresh} 
@@ -107,7 +109,7 @@ const TableSelector = ({ selectedTable, onSelectTable }) => {
             color: 'var(--text-color-secondary, rgba(255, 255, 255, 0.45))',
             transition: 'all 0.3s'
           }}
-          title="Refresh database tables"
+          title={t('selector.refresh')}
           onMouseEnter={e => e.currentTarget.style.color = 'var(--primary-color, #1890ff)'}
           onMouseLeave={e => e.currentTarget.style.color = 'var(--text-color-secondary, rgba(255, 255, 255, 0.45))'}
         >
@@ -118,12 +120,12 @@ const TableSelector = ({ selectedTable, onSelectTable }) => {
       {loading ? (
         <div style={{ textAlign: 'center', padding: '20px 0' }}>
           <Spin />
-          <div style={{ marginTop: 8 }}>Loading tables...</div>
+          <div style={{ marginTop: 8 }}>{t('selector.loading')}</div>
         </div>
       ) : (
         <>
           <Title level={5} style={{ color: 'var(--heading-color, rgba(255, 255, 255, 0.85))' }}>
-            Select Table
+            {t('selector.select')}
           </Title>
           {tables.length > 0 ? (
             <div style={{ marginBottom: 16, minHeight: '150px' }}>
@@ -132,7 +134,7 @@ const TableSelector = ({ selectedTable, onSelectTable }) => {
                   key={table.id}
                   onClick={() => {
                     onSelectTable(table.id);
-                    message.info(`Loading data from ${table.name || table.id} table...`);
+                    message.info(t('selector.loadingTable', { table: table.name || table.id }));
                   }}
                   style={{
                     padding: '10px',
@@ -170,13 +172,13 @@ const TableSelector = ({ selectedTable, onSelectTable }) => {
               margin: '8px 0'
             }}>
               <div style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '8px' }}>
-                DATABASE ERROR
+                {t('selector.error')}
               </div>
               <p style={{ margin: '4px 0', padding: '0 16px' }}>
-                No accessible tables found in your Supabase database.
+                {t('selector.noTables')}
               </p>
               <p style={{ margin: '4px 0', padding: '0 16px', fontSize: '12px' }}>
-                Please create the required tables in your Supabase project or check CORS settings.
+                {t('selector.noTablesHelp')}
               </p>
               
               <div style={{ 
@@ -187,26 +189,33 @@ const TableSelector = ({ selectedTable, onSelectTable }) => {
                 border: '1px solid #1890ff',
                 fontSize: '12px'
               }}>
-                <h4 style={{ margin: '0 0 8px 0', color: '#1890ff' }}>Troubleshooting Steps:</h4>
+                <h4 style={{ margin: '0 0 8px 0', color: '#1890ff' }}>{t('selector.troubleshooting')}</h4>
                 <ol style={{ margin: '0', paddingLeft: '20px', textAlign: 'left' }}>
                   <li style={{ marginBottom: '4px' }}>
-                    <strong>CORS Settings:</strong> Add <code>{window.location.origin}</code> to your Supabase allowed origins
+                    {/* The origin is kept as code, wherever the language puts it in the sentence */}
+                    <strong>{t('selector.cors')}</strong>{' '}
+                    {t('selector.corsHelp').split('{origin}').map((part, index) => (
+                      <React.Fragment key={index}>
+                        {index > 0 && <code>{window.location.origin}</code>}
+                        {part}
+                      </React.Fragment>
+                    ))}
                   </li>
                   <li style={{ marginBottom: '4px' }}>
-                    <strong>Create Tables:</strong> Run SQL to create required tables in Supabase
+                    <strong>{t('selector.createTables')}</strong> {t('selector.createTablesHelp')}
                   </li>
                   <li style={{ marginBottom: '4px' }}>
-                    <strong>Permissions:</strong> Ensure anon role can access your tables
+                    <strong>{t('selector.permissions')}</strong> {t('selector.permissionsHelp')}
                   </li>
                   <li style={{ marginBottom: '4px' }}>
-                    <strong>Environment Variables:</strong> Make sure your build includes VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY
+                    <strong>{t('selector.environment')}</strong> {t('selector.environmentHelp')}
                   </li>
                 </ol>
               </div>
               
               <div style={{ margin: '12px 8px' }}>
                 <div style={{ fontWeight: 'bold', marginBottom: '4px', color: '#1890ff' }}>
-                  Quick Setup SQL:
+                  {t('selector.setupSql')}
                 </div>
                 <div style={{ 
                   padding: '8px', 
@@ -238,16 +247,50 @@ CREATE TABLE IF NOT EXISTS product_summary (
 CREATE TABLE IF NOT EXISTS categories (
   id SERIAL PRIMARY KEY,
   name TEXT,
-  description TEXT
+  description TEXT,
+  sort_order INTEGER
 );
 
+-- Optional: shared saved views of the data table
+CREATE TABLE IF NOT EXISTS table_views (
+  id SERIAL PRIMARY KEY,
+  table_name TEXT NOT NULL,
+  name TEXT NOT NULL,
+  layout JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (table_name, name)
+);
+
+-- Optional: column constraints, turned into validation rules by the data table
+CREATE OR REPLACE FUNCTION get_column_constraints(p_table TEXT, p_schema TEXT DEFAULT 'public')
+RETURNS TABLE (
+  column_name TEXT, data_type TEXT, is_nullable BOOLEAN,
+  has_default BOOLEAN, max_length INTEGER, check_clauses TEXT[]
+)
+LANGUAGE sql STABLE AS $$
+  SELECT c.column_name::TEXT, c.data_type::TEXT, c.is_nullable = 'YES',
+    c.column_default IS NOT NULL, c.character_maximum_length::INTEGER,
+    ARRAY(
+      SELECT cc.check_clause::TEXT
+      FROM information_schema.constraint_column_usage ccu
+      JOIN information_schema.check_constraints cc
+        ON cc.constraint_schema = ccu.constraint_schema
+        AND cc.constraint_name = ccu.constraint_name
+      WHERE ccu.table_schema = c.table_schema
+        AND ccu.table_name = c.table_name
+        AND ccu.column_name = c.column_name
+    )
+  FROM information_schema.columns c
+  WHERE c.table_schema = p_schema AND c.table_name = p_table;
+$$;
+
 -- Insert sample categories
-INSERT INTO categories (name, description) VALUES
-('Electronics', 'Electronic devices and accessories'),
-('Office Supplies', 'Office stationary and supplies'),
-('Furniture', 'Office and home furniture'),
-('Kitchen', 'Kitchen appliances and utensils'),
-('Books', 'Books and publications');
+INSERT INTO categories (name, description, sort_order) VALUES
+('Electronics', 'Electronic devices and accessories', 1),
+('Office Supplies', 'Office stationary and supplies', 2),
+('Furniture', 'Office and home furniture', 3),
+('Kitchen', 'Kitchen appliances and utensils', 4),
+('Books', 'Books and publications', 5);
 
 -- Insert sample products
 INSERT INTO product_summary (sku, name, description, category, price, cost, quantity, reorder_level, status) VALUES
@@ -274,7 +317,7 @@ INSERT INTO product_summary (sku, name, description, category, price, cost, quan
                   }}
                   onClick={handleRefresh}
                 >
-                  Retry Connection
+                  {t('selector.retry')}
                 </button>
                 <a 
                   href="https://supabase.com/dashboard" 
@@ -292,7 +335,7 @@ INSERT INTO product_summary (sku, name, description, category, price, cost, quan
                       boxShadow: '0 2px 0 rgba(0,0,0,0.045)',
                       height: '32px'
                     }}
-                  >Go to Supabase</button>
+                  >{t('selector.supabase')}</button>
                 </a>
               </div>
             </div>
@@ -305,15 +348,15 @@ INSERT INTO product_summary (sku, name, description, category, price, cost, quan
               borderRadius: '4px'
             }}>
               <Text style={{ color: 'var(--text-color-secondary, rgba(255, 255, 255, 0.45))' }}>
-                Viewing table: <Text strong style={{ color: 'var(--text-color, rgba(255, 255, 255, 0.85))' }}>{tables.find(t => t.id === selectedTable)?.name || selectedTable}</Text>
+                {t('selector.viewing')} <Text strong style={{ color: 'var(--text-color, rgba(255, 255, 255, 0.85))' }}>{tables.find(table => table.id === selectedTable)?.name || selectedTable}</Text>
               </Text>
               <div style={{ marginTop: 4 }}>
                 <Text style={{ color: 'var(--text-color-secondary, rgba(255, 255, 255, 0.45))' }}>
-                  {tables.find(t => t.id === selectedTable)?.description || 'Table data'}
+                  {tables.find(table => table.id === selectedTable)?.description || t('selector.tableData')}
                 </Text>
               </div>
               
-              {tables.find(t => t.id === selectedTable)?.name?.includes('DUMMY') && (
+              {tables.find(table => table.id === selectedTable)?.name?.includes('DUMMY') && (
                 <div style={{
                   marginTop: 8,
                   padding: '4px 8px',
@@ -324,7 +367,7 @@ INSERT INTO product_summary (sku, name, description, category, price, cost, quan
                   fontSize: '0.85rem',
                   textAlign: 'center'
                 }}>
-                  USING MOCK DATA
+                  {t('selector.mockData')}
                 </div>
               )}
             </div>
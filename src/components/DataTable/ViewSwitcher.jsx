@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { Button, Checkbox, Form, Input, Modal, Popconfirm, Select, Space, Tooltip } from 'antd';
+import { DeleteOutlined, SaveOutlined, PlusOutlined } from '@ant-design/icons';
+import { useLocale } from './i18n';
+
+// Local and shared views may use the same name, so the storage is part of the key
+const getViewKey = (view) => `${view.shared ? 'shared' : 'local'}:${view.name}`;
+
+/**
+ * Picks, saves and deletes named table views (column layouts)
+ * @param {Object} props Component props
+ * @param {Array} props.views Saved views of the table ({ name, layout, shared })
+ * @param {Object} props.currentView Selected view, or null for the default layout
+ * @param {Function} props.onSelect Called with the picked view (null for the default layout)
+ * @param {Function} props.onSave Called with { name, shared } to store the current layout
+ * @param {Function} props.onDelete Called with the view to delete
+ */
+const ViewSwitcher = ({ views = [], currentView, onSelect, onSave, onDelete }) => {
+  const { t } = useLocale();
+  const [isSaveAsVisible, setIsSaveAsVisible] = useState(false);
+  const [form] = Form.useForm();
+
+  const handleSaveAs = () => {
+    form.validateFields().then(values => {
+      onSave({ name: values.name.trim(), shared: Boolean(values.shared) });
+      setIsSaveAsVisible(false);
+    });
+  };
+
+  return (
+    <Space size="small" className="data-table-view-switcher">
+      <Select
+        value={currentView ? getViewKey(currentView) : 'default'}
+        onChange={(key) => onSelect(views.find(view => getViewKey(view) === key) || null)}
+        style={{ width: 200 }}
+        options={[
+          { value: 'default', label: t('views.default') },
+          ...views.map(view => ({
+            value: getViewKey(view),
+            label: view.shared ? t('views.shared', { name: view.name }) : view.name,
+          })),
+        ]}
+      />
+      <Tooltip title={t('views.save')}>
+        <Button
+          icon={<SaveOutlined />}
+          disabled={!currentView}
+          onClick={() => onSave({ name: currentView.name, shared: currentView.shared })}
+        />
+      </Tooltip>
+      <Tooltip title={t('views.saveAs')}>
+        <Button
+          icon={<PlusOutlined />}
+          onClick={() => {
+            form.resetFields();
+            setIsSaveAsVisible(true);
+          }}
+        />
+      </Tooltip>
+      <Popconfirm
+        title={currentView ? t('views.confirmDelete', { name: currentView.name }) : ''}
+        onConfirm={() => onDelete(currentView)}
+        disabled={!currentView}
+      >
+        <Button icon={<DeleteOutlined />} disabled={!currentView} />
+      </Popconfirm>
+
+      <Modal
+        title={t('views.saveTitle')}
+        open={isSaveAsVisible}
+        onOk={handleSaveAs}
+        onCancel={() => setIsSaveAsVisible(false)}
+        okText={t('views.saveOk')}
+      >
+        <Form form={form} layout="vertical" initialValues={{ shared: false }}>
+          <Form.Item
+            name="name"
+            label={t('views.name')}
+            rules={[
+              { required: true, whitespace: true, message: t('views.enterName') },
+              {
+                validator: (_, value) => {
+                  const shared = form.getFieldValue('shared');
+                  const exists = views.some(view => view.name === (value || '').trim() && view.shared === Boolean(shared));
+                  return exists
+                    ? Promise.reject(t('views.exists'))
+                    : Promise.resolve();
+                }
+              }
+            ]}
+          >
+            <Input placeholder={t('views.namePlaceholder')} />
+          </Form.Item>
+          <Form.Item
+            name="shared"
+            valuePropName="checked"
+            extra={t('views.sharedHelp')}
+          >
+            <Checkbox>{t('views.share')}</Checkbox>
+          </Form.Item>
+        </Form>
+      </Modal>
+    </Space>
+  );
+};
+
+export default ViewSwitcher;
@@ -0,0 +1,91 @@
+// Column aggregates for DataTable, shown in group header rows and the footer row.
+// A column declares one with `aggregate`: the name of a built-in aggregate, e.g.
+// { dataIndex: 'quantity', aggregate: 'sum' }, or a custom one as a function
+// `(values, rows) => result` or an object { label, compute }.
+
+import { formatCellValue } from './columnTypes';
+import { FORMULA_FUNCTIONS } from './FormulaParser';
+import { translate } from './i18n';
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Numeric aggregates skip empty cells and values that aren't numbers
+const toNumbers = (values) => values
+  .filter(value => !isEmpty(value))
+  .map(Number)
+  .filter(number => !Number.isNaN(number));
+
+const withNumbers = (compute) => (values) => {
+  const numbers = toNumbers(values);
+  return numbers.length > 0 ? compute(numbers) : null;
+};
+
+// Values as the same text count as one, so 5 and '5' aren't distinct
+const distinct = (values) => [...new Set(values.filter(value => !isEmpty(value)).map(value => (
+  typeof value === 'object' ? JSON.stringify(value) : String(value)
+)))];
+
+export const AGGREGATES = {
+  sum: { label: 'Sum', compute: withNumbers(FORMULA_FUNCTIONS.SUM) },
+  avg: { label: 'Avg', compute: withNumbers(FORMULA_FUNCTIONS.AVG) },
+  min: { label: 'Min', compute: withNumbers(FORMULA_FUNCTIONS.MIN) },
+  max: { label: 'Max', compute: withNumbers(FORMULA_FUNCTIONS.MAX) },
+  count: { label: 'Count', compute: (values) => FORMULA_FUNCTIONS.COUNT(values.filter(value => !isEmpty(value))) },
+  distinct: { label: 'Distinct', compute: (values) => FORMULA_FUNCTIONS.COUNT(distinct(values)) },
+};
+
+// Aggregates that count rows are shown as whole numbers, not in the column's format
+const COUNTING = ['count', 'distinct'];
+
+/**
+ * The aggregate a column declares, labeled in the column's locale
+ * @param {Object} column Column definition
+ * @returns {Object|null} { label, compute(values, rows) }, or null without a (known) aggregate
+ */
+export const getAggregate = (column) => {
+  const { aggregate, locale } = column;
+  if (typeof aggregate === 'function') return { label: translate(locale, 'aggregate.total'), compute: aggregate };
+  if (aggregate && typeof aggregate === 'object') return { label: translate(locale, 'aggregate.total'), ...aggregate };
+  return AGGREGATES[aggregate]
+    ? { ...AGGREGATES[aggregate], label: translate(locale, `aggregate.${aggregate}`) }
+    : null;
+};
+
+/**
+ * Whether a column declares an aggregate that can be computed
+ * @param {Object} column Column definition
+ * @returns {boolean}
+ */
+export const hasAggregate = (column) => Boolean(getAggregate(column));
+
+/**
+ * Compute a column's aggregate over some rows
+ * @param {Object} column Column definition with `aggregate`
+ * @param {Array} rows Rows to aggregate
+ * @returns {*} The aggregate, or null without values to aggregate
+ */
+export const computeAggregate = (column, rows) => {
+  const aggregate = getAggregate(column);
+  if (!aggregate) return null;
+  try {
+    return aggregate.compute(rows.map(row => row[column.dataIndex]), rows);
+  } catch (error) {
+    console.error(`❌ Aggregate of ${column.title} failed:`, error);
+    return null;
+  }
+};
+
+/**
+ * Aggregate as display text, in the column's format (e.g. "$1,299.99")
+ * @param {Object} column Column definition with `aggregate`
+ * @param {*} value Computed aggregate
+ * @returns {string} Display text ('' without a value)
+ */
+export const formatAggregate = (column, value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'number') return String(value);
+  if (COUNTING.includes(column.aggregate)) return value.toLocaleString(column.locale);
+  const type = column.type === 'formula' ? column.resultType : column.type;
+  if (type === 'currency' || type === 'percent') return formatCellValue(column, value);
+  return value.toLocaleString(column.locale, { maximumFractionDigits: 2 });
+};
@@ -0,0 +1,195 @@
+// Copy and paste between DataTable and spreadsheets. Cell ranges travel as TSV
+// (tab-separated rows, the format Excel and Google Sheets put on the clipboard);
+// values are written as text a spreadsheet understands and read back into each
+// column's stored form, e.g. "$1,299.99" into 1299.99 for a currency column.
+// Numbers and booleans are written and read in the column's locale, so a German
+// spreadsheet gets 1299,99 and WAHR.
+
+import dayjs from 'dayjs';
+import {
+  DATE_FORMAT, formatCellValue, getDecimalSeparator, getGroupSeparator, getValueKind, toTags,
+} from './columnTypes';
+import { isFormulaError } from './formulaErrors';
+import { translate } from './i18n';
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Fields with tabs, line breaks or quotes are quoted, with quotes doubled
+const quoteField = (text) => (/[\t\n\r"]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+/**
+ * Cells as TSV text
+ * @param {Array<Array<string>>} grid Rows of cell texts
+ * @returns {string} TSV text
+ */
+export const toTsv = (grid) => grid.map(row => row.map(quoteField).join('\t')).join('\n');
+
+/**
+ * Cells of TSV text, e.g. from a spreadsheet. Quoted fields may hold tabs and line breaks.
+ * @param {string} text TSV text
+ * @returns {Array<Array<string>>} Rows of cell texts
+ */
+export const parseTsv = (text) => {
+  const grid = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === '\t') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      grid.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Spreadsheets end the copied text with a line break, which doesn't start a row
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    grid.push(row);
+  }
+  return grid;
+};
+
+/**
+ * Cell value as clipboard text. Numbers stay plain (only with the locale's decimal
+ * separator) so spreadsheets can calculate with them; lookups are copied by their label.
+ * @param {Object} column Column definition
+ * @param {*} value Cell value
+ * @returns {string} Text ('' for empty values)
+ */
+export const toClipboardText = (column, value) => {
+  if (isEmpty(value)) return '';
+  // Formula errors are copied by their code, as spreadsheets do
+  if (isFormulaError(value)) return String(value);
+
+  switch (column.type) {
+    case 'checkbox':
+      return translate(column.locale, value ? 'clipboard.true' : 'clipboard.false');
+    case 'datetime': {
+      const date = dayjs(value);
+      return date.isValid() ? date.format('YYYY-MM-DD HH:mm:ss') : String(value);
+    }
+    case 'tags':
+    case 'json':
+    case 'lookup':
+      return formatCellValue(column, value);
+    default:
+      if (typeof value === 'number') return String(value).replace('.', getDecimalSeparator(column.locale));
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+};
+
+const TRUE_TEXTS = ['true', 'yes', 'y', '1', 'x'];
+const FALSE_TEXTS = ['false', 'no', 'n', '0'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Currency symbols, spaces, the locale's thousands separator and the percent sign are
+// formatting and dropped; what's left has to be a number with the locale's decimal
+// separator, so "12 pcs" or "1-2" are not read as 12. NaN for text that isn't a number.
+const toNumber = (text, locale) => {
+  const decimal = escapeRegExp(getDecimalSeparator(locale));
+  const group = getGroupSeparator(locale);
+  const unformatted = text.replace(/[\p{Sc}\s%]/gu, '');
+  const stripped = group ? unformatted.split(group).join('') : unformatted;
+  const pattern = new RegExp(`^[+-]?(\\d+(${decimal}\\d*)?|${decimal}\\d+)(e[+-]?\\d+)?$`, 'i');
+  return pattern.test(stripped) ? Number(stripped.replace(new RegExp(decimal), '.')) : NaN;
+};
+
+// A boolean in English or in the locale's words (TRUE, WAHR, Yes, Ja, ...)
+const toBoolean = (text, locale) => {
+  const lower = text.toLowerCase();
+  const words = (keys) => keys.map(key => translate(locale, key).toLowerCase());
+  if (TRUE_TEXTS.includes(lower) || words(['clipboard.true', 'filter.yes']).includes(lower)) return true;
+  if (FALSE_TEXTS.includes(lower) || words(['clipboard.false', 'filter.no']).includes(lower)) return false;
+  return null;
+};
+
+// An option by its value or its label, ignoring case
+const findOption = (options, text) => {
+  const lower = text.toLowerCase();
+  return (options || []).find(option => (
+    String(option.value).toLowerCase() === lower || String(option.label).toLowerCase() === lower
+  ));
+};
+
+/**
+ * Read pasted text into a column's stored form
+ * @param {Object} column Column definition (lookup columns with their `lookupLabels`)
+ * @param {string} text Pasted cell text
+ * @returns {Object} { value }, or { error } when the text doesn't fit the column
+ */
+export const parseClipboardText = (column, text) => {
+  const trimmed = text.trim();
+  const { locale, title } = column;
+  if (trimmed === '') return { value: column.type === 'checkbox' ? false : null };
+
+  switch (getValueKind(column)) {
+    case 'number': {
+      const number = toNumber(trimmed, locale);
+      return !Number.isNaN(number)
+        ? { value: number }
+        : { error: translate(locale, 'clipboard.number', { title }) };
+    }
+    case 'boolean': {
+      const value = toBoolean(trimmed, locale);
+      if (value !== null) return { value };
+      return {
+        error: translate(locale, 'clipboard.boolean', {
+          title,
+          true: translate(locale, 'clipboard.true'),
+          false: translate(locale, 'clipboard.false'),
+        }),
+      };
+    }
+    case 'date': {
+      const date = dayjs(trimmed);
+      if (!date.isValid()) return { error: translate(locale, 'clipboard.date', { title }) };
+      return { value: column.type === 'date' ? date.format(DATE_FORMAT) : date.toISOString() };
+    }
+    case 'tags':
+      return { value: toTags(trimmed) };
+    case 'select': {
+      if (column.type === 'lookup') {
+        // Lookups are pasted by label (as copied) or by key
+        const labels = [...(column.lookupLabels || new Map())];
+        const match = labels.find(([, label]) => label.toLowerCase() === trimmed.toLowerCase()) ||
+          labels.find(([value]) => value === trimmed);
+        if (!match) return { error: translate(locale, 'clipboard.noOption', { title, value: trimmed }) };
+        const option = findOption(column.options, match[0]);
+        return { value: option ? option.value : match[0] };
+      }
+      const option = findOption(column.options, trimmed);
+      return { value: option ? option.value : trimmed };
+    }
+    default:
+      if (column.type === 'json') {
+        try {
+          return { value: JSON.parse(trimmed) };
+        } catch (error) {
+          return { error: translate(locale, 'validation.json', { title }) };
+        }
+      }
+      return { value: text };
+  }
+};
@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+import { parseClipboardText } from './clipboard';
+
+const numberColumn = (locale) => ({ type: 'number', title: 'Price', locale });
+
+describe('parseClipboardText for numbers', () => {
+  it('drops currency symbols, thousands separators, spaces and percent signs', () => {
+    expect(parseClipboardText(numberColumn('en-US'), '$1,299.99')).toEqual({ value: 1299.99 });
+    expect(parseClipboardText(numberColumn('en-US'), '15%')).toEqual({ value: 15 });
+    expect(parseClipboardText(numberColumn('de-DE'), '1.299,99 €')).toEqual({ value: 1299.99 });
+    expect(parseClipboardText(numberColumn('fr-FR'), '1 299,5')).toEqual({ value: 1299.5 });
+  });
+
+  it('reads signs, leading decimal separators and exponents', () => {
+    expect(parseClipboardText(numberColumn('en-US'), '-3.5')).toEqual({ value: -3.5 });
+    expect(parseClipboardText(numberColumn('en-US'), '.5')).toEqual({ value: 0.5 });
+    expect(parseClipboardText(numberColumn('en-US'), '1e3')).toEqual({ value: 1000 });
+  });
+
+  it('rejects text that is not a number', () => {
+    ['12 pcs', '1-2', '1.2.3', '$', 'abc'].forEach(text => {
+      expect(parseClipboardText(numberColumn('en-US'), text)).toHaveProperty('error');
+    });
+  });
+});
@@ -0,0 +1,71 @@
+// Column layout helpers for DataTable: visibility, order, width and pinning.
+// A layout is { columns: [{ key, hidden, width, fixed }] } in display order, where
+// key is the column's dataIndex. Columns a layout doesn't know about (e.g. added
+// to the table after the view was saved) are shown after the known ones.
+
+// Left-pinned columns must come first and right-pinned ones last
+const PIN_RANK = { left: 0, right: 2 };
+const getPinRank = (entry) => (entry.fixed in PIN_RANK ? PIN_RANK[entry.fixed] : 1);
+
+/**
+ * Layout entries for every column, in display order
+ * @param {Array} columns Column definitions
+ * @param {Object} layout Saved layout, or null for the default layout
+ * @returns {Array} Entries of the form { key, hidden, width, fixed }
+ */
+export const getLayoutEntries = (columns, layout) => {
+  const savedEntries = (layout && layout.columns) || [];
+  const saved = new Map(savedEntries.map((entry, index) => [entry.key, { ...entry, index }]));
+
+  return columns
+    .map((column, index) => {
+      const entry = saved.get(column.dataIndex);
+      return {
+        key: column.dataIndex,
+        hidden: entry ? Boolean(entry.hidden) : false,
+        width: entry && entry.width ? entry.width : column.width,
+        fixed: entry ? entry.fixed || null : column.fixed || null,
+        index: entry ? entry.index : savedEntries.length + index,
+      };
+    })
+    .sort((a, b) => a.index - b.index)
+    .map(({ key, hidden, width, fixed }) => ({ key, hidden, width, fixed }));
+};
+
+/**
+ * Apply a layout to column definitions
+ * @param {Array} columns Column definitions
+ * @param {Object} layout Saved layout, or null for the default layout
+ * @returns {Array} Visible columns in display order, with their width and pinning
+ */
+export const applyColumnLayout = (columns, layout) => {
+  if (!layout) return columns;
+
+  const columnsByKey = new Map(columns.map(column => [column.dataIndex, column]));
+  return getLayoutEntries(columns, layout)
+    .filter(entry => !entry.hidden)
+    .sort((a, b) => getPinRank(a) - getPinRank(b))
+    .map(entry => ({
+      ...columnsByKey.get(entry.key),
+      width: entry.width,
+      fixed: entry.fixed || undefined,
+    }));
+};
+
+/**
+ * Move a column before or after another one
+ * @param {Array} entries Layout entries
+ * @param {string} key Column to move
+ * @param {string} targetKey Column to drop it next to
+ * @param {string} position 'before' or 'after'
+ * @returns {Array} Reordered entries
+ */
+export const moveLayoutEntry = (entries, key, targetKey, position) => {
+  const moving = entries.find(entry => entry.key === key);
+  const remaining = entries.filter(entry => entry.key !== key);
+  const targetIndex = remaining.findIndex(entry => entry.key === targetKey);
+  if (!moving || targetIndex === -1) return entries;
+
+  const insertAt = position === 'after' ? targetIndex + 1 : targetIndex;
+  return [...remaining.slice(0, insertAt), moving, ...remaining.slice(insertAt)];
+};
@@ -0,0 +1,416 @@
+import React, { forwardRef, useEffect, useRef, useState } from 'react';
+import { DatePicker, Input, InputNumber, Popover, Select, Tag } from 'antd';
+import dayjs from 'dayjs';
+import LookupSelect from './LookupSelect';
+
+// Rich column types: how values are shown and edited, and which filter and
+// comparator they share with the basic types. Values are stored as
+//   date      'YYYY-MM-DD'
+//   datetime  ISO 8601 string
+//   currency  number, in the column's `currency` (ISO 4217 code, default USD)
+//   percent   number, 12.5 is 12.5%
+//   url/email string
+//   json      any JSON value
+//   tags      array of strings
+//   lookup    key of a row in another table, shown by that row's label
+//
+// Formula columns are computed by DataTable; with a `resultType` (e.g. 'currency')
+// their results are shown, sorted and filtered like values of that type.
+//
+// Numbers, currencies and dates are shown for the column's `locale`, which
+// DataTable sets to its own (the runtime's default without one).
+
+export const DATE_FORMAT = 'YYYY-MM-DD';
+const DATETIME_FORMAT = 'YYYY-MM-DD HH:mm';
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * The basic type whose filter and comparator a column uses
+ * @param {Object} column Column definition
+ * @returns {string} 'number', 'date', 'boolean', 'select', 'tags' or 'text'
+ */
+export const getValueKind = (column) => {
+  switch (column.type) {
+    case 'number':
+    case 'currency':
+    case 'percent':
+      return 'number';
+    case 'date':
+    case 'datetime':
+      return 'date';
+    case 'checkbox':
+      return 'boolean';
+    case 'select':
+    case 'lookup':
+      return 'select';
+    case 'tags':
+      return 'tags';
+    case 'formula':
+      return column.resultType ? getValueKind({ type: column.resultType }) : 'text';
+    default:
+      return 'text';
+  }
+};
+
+/**
+ * A lookup column's reference with its defaults filled in. `alias` is the key under
+ * which PostgREST embeds the referenced row, e.g. { categories: { name: 'Books' } }.
+ * @param {Object} column Column definition with `lookup: { table, valueField, labelField, alias }`
+ * @returns {Object} { table, valueField, labelField, alias }
+ */
+export const getLookup = (column) => {
+  const table = column.lookup.table;
+  return {
+    valueField: 'id',
+    labelField: 'name',
+    alias: table.split('.').pop(),
+    ...column.lookup,
+  };
+};
+
+/**
+ * Tags of a cell; comma-separated text is accepted as well as arrays
+ * @param {*} value Cell value
+ * @returns {Array<string>} Tags
+ */
+export const toTags = (value) => {
+  if (Array.isArray(value)) return value.filter(tag => !isEmpty(tag)).map(String);
+  if (isEmpty(value)) return [];
+  return String(value).split(',').map(tag => tag.trim()).filter(Boolean);
+};
+
+// Formatting with Intl is slow to set up, so keep one formatter per locale and options
+const formats = new Map();
+const getFormat = (Format, locale, options) => {
+  const key = `${Format.name}|${locale}|${JSON.stringify(options)}`;
+  if (!formats.has(key)) formats.set(key, new Format(locale, options));
+  return formats.get(key);
+};
+
+const NUMBER_OPTIONS = { maximumFractionDigits: 10 };
+const PERCENT_OPTIONS = { style: 'percent', maximumFractionDigits: 2 };
+const DATE_OPTIONS = { year: 'numeric', month: '2-digit', day: '2-digit' };
+const DATETIME_OPTIONS = { ...DATE_OPTIONS, hour: '2-digit', minute: '2-digit' };
+
+const getCurrencyFormat = (currency = 'USD', locale) => getFormat(Intl.NumberFormat, locale, { style: 'currency', currency });
+
+const getCurrencySymbol = (currency, locale) => {
+  const part = getCurrencyFormat(currency, locale).formatToParts(0).find(item => item.type === 'currency');
+  return part ? part.value : currency;
+};
+
+/**
+ * Decimal separator of a locale, e.g. ',' for 'de-DE'
+ * @param {string} locale Locale (the runtime's default if not given)
+ * @returns {string} Decimal separator
+ */
+export const getDecimalSeparator = (locale) => {
+  const part = getFormat(Intl.NumberFormat, locale, NUMBER_OPTIONS).formatToParts(1.5).find(item => item.type === 'decimal');
+  return part ? part.value : '.';
+};
+
+/**
+ * Thousands separator of a locale, e.g. '.' for 'de-DE'
+ * @param {string} locale Locale (the runtime's default if not given)
+ * @returns {string} Thousands separator ('' if the locale doesn't group digits)
+ */
+export const getGroupSeparator = (locale) => {
+  // A million, as some locales (es) only group numbers of five digits or more
+  const part = getFormat(Intl.NumberFormat, locale, NUMBER_OPTIONS).formatToParts(1000000).find(item => item.type === 'group');
+  return part ? part.value : '';
+};
+
+const toDayjs = (value) => {
+  if (isEmpty(value)) return null;
+  const date = dayjs(value);
+  return date.isValid() ? date : null;
+};
+
+/**
+ * Cell value as plain text in the column's locale, e.g. "$1,299.99", "12.5%" or
+ * "03/01/2024, 02:30 PM" for 'en-US' and "1.299,99 $", "12,5 %" or "01.03.2024, 14:30" for 'de-DE'
+ * @param {Object} column Column definition
+ * @param {*} value Cell value
+ * @returns {string} Display text ('' for empty values)
+ */
+export const formatCellValue = (column, value) => {
+  if (isEmpty(value)) return '';
+
+  switch (column.type) {
+    case 'number': {
+      const number = Number(value);
+      return Number.isNaN(number) ? String(value) : getFormat(Intl.NumberFormat, column.locale, NUMBER_OPTIONS).format(number);
+    }
+    case 'currency': {
+      const number = Number(value);
+      return Number.isNaN(number) ? String(value) : getCurrencyFormat(column.currency, column.locale).format(number);
+    }
+    case 'percent': {
+      const number = Number(value);
+      return Number.isNaN(number) ? String(value) : getFormat(Intl.NumberFormat, column.locale, PERCENT_OPTIONS).format(number / 100);
+    }
+    case 'date':
+    case 'datetime': {
+      const date = toDayjs(value);
+      if (!date) return String(value);
+      // An explicit format wins over the locale's
+      if (column.format) return date.format(column.format);
+      const options = column.type === 'date' ? DATE_OPTIONS : DATETIME_OPTIONS;
+      return getFormat(Intl.DateTimeFormat, column.locale, options).format(date.toDate());
+    }
+    case 'tags':
+      return toTags(value).join(', ');
+    case 'json':
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    case 'lookup': {
+      // Labels are collected by DataTable; until it has one, show the key
+      const label = column.lookupLabels && column.lookupLabels.get(String(value));
+      return label === undefined ? String(value) : label;
+    }
+    case 'formula': {
+      // Without a resultType numbers are still shown in the locale's format
+      const type = column.resultType || (typeof value === 'number' ? 'number' : 'text');
+      return formatCellValue({ ...column, type }, value);
+    }
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * Text with the occurrences of a search term marked
+ * @param {Object} props Component props
+ * @param {string} props.text Text to show
+ * @param {string} props.search Search term; without one the text is shown as is
+ */
+export const HighlightedText = ({ text, search }) => {
+  const term = (search || '').trim().toLowerCase();
+  if (!term) return text;
+
+  const parts = [];
+  const lower = text.toLowerCase();
+  let start = 0;
+  let index = lower.indexOf(term);
+  while (index !== -1) {
+    if (index > start) parts.push(text.slice(start, index));
+    parts.push(<mark key={index} className="data-table-search-match">{text.slice(index, index + term.length)}</mark>);
+    start = index + term.length;
+    index = lower.indexOf(term, start);
+  }
+  if (start < text.length) parts.push(text.slice(start));
+  return parts;
+};
+
+// Only web links are rendered as links, so a stored "javascript:" URL can't run
+const isWebUrl = (value) => /^https?:\/\//i.test(String(value));
+
+// One-line preview, click for the pretty-printed value
+const JsonViewer = ({ value }) => (
+  <Popover
+    trigger="click"
+    title="JSON"
+    content={<pre className="data-table-json">{JSON.stringify(value, null, 2)}</pre>}
+  >
+    <span className="data-table-json-preview">{formatCellValue({ type: 'json' }, value)}</span>
+  </Popover>
+);
+
+/**
+ * Cell content for the rich column types
+ * @param {Object} column Column definition
+ * @param {*} value Cell value
+ * @param {string} search Quick search term, whose matches are marked
+ * @returns {React.ReactNode} Rendered value
+ */
+export const renderCellValue = (column, value, search) => {
+  if (isEmpty(value)) return null;
+
+  const text = <HighlightedText text={formatCellValue(column, value)} search={search} />;
+  switch (column.type) {
+    case 'url':
+      return isWebUrl(value)
+        ? <a href={value} target="_blank" rel="noopener noreferrer">{text}</a>
+        : <span>{text}</span>;
+    case 'email':
+      return <a href={`mailto:${value}`}>{text}</a>;
+    case 'json':
+      return <JsonViewer value={value} />;
+    case 'tags':
+      return toTags(value).map(tag => <Tag key={tag}><HighlightedText text={tag} search={search} /></Tag>);
+    default:
+      return <span>{text}</span>;
+  }
+};
+
+/**
+ * What the JSON editor reports while its text doesn't parse.
+ * The json validation rule rejects it, so it never reaches onSave.
+ */
+export class InvalidJson {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+const toJsonText = (value) => {
+  if (value instanceof InvalidJson) return value.text;
+  return value === undefined || value === null ? '' : JSON.stringify(value, null, 2);
+};
+
+// Edits the JSON as text; reports the parsed value once the text is valid
+const JsonInput = forwardRef(({ value, onChange, ...props }, ref) => {
+  const [text, setText] = useState(() => toJsonText(value));
+  const reportedRef = useRef(value);
+
+  // Only take over values that weren't typed here (e.g. the form was reset)
+  useEffect(() => {
+    if (value !== reportedRef.current) {
+      reportedRef.current = value;
+      setText(toJsonText(value));
+    }
+  }, [value]);
+
+  const handleChange = (e) => {
+    const newText = e.target.value;
+    let newValue = null;
+    if (newText.trim()) {
+      try {
+        newValue = JSON.parse(newText);
+      } catch (error) {
+        newValue = new InvalidJson(newText);
+      }
+    }
+    setText(newText);
+    reportedRef.current = newValue;
+    onChange(newValue);
+  };
+
+  return (
+    <Input.TextArea
+      ref={ref}
+      value={text}
+      onChange={handleChange}
+      autoSize={{ minRows: 2, maxRows: 10 }}
+      className="data-table-json-input"
+      {...props}
+    />
+  );
+});
+
+JsonInput.displayName = 'JsonInput';
+
+/**
+ * Form input for the rich column types, used by the modals and the inline editor.
+ * Converts between the stored value and what the antd input works with.
+ */
+export const TypedInput = forwardRef(({ column, value, onChange, ...props }, ref) => {
+  switch (column.type) {
+    case 'date':
+    case 'datetime': {
+      const isDate = column.type === 'date';
+      return (
+        <DatePicker
+          ref={ref}
+          value={toDayjs(value)}
+          onChange={(date) => onChange(date ? (isDate ? date.format(DATE_FORMAT) : date.toISOString()) : null)}
+          showTime={isDate ? false : { format: 'HH:mm' }}
+          format={column.format || (isDate ? DATE_FORMAT : DATETIME_FORMAT)}
+          style={{ width: '100%' }}
+          {...props}
+        />
+      );
+    }
+    case 'currency':
+      return (
+        <InputNumber
+          ref={ref}
+          value={value}
+          onChange={onChange}
+          prefix={getCurrencySymbol(column.currency, column.locale)}
+          precision={2}
+          decimalSeparator={getDecimalSeparator(column.locale)}
+          style={{ width: '100%' }}
+          {...props}
+        />
+      );
+    case 'percent':
+      return (
+        <InputNumber
+          ref={ref}
+          value={value}
+          onChange={onChange}
+          addonAfter="%"
+          decimalSeparator={getDecimalSeparator(column.locale)}
+          style={{ width: '100%' }}
+          {...props}
+        />
+      );
+    case 'json':
+      return <JsonInput ref={ref} value={value} onChange={onChange} {...props} />;
+    case 'tags':
+      return (
+        <Select
+          ref={ref}
+          mode="tags"
+          value={toTags(value)}
+          onChange={onChange}
+          tokenSeparators={[',']}
+          options={(column.options || []).map(option => ({ value: option.value, label: option.label }))}
+          style={{ width: '100%', minWidth: 160 }}
+          {...props}
+        />
+      );
+    case 'lookup':
+      return <LookupSelect ref={ref} column={column} value={value} onChange={onChange} {...props} />;
+    case 'url':
+      return <Input ref={ref} value={value} onChange={onChange} type="url" placeholder="https://" {...props} />;
+    case 'email':
+      return <Input ref={ref} value={value} onChange={onChange} type="email" {...props} />;
+    default:
+      return <Input ref={ref} value={value} onChange={onChange} {...props} />;
+  }
+});
+
+TypedInput.displayName = 'TypedInput';
+
+// Column types rendered and edited by this module
+export const RICH_TYPES = ['date', 'datetime', 'currency', 'percent', 'url', 'email', 'json', 'tags', 'lookup'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Guess a column type from a field name and sample values (nulls are skipped)
+ * @param {string} name Field name
+ * @param {Array} values Sample values of the field
+ * @returns {string} Column type
+ */
+export const inferColumnType = (name, values) => {
+  const samples = values.filter(value => !isEmpty(value));
+  const every = (test) => samples.length > 0 && samples.every(test);
+
+  if (every(value => typeof value === 'boolean')) return 'checkbox';
+  if (every(value => typeof value === 'number')) {
+    if (/(^|_)(price|cost|amount|total|balance|revenue|fee)s?$/i.test(name)) return 'currency';
+    if (/(^|_)(percent|percentage|pct|rate)$/i.test(name)) return 'percent';
+    return 'number';
+  }
+  if (every(Array.isArray)) return 'tags';
+  if (every(value => typeof value === 'object')) return 'json';
+  if (every(value => typeof value === 'string')) {
+    if (every(value => DATE_PATTERN.test(value))) return 'date';
+    if (every(value => DATETIME_PATTERN.test(value))) return 'datetime';
+    if (every(value => isWebUrl(value))) return 'url';
+    if (every(value => EMAIL_PATTERN.test(value))) return 'email';
+    return 'text';
+  }
+
+  // Without usable samples, go by the name
+  if (/(_at|_time)$/i.test(name)) return 'datetime';
+  if (/(^|_)date$/i.test(name)) return 'date';
+  if (/(^|_)email$/i.test(name)) return 'email';
+  if (/(^|_)(url|website)$/i.test(name)) return 'url';
+  return 'text';
+};
@@ -0,0 +1,101 @@
+// Conditional formatting for DataTable. A rule styles a row or a single column's
+// cells when its condition holds, or colors a column's cells on a scale:
+//
+//   { target: 'row', condition: 'needs_reorder=true', style: 'danger' }
+//   { target: 'cell', field: 'quantity', condition: 'quantity<reorder_level', style: 'bold' }
+//   { target: 'cell', field: 'profit_margin', type: 'scale' }   // low red to high green
+//
+// Conditions are formulas without the leading "=" (see evaluateRowCondition). Columns can
+// declare rules for their own cells in `formatting`, where `field` can be left out.
+
+import { evaluateRowCondition } from './FormulaParser';
+
+// Styles a rule can apply, each a state class in DataTable.css
+export const FORMAT_STYLES = [
+  { value: 'danger', label: 'Red' },
+  { value: 'warning', label: 'Amber' },
+  { value: 'success', label: 'Green' },
+  { value: 'info', label: 'Blue' },
+  { value: 'bold', label: 'Bold' },
+  { value: 'muted', label: 'Muted' },
+];
+
+const STYLE_VALUES = FORMAT_STYLES.map(style => style.value);
+
+/**
+ * All rules that apply to a table: the ones declared on the columns, then the table's
+ * @param {Array} columns Column definitions
+ * @param {Array} rules Table rules (e.g. from the rule editor)
+ * @returns {Array} Rules with `target`, `type` and `field` filled in
+ */
+export const getFormattingRules = (columns, rules = []) => [
+  ...columns.flatMap(column => (column.formatting || []).map(rule => ({
+    target: 'cell',
+    field: column.dataIndex,
+    ...rule,
+  }))),
+  ...rules,
+].map(rule => ({ type: 'condition', target: 'cell', ...rule }))
+  .filter(rule => (rule.type === 'scale' ? rule.field : rule.condition && STYLE_VALUES.includes(rule.style)));
+
+// A condition that can't be evaluated doesn't match, instead of breaking the table
+const matches = (rule, record) => evaluateRowCondition(rule.condition, record);
+
+const toClassNames = (rules) => [...new Set(rules.map(rule => `data-table-state-${rule.style}`))].join(' ');
+
+/**
+ * State classes of a row, from the row rules that match it
+ * @param {Array} rules Rules from getFormattingRules
+ * @param {Object} record Table row
+ * @returns {string} Class names ('' if no rule matches)
+ */
+export const getRowClassName = (rules, record) => toClassNames(
+  rules.filter(rule => rule.target === 'row' && rule.type === 'condition' && matches(rule, record))
+);
+
+/**
+ * State classes of a cell, from the cell rules of its column that match the row
+ * @param {Array} rules Rules from getFormattingRules
+ * @param {string} field Column of the cell
+ * @param {Object} record Table row
+ * @returns {string} Class names ('' if no rule matches)
+ */
+export const getCellClassName = (rules, field, record) => toClassNames(
+  rules.filter(rule => rule.target === 'cell' && rule.type === 'condition' && rule.field === field && matches(rule, record))
+);
+
+/**
+ * Lowest and highest value of every color-scaled column
+ * @param {Array} rules Rules from getFormattingRules
+ * @param {Array} rows Rows the scale covers (those that pass the filters)
+ * @returns {Object} { [field]: { min, max, reverse } }
+ */
+export const getScaleRanges = (rules, rows) => {
+  const ranges = {};
+  rules.filter(rule => rule.type === 'scale').forEach(rule => {
+    const numbers = rows
+      .map(row => row[rule.field])
+      .filter(value => value !== null && value !== undefined && value !== '')
+      .map(Number)
+      .filter(number => !Number.isNaN(number));
+    if (numbers.length > 0) {
+      ranges[rule.field] = { min: Math.min(...numbers), max: Math.max(...numbers), reverse: Boolean(rule.reverse) };
+    }
+  });
+  return ranges;
+};
+
+/**
+ * Background of a color-scaled cell, from red (lowest) to green (highest),
+ * or the other way round for rules with `reverse`
+ * @param {Object} range Range from getScaleRanges
+ * @param {*} value Cell value
+ * @returns {Object|undefined} Inline style, or undefined for empty values
+ */
+export const getScaleStyle = (range, value) => {
+  if (!range || value === null || value === undefined || value === '' || Number.isNaN(Number(value))) return undefined;
+
+  const position = range.max === range.min ? 1 : (Number(value) - range.min) / (range.max - range.min);
+  const hue = Math.round((range.reverse ? 1 - position : position) * 120);
+  return { background: `hsla(${hue}, 70%, 45%, 0.35)` };
+};
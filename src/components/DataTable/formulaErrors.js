@@ -0,0 +1,91 @@
+// Spreadsheet error values of formulas. A formula that fails evaluates to one of
+// them rather than to text that looks like data, and any expression using an error
+// value fails with the same error, so =price / 0 + 1 is #DIV/0! too, as is a
+// formula column that refers to that one. IFERROR turns errors into a fallback.
+
+/**
+ * Error codes, as spreadsheets show them
+ * - DIV_ZERO: division (or MOD, FLOOR, CEIL) by zero
+ * - NAME: unknown function, or a formula that doesn't parse
+ * - VALUE: a value of the wrong type, e.g. text where a number is needed, or a
+ *   function called with the wrong number of arguments
+ * - REF: a field that isn't one of the table's columns, or that the row doesn't have
+ * - CYCLE: the formula depends on itself, directly or through other formulas
+ * - NA: no value available, e.g. SWITCH without a matching case
+ */
+export const FORMULA_ERRORS = {
+  DIV_ZERO: '#DIV/0!',
+  NAME: '#NAME?',
+  VALUE: '#VALUE!',
+  REF: '#REF!',
+  CYCLE: '#CYCLE!',
+  NA: '#N/A',
+};
+
+/**
+ * An error value of a formula. It is thrown while the formula is evaluated and
+ * becomes the formula's result; as text it is its code.
+ * - code: one of FORMULA_ERRORS
+ * - message: what went wrong, e.g. 'Division by zero'
+ * - start, end: position of the failing sub-expression in the formula (0-based, end exclusive)
+ * - expression: text of the failing sub-expression
+ * - field: formula field whose formula failed
+ */
+export class FormulaError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'FormulaError';
+    this.code = code;
+    Object.assign(this, details);
+  }
+
+  toString() {
+    return this.code;
+  }
+}
+
+/**
+ * Whether a value is a formula error
+ * @param {*} value Cell or formula value
+ * @returns {boolean}
+ */
+export const isFormulaError = (value) => value instanceof FormulaError;
+
+/**
+ * A formula error with the place it happened: errors thrown for a syntax tree node
+ * get that node's position, anything else thrown while evaluating it becomes #VALUE!.
+ * An error that already knows where it happened, or comes from another formula
+ * field, keeps its place.
+ * @param {*} error What was thrown
+ * @param {Object} node Syntax tree node being evaluated
+ * @returns {FormulaError}
+ */
+export const locateFormulaError = (error, node) => {
+  const formulaError = isFormulaError(error)
+    ? error
+    : new FormulaError(FORMULA_ERRORS.VALUE, error && error.message ? error.message : String(error));
+  if (formulaError.start === undefined && formulaError.field === undefined) {
+    formulaError.start = node.start;
+    formulaError.end = node.end;
+  }
+  return formulaError;
+};
+
+/**
+ * Completes an error with the formula and field it happened in. Errors passed on
+ * from another formula field keep that field and expression.
+ * @param {FormulaError} error Error thrown while evaluating the formula
+ * @param {string} formula Formula text
+ * @param {string} field Formula field
+ * @returns {FormulaError}
+ */
+export const attributeFormulaError = (error, formula, field) => {
+  if (error.field === undefined) {
+    error.field = field;
+    // A syntax error at the end of the formula has no text to show
+    if (error.expression === undefined && error.start !== undefined && error.start < formula.length) {
+      error.expression = formula.slice(error.start, error.end);
+    }
+  }
+  return error;
+};
@@ -0,0 +1,274 @@
+// Functions available in formulas (see FormulaParser). Each one declares its
+// arguments, which are checked and converted before it is called:
+//
+//   ROUND: { args: ['number', 'number?'], call: ([value, digits = 0]) => ... }
+//
+// An argument type is 'number', 'text', 'boolean', 'date' or 'any'; a trailing "?"
+// makes it optional and a trailing "..." takes any number of further arguments
+// (at least one). Lazy functions get functions that evaluate their arguments, so
+// IF only evaluates the branch it returns and IFERROR can catch its value's errors.
+// Functions fail with a FormulaError, e.g. #VALUE! for an argument of the wrong type.
+
+import dayjs from 'dayjs';
+import { FORMULA_ERRORS, FormulaError } from './formulaErrors';
+
+// The format date columns store their values in
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+export const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * A formula value as a number: empty cells count as 0 and booleans as 1 or 0
+ * @param {*} value - Formula value
+ * @returns {number} - The number, NaN for text that isn't one
+ */
+export const toNumber = (value) => {
+  if (isBlank(value)) return 0;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return typeof value === 'number' ? value : Number(value);
+};
+
+/**
+ * A formula value as text, booleans as TRUE and FALSE like in spreadsheets
+ * @param {*} value - Formula value
+ * @returns {string} - The text, '' for empty cells
+ */
+export const toText = (value) => {
+  if (isBlank(value)) return '';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const describeValue = (value) => (typeof value === 'string' ? `"${value}"` : toText(value));
+
+const toBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (isBlank(value)) return false;
+  if (typeof value === 'number') return value !== 0;
+  const lower = String(value).toLowerCase();
+  if (lower === 'true' || lower === 'false') return lower === 'true';
+  return undefined;
+};
+
+const toDate = (value) => {
+  if (isBlank(value) || typeof value === 'boolean') return undefined;
+  const date = dayjs(value);
+  return date.isValid() ? date : undefined;
+};
+
+// Converters by argument type; undefined (or NaN) means the value doesn't fit
+const CONVERTERS = {
+  number: toNumber,
+  text: toText,
+  boolean: toBoolean,
+  date: toDate,
+  any: (value) => (value === undefined ? null : value),
+};
+
+const TYPE_NAMES = { number: 'a number', text: 'text', boolean: 'TRUE or FALSE', date: 'a date', any: 'a value' };
+
+const sum = (numbers) => numbers.reduce((total, number) => total + number, 0);
+
+// Rounding half away from zero. Scaling isn't exact (1.005 * 100 is 100.49999999999999),
+// so the scaled value is nudged up by a relative epsilon and 1.005 rounds to 1.01.
+const round = (value, digits) => {
+  const factor = 10 ** digits;
+  const shifted = Math.abs(value) * factor;
+  // So few digits that nothing is left
+  if (factor === 0) return 0;
+  // Nothing to round: the value has no more digits than asked for
+  if (!Number.isFinite(shifted) || Number.isInteger(shifted)) return value;
+  return Math.sign(value) * (Math.round(shifted * (1 + Number.EPSILON)) / factor);
+};
+
+const roundTo = (method) => ([value, significance = 1]) => {
+  if (significance === 0) throw new FormulaError(FORMULA_ERRORS.DIV_ZERO, 'Significance must not be 0');
+  return Math[method](value / significance) * significance;
+};
+
+const FUNCTION_SPECS = {
+  // Math
+  SUM: { args: ['number...'], call: sum },
+  AVG: { args: ['number...'], call: (numbers) => sum(numbers) / numbers.length },
+  MIN: { args: ['number...'], call: (numbers) => Math.min(...numbers) },
+  MAX: { args: ['number...'], call: (numbers) => Math.max(...numbers) },
+  COUNT: { args: ['any...'], call: (values) => values.filter(value => !isBlank(value)).length },
+  ROUND: { args: ['number', 'number?'], call: ([value, digits = 0]) => round(value, Math.trunc(digits)) },
+  ABS: { args: ['number'], call: ([value]) => Math.abs(value) },
+  FLOOR: { args: ['number', 'number?'], call: roundTo('floor') },
+  CEIL: { args: ['number', 'number?'], call: roundTo('ceil') },
+  // The result has the divisor's sign, as in spreadsheets: MOD(-3, 2) is 1
+  MOD: {
+    args: ['number', 'number'],
+    call: ([value, divisor]) => {
+      if (divisor === 0) throw new FormulaError(FORMULA_ERRORS.DIV_ZERO, 'Division by zero');
+      return value - divisor * Math.floor(value / divisor);
+    },
+  },
+  POWER: { args: ['number', 'number'], call: ([base, exponent]) => base ** exponent },
+
+  // Text; positions count from 1
+  CONCAT: { args: ['text...'], call: (texts) => texts.join('') },
+  LEFT: { args: ['text', 'number?'], call: ([text, count = 1]) => text.slice(0, Math.max(0, count)) },
+  RIGHT: { args: ['text', 'number?'], call: ([text, count = 1]) => (count > 0 ? text.slice(-count) : '') },
+  MID: {
+    args: ['text', 'number', 'number'],
+    call: ([text, start, count]) => {
+      if (start < 1 || count < 0) {
+        throw new FormulaError(FORMULA_ERRORS.VALUE, 'MID needs a start of at least 1 and a length of at least 0');
+      }
+      return text.slice(start - 1, start - 1 + count);
+    },
+  },
+  LEN: { args: ['text'], call: ([text]) => text.length },
+  UPPER: { args: ['text'], call: ([text]) => text.toUpperCase() },
+  LOWER: { args: ['text'], call: ([text]) => text.toLowerCase() },
+  // Also collapses runs of spaces inside the text, like spreadsheets do
+  TRIM: { args: ['text'], call: ([text]) => text.trim().replace(/\s+/g, ' ') },
+  // Replaces every occurrence, or only the instance-th one
+  SUBSTITUTE: {
+    args: ['text', 'text', 'text', 'number?'],
+    call: ([text, search, replacement, instance]) => {
+      if (search === '') return text;
+      if (instance === undefined) return text.split(search).join(replacement);
+      const parts = text.split(search);
+      if (instance < 1 || instance >= parts.length) return text;
+      return parts.slice(0, instance).join(search) + replacement + parts.slice(instance).join(search);
+    },
+  },
+
+  // Logic
+  IF: {
+    args: ['boolean', 'any', 'any?'],
+    lazy: true,
+    call: ([condition, whenTrue, whenFalse]) => {
+      if (condition()) return whenTrue();
+      return whenFalse ? whenFalse() : null;
+    },
+  },
+  AND: { args: ['boolean...'], call: (values) => values.every(Boolean) },
+  OR: { args: ['boolean...'], call: (values) => values.some(Boolean) },
+  NOT: { args: ['boolean'], call: ([value]) => !value },
+  IFERROR: {
+    args: ['any', 'any'],
+    lazy: true,
+    call: ([value, fallback]) => {
+      try {
+        return value();
+      } catch (error) {
+        return fallback();
+      }
+    },
+  },
+  // SWITCH(value, match1, result1, match2, result2, ..., default)
+  SWITCH: {
+    args: ['any', 'any', 'any...'],
+    lazy: true,
+    call: ([value, ...cases]) => {
+      const expected = toText(value());
+      for (let i = 0; i + 1 < cases.length; i += 2) {
+        if (toText(cases[i]()) === expected) return cases[i + 1]();
+      }
+      if (cases.length % 2 === 1) return cases[cases.length - 1]();
+      throw new FormulaError(FORMULA_ERRORS.NA, `SWITCH has no case for ${describeValue(value())}`);
+    },
+  },
+  ISBLANK: { args: ['any'], call: ([value]) => isBlank(value) },
+  COALESCE: { args: ['any...'], call: (values) => values.find(value => !isBlank(value)) ?? null },
+
+  // Dates come as dates or ISO text and are returned as the text date columns store
+  TODAY: { args: [], call: () => dayjs().format(DATE_FORMAT) },
+  NOW: { args: [], call: () => dayjs().toISOString() },
+  DATE: {
+    args: ['number', 'number', 'number'],
+    call: ([year, month, day]) => dayjs(new Date(year, month - 1, day)).format(DATE_FORMAT),
+  },
+  // Whole units from start to end (negative if end is earlier); unit is day (default),
+  // week, month, year, hour or minute
+  DATEDIFF: {
+    args: ['date', 'date', 'text?'],
+    call: ([start, end, unit = 'day']) => {
+      const normalized = unit.toLowerCase().replace(/s$/, '');
+      if (!['day', 'week', 'month', 'year', 'hour', 'minute'].includes(normalized)) {
+        throw new FormulaError(FORMULA_ERRORS.VALUE, `DATEDIFF doesn't know the unit "${unit}"`);
+      }
+      return end.diff(start, normalized);
+    },
+  },
+  YEAR: { args: ['date'], call: ([date]) => date.year() },
+  MONTH: { args: ['date'], call: ([date]) => date.month() + 1 },
+};
+
+// Smallest and largest argument count of a function (Infinity for variadic ones)
+const getArity = (args) => {
+  const required = args.filter(type => !type.endsWith('?')).length;
+  return { min: required, max: args.some(type => type.endsWith('...')) ? Infinity : args.length };
+};
+
+const describeArity = ({ min, max }) => {
+  const plural = (count) => `${count} argument${count === 1 ? '' : 's'}`;
+  if (max === Infinity) return `at least ${plural(min)}`;
+  if (min === max) return plural(min);
+  return `${min} to ${plural(max)}`;
+};
+
+// The value of an argument converted to its declared type
+const convertArgument = (name, type, position, value) => {
+  const baseType = type.replace(/(\?|\.\.\.)$/, '');
+  const converted = CONVERTERS[baseType](value);
+  if (converted === undefined || Number.isNaN(converted)) {
+    throw new FormulaError(
+      FORMULA_ERRORS.VALUE,
+      `${name} needs ${TYPE_NAMES[baseType]} as argument ${position}, got ${describeValue(value)}`
+    );
+  }
+  return converted;
+};
+
+/**
+ * Plain functions of the formula functions, by name: each takes an array of converted
+ * arguments (lazy ones an array of functions returning them). Also used for the
+ * table's column aggregates.
+ */
+export const FORMULA_FUNCTIONS = Object.fromEntries(
+  Object.entries(FUNCTION_SPECS).map(([name, spec]) => [name, spec.call])
+);
+
+/**
+ * Whether a formula function exists
+ * @param {string} name - Function name in upper case
+ * @returns {boolean}
+ */
+export const isFormulaFunction = (name) => Object.prototype.hasOwnProperty.call(FUNCTION_SPECS, name);
+
+/**
+ * Calls a formula function after checking its argument count and argument types.
+ * @param {string} name - Function name in upper case
+ * @param {Array<Function>} args - Functions that evaluate the arguments, in order
+ * @returns {*} - The function's result
+ * @throws {FormulaError} - #NAME? for an unknown function, #VALUE! for a wrong number
+ *   of arguments, an argument of the wrong type or a result that isn't a finite
+ *   number, or the function's own error
+ */
+export const callFormulaFunction = (name, args) => {
+  if (!isFormulaFunction(name)) throw new FormulaError(FORMULA_ERRORS.NAME, `Unknown function: ${name}`);
+
+  const spec = FUNCTION_SPECS[name];
+  const arity = getArity(spec.args);
+  if (args.length < arity.min || args.length > arity.max) {
+    throw new FormulaError(FORMULA_ERRORS.VALUE, `${name} expects ${describeArity(arity)}, got ${args.length}`);
+  }
+
+  // Variadic arguments share the type of the last declared one
+  const typeAt = (index) => spec.args[Math.min(index, spec.args.length - 1)];
+  const converted = args.map((evaluate, index) => {
+    const read = () => convertArgument(name, typeAt(index), index + 1, evaluate());
+    return spec.lazy ? read : read();
+  });
+  const result = spec.call(converted);
+  // Overflows and results like POWER(-1, 0.5) aren't values a cell can show
+  if (typeof result === 'number' && !Number.isFinite(result)) {
+    throw new FormulaError(FORMULA_ERRORS.VALUE, `${name} has no finite result for these arguments`);
+  }
+  return result;
+};
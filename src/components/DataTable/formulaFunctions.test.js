@@ -0,0 +1,200 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { callFormulaFunction, isFormulaFunction } from './formulaFunctions';
+import { FORMULA_ERRORS, isFormulaError } from './formulaErrors';
+
+// Calls a function the way the parser does, with one thunk per argument
+const call = (name, ...args) => callFormulaFunction(name, args.map(value => () => value));
+
+// The error a call fails with
+const failure = (name, ...args) => {
+  try {
+    call(name, ...args);
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`${name} didn't fail`);
+};
+
+describe('math functions', () => {
+  it('aggregates numbers', () => {
+    expect(call('SUM', 1, 2, 3.5)).toBe(6.5);
+    expect(call('AVG', 2, 4)).toBe(3);
+    expect(call('MIN', 3, -1, 2)).toBe(-1);
+    expect(call('MAX', 3, -1, 2)).toBe(3);
+    expect(call('COUNT', 1, '', null, 'a')).toBe(2);
+  });
+
+  it('converts blanks, booleans and numeric text', () => {
+    expect(call('SUM', null, true, '2')).toBe(3);
+  });
+
+  it('rounds half away from zero', () => {
+    expect(call('ROUND', 1.005, 2)).toBe(1.01);
+    expect(call('ROUND', -1.005, 2)).toBe(-1.01);
+    expect(call('ROUND', 2.5)).toBe(3);
+    expect(call('ROUND', -2.5)).toBe(-3);
+    expect(call('ROUND', 1234.5678, -2)).toBe(1200);
+  });
+
+  it('rounds numbers whose text is in exponent notation', () => {
+    expect(call('ROUND', 1e-7, 2)).toBe(0);
+    expect(call('ROUND', 1.5e21, 2)).toBe(1.5e21);
+    expect(call('ROUND', 1.25, 400)).toBe(1.25);
+    expect(call('ROUND', 1.25, -400)).toBe(0);
+  });
+
+  it('rounds to a significance', () => {
+    expect(call('FLOOR', 7.8)).toBe(7);
+    expect(call('FLOOR', 17, 5)).toBe(15);
+    expect(call('CEIL', 7.2)).toBe(8);
+    expect(call('CEIL', 17, 5)).toBe(20);
+  });
+
+  it('computes ABS, MOD and POWER', () => {
+    expect(call('ABS', -4)).toBe(4);
+    expect(call('MOD', 7, 3)).toBe(1);
+    expect(call('MOD', -3, 2)).toBe(1);
+    expect(call('POWER', 2, 10)).toBe(1024);
+  });
+
+  it('fails with #DIV/0! for a zero divisor or significance', () => {
+    expect(failure('MOD', 1, 0).code).toBe(FORMULA_ERRORS.DIV_ZERO);
+    expect(failure('FLOOR', 1, 0).code).toBe(FORMULA_ERRORS.DIV_ZERO);
+    expect(failure('CEIL', 1, 0).code).toBe(FORMULA_ERRORS.DIV_ZERO);
+  });
+
+  it('fails with #VALUE! for results that are not finite', () => {
+    expect(failure('POWER', 10, 400).code).toBe(FORMULA_ERRORS.VALUE);
+    expect(failure('POWER', -1, 0.5).code).toBe(FORMULA_ERRORS.VALUE);
+  });
+});
+
+describe('text functions', () => {
+  it('joins and measures text', () => {
+    expect(call('CONCAT', 'a', 1, true)).toBe('a1TRUE');
+    expect(call('LEN', 'hello')).toBe(5);
+    expect(call('LEN', null)).toBe(0);
+  });
+
+  it('takes parts of text', () => {
+    expect(call('LEFT', 'hello')).toBe('h');
+    expect(call('LEFT', 'hello', 2)).toBe('he');
+    expect(call('RIGHT', 'hello', 3)).toBe('llo');
+    expect(call('RIGHT', 'hello', 0)).toBe('');
+    expect(call('MID', 'hello', 2, 3)).toBe('ell');
+  });
+
+  it('changes case and spacing', () => {
+    expect(call('UPPER', 'abc')).toBe('ABC');
+    expect(call('LOWER', 'ABC')).toBe('abc');
+    expect(call('TRIM', '  a   b  ')).toBe('a b');
+  });
+
+  it('substitutes every or one occurrence', () => {
+    expect(call('SUBSTITUTE', 'a-b-c', '-', '+')).toBe('a+b+c');
+    expect(call('SUBSTITUTE', 'a-b-c', '-', '+', 2)).toBe('a-b+c');
+    expect(call('SUBSTITUTE', 'a-b-c', '-', '+', 5)).toBe('a-b-c');
+    expect(call('SUBSTITUTE', 'abc', '', '+')).toBe('abc');
+  });
+
+  it('fails with #VALUE! for a MID outside the text', () => {
+    expect(failure('MID', 'hello', 0, 2).code).toBe(FORMULA_ERRORS.VALUE);
+    expect(failure('MID', 'hello', 1, -1).code).toBe(FORMULA_ERRORS.VALUE);
+  });
+});
+
+describe('logic functions', () => {
+  it('evaluates only the branch IF returns', () => {
+    const fail = () => { throw new Error('evaluated'); };
+    expect(callFormulaFunction('IF', [() => true, () => 'yes', fail])).toBe('yes');
+    expect(callFormulaFunction('IF', [() => 'false', fail, () => 'no'])).toBe('no');
+    expect(call('IF', 0, 'yes')).toBe(null);
+  });
+
+  it('combines booleans', () => {
+    expect(call('AND', true, 1, 'TRUE')).toBe(true);
+    expect(call('AND', true, 0)).toBe(false);
+    expect(call('OR', false, 0, true)).toBe(true);
+    expect(call('NOT', false)).toBe(true);
+  });
+
+  it('returns the fallback of IFERROR when its value fails', () => {
+    const divide = () => call('MOD', 1, 0);
+    expect(callFormulaFunction('IFERROR', [divide, () => 'n/a'])).toBe('n/a');
+    expect(call('IFERROR', 5, 'n/a')).toBe(5);
+  });
+
+  it('picks the matching case of SWITCH', () => {
+    expect(call('SWITCH', 'b', 'a', 1, 'b', 2)).toBe(2);
+    expect(call('SWITCH', 'c', 'a', 1, 'b', 2, 0)).toBe(0);
+    expect(failure('SWITCH', 'c', 'a', 1, 'b', 2).code).toBe(FORMULA_ERRORS.NA);
+  });
+
+  it('finds blanks', () => {
+    expect(call('ISBLANK', '')).toBe(true);
+    expect(call('ISBLANK', 0)).toBe(false);
+    expect(call('COALESCE', null, '', 'x', 'y')).toBe('x');
+    expect(call('COALESCE', null, '')).toBe(null);
+  });
+});
+
+describe('date functions', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('builds dates as YYYY-MM-DD text', () => {
+    expect(call('DATE', 2024, 2, 29)).toBe('2024-02-29');
+    expect(call('TODAY')).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+  });
+
+  it('returns the current time as ISO text', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-03-15T10:30:00.000Z'));
+    expect(call('NOW')).toBe('2024-03-15T10:30:00.000Z');
+    vi.setSystemTime(new Date('2024-03-15T10:30:05.250Z'));
+    expect(call('NOW')).toBe('2024-03-15T10:30:05.250Z');
+    expect(failure('NOW', 1).code).toBe(FORMULA_ERRORS.VALUE);
+  });
+
+  it('counts whole units between dates', () => {
+    expect(call('DATEDIFF', '2024-01-01', '2024-01-31')).toBe(30);
+    expect(call('DATEDIFF', '2024-01-31', '2024-01-01')).toBe(-30);
+    expect(call('DATEDIFF', '2024-01-01', '2024-03-15', 'months')).toBe(2);
+    expect(call('DATEDIFF', '2020-06-01', '2024-05-31', 'year')).toBe(3);
+  });
+
+  it('reads parts of dates', () => {
+    expect(call('YEAR', '2024-03-15')).toBe(2024);
+    expect(call('MONTH', '2024-03-15')).toBe(3);
+  });
+
+  it('fails with #VALUE! for an unknown DATEDIFF unit', () => {
+    expect(failure('DATEDIFF', '2024-01-01', '2024-01-31', 'fortnight').code).toBe(FORMULA_ERRORS.VALUE);
+  });
+});
+
+describe('argument checks', () => {
+  it('fails with #VALUE! for a wrong number of arguments', () => {
+    const error = failure('ROUND', 1, 2, 3);
+    expect(isFormulaError(error)).toBe(true);
+    expect(error.code).toBe(FORMULA_ERRORS.VALUE);
+    expect(error.message).toBe('ROUND expects 1 to 2 arguments, got 3');
+    expect(failure('ABS').message).toBe('ABS expects 1 argument, got 0');
+    expect(failure('SUM').message).toBe('SUM expects at least 1 argument, got 0');
+    expect(failure('TODAY', 1).code).toBe(FORMULA_ERRORS.VALUE);
+  });
+
+  it('fails with #VALUE! for arguments of the wrong type', () => {
+    expect(failure('SUM', 1, 'abc').message).toBe('SUM needs a number as argument 2, got "abc"');
+    expect(failure('NOT', 'maybe').code).toBe(FORMULA_ERRORS.VALUE);
+    expect(failure('YEAR', 'not a date').code).toBe(FORMULA_ERRORS.VALUE);
+    expect(failure('YEAR', true).code).toBe(FORMULA_ERRORS.VALUE);
+  });
+
+  it('fails with #NAME? for an unknown function', () => {
+    expect(isFormulaFunction('SUM')).toBe(true);
+    expect(isFormulaFunction('NOPE')).toBe(false);
+    expect(failure('NOPE', 1).code).toBe(FORMULA_ERRORS.NAME);
+  });
+});
@@ -0,0 +1,223 @@
+// Formula fields that refer to other formula fields (profit = revenue - cost,
+// margin_pct = profit / revenue) form a dependency graph. It is built once per set
+// of formulas and then used for every row: formulas are evaluated in topological
+// order, so each one sees the computed values of the fields it refers to, and when
+// an input changes only the formulas downstream of it are evaluated again.
+// Formulas that refer to themselves, directly or through others, are #CYCLE!
+// instead of being evaluated.
+
+import {
+  evaluateParsedFormula, getFieldReferences, parseFormula, toSyntaxFormulaError,
+} from './FormulaParser';
+import { FORMULA_ERRORS, FormulaError, attributeFormulaError } from './formulaErrors';
+
+// Strongly connected components of the graph (Tarjan). Components come out after
+// the components they depend on, i.e. in evaluation order.
+const findComponents = (fields, dependencies) => {
+  const indexes = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+
+  const connect = (field) => {
+    indexes.set(field, indexes.size);
+    lowLinks.set(field, indexes.get(field));
+    stack.push(field);
+    onStack.add(field);
+
+    dependencies[field].forEach(dependency => {
+      if (!dependencies[dependency]) return;
+      if (!indexes.has(dependency)) {
+        connect(dependency);
+        lowLinks.set(field, Math.min(lowLinks.get(field), lowLinks.get(dependency)));
+      } else if (onStack.has(dependency)) {
+        lowLinks.set(field, Math.min(lowLinks.get(field), indexes.get(dependency)));
+      }
+    });
+
+    if (lowLinks.get(field) === indexes.get(field)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== field);
+      components.push(component);
+    }
+  };
+
+  fields.forEach(field => {
+    if (!indexes.has(field)) connect(field);
+  });
+  return components;
+};
+
+// Shortest way from a field back to itself within its component, e.g. ['a', 'b', 'a']
+const findCyclePath = (field, component, dependencies) => {
+  const members = new Set(component);
+  const previous = new Map();
+  const queue = [field];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const dependency of dependencies[current]) {
+      if (!members.has(dependency)) continue;
+      if (dependency === field) {
+        const path = [field];
+        for (let step = current; step !== field; step = previous.get(step)) path.unshift(step);
+        return [field, ...path];
+      }
+      if (!previous.has(dependency)) {
+        previous.set(dependency, current);
+        queue.push(dependency);
+      }
+    }
+  }
+  return [field, field];
+};
+
+/**
+ * Builds the dependency graph of a set of formula fields.
+ * @param {Object} formulas Formulas by field name, e.g. { profit: '=revenue - cost' }
+ * @param {Array<string>} fields The table's fields; formulas using any other field are
+ *   #REF!. When left out, a field is #REF! only for rows that don't have it.
+ * @returns {Object} {
+ *   formulas: the formulas by field,
+ *   trees: syntax trees by field (fields whose formula doesn't parse are left out),
+ *   errors: error values of the formulas that can't be evaluated, by field: #NAME? if
+ *     the formula doesn't parse, #REF! for an unknown field, #CYCLE! for cycles,
+ *   dependencies: fields each formula refers to, by field,
+ *   dependents: formula fields that refer to a field directly, by field,
+ *   order: formula fields in evaluation order, without the ones in cycles,
+ *   cycles: for each field in a cycle, the cycle from that field, e.g. ['a', 'b', 'a'];
+ *     fields that use a field in a cycle get that field's cycle,
+ *   blanks: the given fields with null values, for rows that leave some of them out
+ * }
+ */
+export const buildFormulaGraph = (formulas, fields) => {
+  const trees = {};
+  const errors = {};
+  const dependencies = {};
+  const dependents = {};
+
+  Object.entries(formulas).forEach(([field, formula]) => {
+    dependencies[field] = [];
+    try {
+      trees[field] = parseFormula(formula);
+      dependencies[field] = [...getFieldReferences(trees[field])];
+    } catch (error) {
+      errors[field] = attributeFormulaError(toSyntaxFormulaError(error), formula, field);
+    }
+    dependencies[field].forEach(dependency => {
+      dependents[dependency] = [...(dependents[dependency] || []), field];
+    });
+
+    const unknown = fields && dependencies[field].find(dependency => !fields.includes(dependency) && !formulas[dependency]);
+    if (unknown) {
+      errors[field] = new FormulaError(FORMULA_ERRORS.REF, `Unknown field: ${unknown}`, { field, expression: unknown });
+    }
+  });
+
+  const order = [];
+  const cycles = {};
+  findComponents(Object.keys(formulas), dependencies).forEach(component => {
+    const [field] = component;
+    if (component.length === 1 && !dependencies[field].includes(field)) {
+      // A formula that uses a field in a cycle can't be evaluated either
+      const cyclic = dependencies[field].find(dependency => cycles[dependency]);
+      if (cyclic) cycles[field] = cycles[cyclic];
+      else order.push(field);
+      return;
+    }
+    component.forEach(member => {
+      cycles[member] = findCyclePath(member, component, dependencies);
+    });
+  });
+
+  // Fields using a field in a cycle share its error
+  Object.entries(cycles).forEach(([field, cycle]) => {
+    const [origin] = cycle;
+    if (!errors[origin] || errors[origin].code !== FORMULA_ERRORS.CYCLE) {
+      errors[origin] = new FormulaError(FORMULA_ERRORS.CYCLE, `Circular reference: ${cycle.join(' → ')}`, { field: origin });
+    }
+    errors[field] = errors[origin];
+  });
+
+  const blanks = fields ? Object.fromEntries(fields.map(field => [field, null])) : null;
+  return { formulas, trees, errors, dependencies, dependents, order, cycles, blanks };
+};
+
+/**
+ * Formula fields that have to be evaluated again when some fields change: the ones
+ * that refer to them, directly or through other formulas.
+ * @param {Object} graph Graph from buildFormulaGraph
+ * @param {Array<string>} changedFields Fields whose values changed
+ * @returns {Array<string>} Formula fields in evaluation order (fields in cycles last)
+ */
+export const getAffectedFormulas = (graph, changedFields) => {
+  const affected = new Set();
+  const queue = [...changedFields];
+  while (queue.length > 0) {
+    (graph.dependents[queue.shift()] || []).forEach(field => {
+      if (affected.has(field)) return;
+      affected.add(field);
+      queue.push(field);
+    });
+  }
+  return [...graph.order, ...Object.keys(graph.cycles)].filter(field => affected.has(field));
+};
+
+const evaluateField = (graph, field, rowData) => {
+  if (graph.errors[field]) return graph.errors[field];
+  try {
+    return evaluateParsedFormula(graph.trees[field], rowData);
+  } catch (error) {
+    return attributeFormulaError(error, graph.formulas[field], field);
+  }
+};
+
+/**
+ * Evaluates the formula fields of a row in dependency order.
+ * @param {Object} graph Graph from buildFormulaGraph
+ * @param {Object} rowData Row values; with changedFields also the values computed before
+ * @param {Array<string>} changedFields Only evaluate the formulas affected by these
+ *   fields; all formulas when left out
+ * @returns {Object} The row with the formula fields' values
+ */
+export const evaluateFormulaRow = (graph, rowData, changedFields) => {
+  const fields = changedFields
+    ? getAffectedFormulas(graph, changedFields)
+    : [...graph.order, ...Object.keys(graph.cycles)];
+  // Fields of the table that the row leaves out (a new row, form values) are blank;
+  // only fields the table doesn't have are #REF!
+  const scope = graph.blanks ? { ...graph.blanks, ...rowData } : { ...rowData };
+  return fields.reduce((row, field) => {
+    scope[field] = evaluateField(graph, field, scope);
+    return { ...row, [field]: scope[field] };
+  }, rowData);
+};
+
+/**
+ * Evaluates a changed row with the values computed for its previous version: only
+ * the formulas affected by the fields that differ are evaluated again.
+ * @param {Object} graph Graph from buildFormulaGraph
+ * @param {Object} rowData The changed row
+ * @param {Object} previousRow The row before the change
+ * @param {Object} previousResult What evaluateFormulaRow returned for previousRow
+ * @returns {Object} The row with the formula fields' values
+ */
+export const reevaluateFormulaRow = (graph, rowData, previousRow, previousResult) => {
+  const changedFields = Object.keys({ ...previousRow, ...rowData })
+    .filter(field => rowData[field] !== previousRow[field]);
+  // Computed values win over values of formula fields stored in the row
+  const computed = Object.fromEntries(Object.keys(graph.dependencies).map(field => [field, previousResult[field]]));
+  return evaluateFormulaRow(graph, { ...rowData, ...computed }, changedFields);
+};
+
+export default {
+  buildFormulaGraph,
+  getAffectedFormulas,
+  evaluateFormulaRow,
+  reevaluateFormulaRow,
+};
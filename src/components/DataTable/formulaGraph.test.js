@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildFormulaGraph, evaluateFormulaRow, getAffectedFormulas, reevaluateFormulaRow,
+} from './formulaGraph';
+import { FORMULA_ERRORS } from './formulaErrors';
+
+const fields = ['price', 'price_old', 'cost', 'profit', 'margin_pct', 'label'];
+
+describe('buildFormulaGraph', () => {
+  it('orders formulas after the formulas they use', () => {
+    const graph = buildFormulaGraph({
+      margin_pct: '=profit / price',
+      profit: '=price - cost',
+    }, fields);
+    expect(graph.order).toEqual(['profit', 'margin_pct']);
+    expect(evaluateFormulaRow(graph, { price: 10, cost: 4 })).toMatchObject({ profit: 6, margin_pct: 0.6 });
+  });
+
+  it('makes fields in an indirect cycle and the fields using them #CYCLE!', () => {
+    const graph = buildFormulaGraph({
+      a: '=b + 1',
+      b: '=a + 1',
+      c: '=a * 2',
+      d: '=price',
+    }, ['price', 'a', 'b', 'c', 'd']);
+    expect(graph.cycles.a).toEqual(['a', 'b', 'a']);
+    expect(graph.cycles.b).toEqual(['b', 'a', 'b']);
+    expect(graph.order).toEqual(['d']);
+
+    const row = evaluateFormulaRow(graph, { price: 3 });
+    expect(row.a.code).toBe(FORMULA_ERRORS.CYCLE);
+    expect(row.a.message).toBe('Circular reference: a → b → a');
+    expect(row.b.code).toBe(FORMULA_ERRORS.CYCLE);
+    expect(row.c.code).toBe(FORMULA_ERRORS.CYCLE);
+    expect(row.d).toBe(3);
+  });
+
+  it('makes a formula using its own field #CYCLE!', () => {
+    const graph = buildFormulaGraph({ a: '=a + 1' }, ['a']);
+    expect(graph.errors.a.code).toBe(FORMULA_ERRORS.CYCLE);
+  });
+
+  it('matches whole field names only', () => {
+    const graph = buildFormulaGraph({ profit: '=price - cost' }, fields);
+    expect(graph.dependencies.profit).toEqual(['price', 'cost']);
+    expect(graph.dependents.price_old).toBe(undefined);
+    expect(getAffectedFormulas(graph, ['price_old'])).toEqual([]);
+  });
+
+  it('makes formulas using unknown fields #REF! and unparsable ones #NAME?', () => {
+    const graph = buildFormulaGraph({ profit: '=prize - cost', margin_pct: '=profit /' }, fields);
+    expect(graph.errors.profit.code).toBe(FORMULA_ERRORS.REF);
+    expect(graph.errors.profit.message).toBe('Unknown field: prize');
+    expect(graph.errors.margin_pct.code).toBe(FORMULA_ERRORS.NAME);
+  });
+
+  it('reads fields of the table that a row leaves out as blank', () => {
+    const graph = buildFormulaGraph({ profit: '=price - cost' }, fields);
+    expect(evaluateFormulaRow(graph, { price: 10 }).profit).toBe(10);
+    const unchecked = buildFormulaGraph({ profit: '=price - cost' });
+    expect(evaluateFormulaRow(unchecked, { price: 10 }).profit.code).toBe(FORMULA_ERRORS.REF);
+  });
+});
+
+describe('recalculating a changed row', () => {
+  const graph = buildFormulaGraph({
+    profit: '=price - cost',
+    margin_pct: '=profit / price',
+    label: '=name & "!"',
+  }, [...fields, 'name']);
+
+  it('finds the formulas downstream of the changed fields', () => {
+    expect(getAffectedFormulas(graph, ['cost'])).toEqual(['profit', 'margin_pct']);
+    expect(getAffectedFormulas(graph, ['price'])).toEqual(['profit', 'margin_pct']);
+    expect(getAffectedFormulas(graph, ['name'])).toEqual(['label']);
+    expect(getAffectedFormulas(graph, ['profit'])).toEqual(['margin_pct']);
+    expect(getAffectedFormulas(graph, ['price_old'])).toEqual([]);
+  });
+
+  it('evaluates only the affected formulas again', () => {
+    const previousRow = { price: 10, cost: 4, name: 'a' };
+    const previousResult = evaluateFormulaRow(graph, previousRow);
+    expect(previousResult).toMatchObject({ profit: 6, margin_pct: 0.6, label: 'a!' });
+
+    // A label that wasn't evaluated again keeps the value it was given
+    const changed = reevaluateFormulaRow(
+      graph,
+      { price: 10, cost: 5, name: 'b' },
+      { price: 10, cost: 4, name: 'b' },
+      { ...previousResult, label: 'kept' }
+    );
+    expect(changed).toMatchObject({ profit: 5, margin_pct: 0.5, label: 'kept' });
+  });
+
+  it('keeps the computed values over stored values of formula fields', () => {
+    const previousRow = { price: 10, cost: 4, name: 'a', label: 'stored' };
+    const previousResult = evaluateFormulaRow(graph, previousRow);
+    const changed = reevaluateFormulaRow(graph, { ...previousRow, cost: 2 }, previousRow, previousResult);
+    expect(changed).toMatchObject({ profit: 8, margin_pct: 0.8, label: 'a!' });
+  });
+});
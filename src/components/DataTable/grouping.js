@@ -0,0 +1,94 @@
+// Row grouping for DataTable. Rows are grouped by one or more fields (nested in
+// that order) and returned as one flat list in which every group is preceded by
+// a header row; the rows of collapsed groups are left out.
+
+import { formatCellValue } from './columnTypes';
+import { computeAggregate, hasAggregate } from './aggregates';
+import { sortRows } from './sorting';
+import { translate } from './i18n';
+
+// Property that marks a group header row and holds its details
+const GROUP = '__group';
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Whether a table row is a group header
+ * @param {Object} record Table row
+ * @returns {boolean}
+ */
+export const isGroupRow = (record) => Boolean(record && record[GROUP]);
+
+/**
+ * Details of a group header row
+ * @param {Object} record Group header row
+ * @returns {Object} { field, label, level, count, aggregates, collapsed }
+ */
+export const getGroup = (record) => record[GROUP];
+
+/**
+ * Whether rows can be grouped by a column. Tags, JSON and formula values
+ * don't make meaningful groups.
+ * @param {Object} column Column definition
+ * @returns {boolean}
+ */
+export const isGroupable = (column) => !['tags', 'json', 'formula'].includes(column.type);
+
+/**
+ * Group rows into a flat list of group headers and rows
+ * @param {Array} rows Rows in display order (already filtered and sorted)
+ * @param {Array} groupBy Fields to group by, outermost first
+ * @param {Array} columns Column definitions
+ * @param {Object} options
+ * @param {Array} options.sorts Sort keys; a sorted group field orders its groups in that direction
+ * @param {string} options.nullsOrder Where the group of empty values goes, 'first' or 'last'
+ * @param {Set} options.collapsed Keys of the collapsed group headers
+ * @returns {Array} Group header rows, each followed by its rows (or subgroups) unless collapsed
+ */
+export const groupRows = (rows, groupBy, columns, { sorts = [], nullsOrder = 'last', collapsed = new Set() } = {}) => {
+  const aggregated = columns.filter(hasAggregate);
+
+  const build = (groupedRows, level, parentKey) => {
+    const column = columns.find(col => col.dataIndex === groupBy[level]);
+    if (!column) return groupedRows;
+
+    // Group by the displayed value, so e.g. 5 and '5' end up in the same group
+    const groups = new Map();
+    groupedRows.forEach(row => {
+      const value = row[column.dataIndex];
+      const label = isEmpty(value) ? '' : formatCellValue(column, value);
+      if (!groups.has(label)) groups.set(label, []);
+      groups.get(label).push(row);
+    });
+
+    // Groups are ordered by their value, descending if the field is sorted that way
+    const sort = sorts.find(item => item.columnKey === column.dataIndex);
+    const firstRows = new Map([...groups].map(([label, groupRowsOfLabel]) => [groupRowsOfLabel[0], label]));
+    const order = sortRows(
+      [...firstRows.keys()],
+      [{ columnKey: column.dataIndex, order: sort ? sort.order : 'ascend' }],
+      columns,
+      nullsOrder
+    ).map(row => firstRows.get(row));
+
+    return order.flatMap(label => {
+      const members = groups.get(label);
+      const key = `${parentKey}/${column.dataIndex}=${label}`;
+      const isCollapsed = collapsed.has(key);
+      const header = {
+        key,
+        [GROUP]: {
+          field: column.dataIndex,
+          label: label === '' ? translate(column.locale, 'group.empty') : label,
+          level,
+          count: members.length,
+          aggregates: Object.fromEntries(aggregated.map(col => [col.dataIndex, computeAggregate(col, members)])),
+          collapsed: isCollapsed,
+        },
+      };
+      return isCollapsed ? [header] : [header, ...build(members, level + 1, key)];
+    });
+  };
+
+  return build(rows, 0, 'group:');
+};
@@ -0,0 +1,98 @@
+import React, { createContext, useContext, useMemo } from 'react';
+import { ConfigProvider } from 'antd';
+import enUS from 'antd/locale/en_US';
+import deDE from 'antd/locale/de_DE';
+// The date pickers look up week starts and month names in the dayjs locale of antd's locale
+import 'dayjs/locale/de';
+import en from './locales/en';
+import de from './locales/de';
+
+// Localization for DataTable. A locale is a BCP 47 tag such as 'en-US' or 'de-DE':
+// its language picks the message catalog (see locales/) and antd's locale, the full
+// tag is what numbers, currencies and dates are formatted for with Intl.
+
+export const DEFAULT_LOCALE = 'en-US';
+
+/**
+ * Locales with a message catalog, for a language picker
+ */
+export const LOCALES = [
+  { value: 'en-US', label: 'English' },
+  { value: 'de-DE', label: 'Deutsch' },
+];
+
+const catalogs = { en, de };
+const antdLocales = { en: enUS, de: deDE };
+
+const getLanguage = (locale) => (locale || DEFAULT_LOCALE).split('-')[0].toLowerCase();
+
+/**
+ * Add a language, or replace some of a language's messages
+ * @param {string} language Language code, e.g. 'fr'
+ * @param {Object} messages Messages by key, see locales/en.js
+ * @param {Object} antdLocale antd's locale for the language, e.g. from 'antd/locale/fr_FR'
+ */
+export const addMessages = (language, messages, antdLocale) => {
+  catalogs[language] = { ...catalogs[language], ...messages };
+  if (antdLocale) antdLocales[language] = antdLocale;
+};
+
+// Intl objects are slow to set up, so keep one per locale
+const numberFormats = new Map();
+const pluralRules = new Map();
+
+const getNumberFormat = (locale) => {
+  if (!numberFormats.has(locale)) numberFormats.set(locale, new Intl.NumberFormat(locale));
+  return numberFormats.get(locale);
+};
+
+const getPluralRules = (locale) => {
+  if (!pluralRules.has(locale)) pluralRules.set(locale, new Intl.PluralRules(locale));
+  return pluralRules.get(locale);
+};
+
+/**
+ * A message in a locale's language, falling back to English and then to the key
+ * @param {string} locale Locale, e.g. 'de-DE'
+ * @param {string} key Message key, e.g. 'table.addNew'
+ * @param {Object} params Values for the {placeholders}; numbers are formatted for the locale,
+ *   `count` picks the plural form
+ * @returns {string} The message
+ */
+export const translate = (locale, key, params = {}) => {
+  const activeLocale = locale || DEFAULT_LOCALE;
+  let text = (catalogs[getLanguage(activeLocale)] || {})[key] ?? catalogs.en[key] ?? key;
+  if (typeof text === 'object') {
+    text = text[getPluralRules(activeLocale).select(params.count)] ?? text.other;
+  }
+  return text.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === 'number' ? getNumberFormat(activeLocale).format(value) : String(value);
+  });
+};
+
+const LocaleContext = createContext({ locale: DEFAULT_LOCALE });
+
+/**
+ * The active locale and its translate function, for components inside a LocaleProvider
+ * @returns {Object} { locale, t(key, params) }
+ */
+export const useLocale = () => {
+  const { locale } = useContext(LocaleContext);
+  return useMemo(() => ({ locale, t: (key, params) => translate(locale, key, params) }), [locale]);
+};
+
+/**
+ * Makes a locale the active one for the components inside, antd's included
+ * @param {Object} props Component props
+ * @param {string} props.locale Locale, e.g. 'de-DE'
+ */
+export const LocaleProvider = ({ locale = DEFAULT_LOCALE, children }) => {
+  const value = useMemo(() => ({ locale }), [locale]);
+  return (
+    <ConfigProvider locale={antdLocales[getLanguage(locale)] || enUS}>
+      <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>
+    </ConfigProvider>
+  );
+};
@@ -3,6 +3,7 @@ import DataTableExample from './DataTableExample';
 import DatabaseConnector from './DatabaseConnector';
 import FormulaParser from './FormulaParser';
 import TableSelector from './TableSelector';
+import { LocaleProvider, addMessages, translate, LOCALES } from './i18n';
 
 export {
   DataTable,
@@ -10,6 +11,10 @@ export {
   DatabaseConnector,
   FormulaParser,
   TableSelector,
+  LocaleProvider,
+  addMessages,
+  translate,
+  LOCALES,
 };
 
 export default DataTable;
\ No newline at end of file
@@ -0,0 +1,338 @@
+// German messages. Keys missing here are shown in English, see en.js.
+
+export default {
+  // DataTable
+  'table.defaultName': 'Datentabelle',
+  'table.search': 'Suchen',
+  'table.searchLabel': '{table} durchsuchen',
+  'table.searchCount': '{shown} von {total} Zeilen',
+  'table.matchingRows': { one: '{count} passende Zeile', other: '{count} passende Zeilen' },
+  'table.rowsShown': '{shown} von {total} Zeilen angezeigt',
+  'table.addNew': 'Neu hinzufügen',
+  'table.groupBy': 'Gruppieren nach',
+  'table.expandAll': 'Alle aufklappen',
+  'table.collapseAll': 'Alle zuklappen',
+  'table.undo': 'Rückgängig',
+  'table.redo': 'Wiederholen',
+  'table.undoTooltip': 'Rückgängig: {label} (Strg+Z)',
+  'table.redoTooltip': 'Wiederholen: {label} (Strg+Umschalt+Z)',
+  'table.nothingToUndo': 'Nichts rückgängig zu machen',
+  'table.nothingToRedo': 'Nichts zu wiederholen',
+  'table.undone': 'Rückgängig gemacht: {label}',
+  'table.redone': 'Wiederholt: {label}',
+  'table.undoFailed': 'Rückgängig machen fehlgeschlagen: {error}',
+  'table.redoFailed': 'Wiederholen fehlgeschlagen: {error}',
+  'table.saved': '{label}: gespeichert',
+  'table.failed': '{label}: fehlgeschlagen',
+  'table.failedWithError': '{label}: fehlgeschlagen, {error}',
+  'table.moveUp': 'Nach oben',
+  'table.moveDown': 'Nach unten',
+  'table.selectedCount': '{count} ausgewählt',
+  'table.setField': 'Feld setzen',
+  'table.duplicate': 'Duplizieren',
+  'table.deleteSelected': 'Auswahl löschen',
+  'table.clearSelection': 'Auswahl aufheben',
+  'table.selectPage': 'Alle auf dieser Seite auswählen',
+  'table.selectMatching': 'Alle passenden Zeilen auswählen',
+  'table.selectRow': 'Zeile auswählen',
+  'table.sortTooltip': 'Klicken zum Sortieren, Umschalt+Klick für eine weitere Sortierung',
+  'table.sortCleared': 'Sortierung aufgehoben',
+  'table.sortedBy': 'Sortiert nach {sorts}',
+  'table.sortAscending': '{column} aufsteigend',
+  'table.sortDescending': '{column} absteigend',
+  'table.sortSeparator': ', dann ',
+  'table.actions': 'Aktionen',
+  'table.edit': 'Bearbeiten (Eingabe)',
+  'table.editRow': 'Zeile bearbeiten',
+  'table.delete': 'Löschen (Entf)',
+  'table.deleteRow': 'Zeile löschen',
+  'table.expandGroup': 'Gruppe aufklappen',
+  'table.collapseGroup': 'Gruppe zuklappen',
+  'table.dragToReorder': 'Ziehen zum Umsortieren',
+  'table.dragDisabled': 'Sortierung und Gruppierung aufheben, um Zeilen umzusortieren',
+  'table.total': 'Gesamt',
+  'table.pageTotal': 'Seitensumme',
+  'table.selectOneRow': 'Bitte genau eine Zeile zum Verschieben auswählen',
+  'table.recordAdded': 'Datensatz hinzugefügt',
+  'table.recordUpdated': 'Datensatz aktualisiert',
+  'table.recordDeleted': 'Datensatz gelöscht',
+  'table.recordsUpdated': { one: '{count} Datensatz aktualisiert', other: '{count} Datensätze aktualisiert' },
+  'table.recordsDeleted': { one: '{count} Datensatz gelöscht', other: '{count} Datensätze gelöscht' },
+  'table.recordsDuplicated': { one: '{count} Datensatz dupliziert', other: '{count} Datensätze dupliziert' },
+  'table.rowSelected': 'Zeile ausgewählt',
+  'table.rowSelectedCount': 'Zeile ausgewählt, {count} ausgewählt',
+  'table.rowDeselectedCount': 'Zeile abgewählt, {count} ausgewählt',
+  'table.rowError': 'Zeile {row}: {error}',
+  'table.changeCancelled': '{action} abgebrochen, es wurde nichts geändert. {errors}',
+  'table.moreErrors': '{errors} (und {count} weitere)',
+  'table.paste': 'Einfügen',
+  'table.fillDown': 'Nach unten ausfüllen',
+  'table.copied': '{cells} kopiert',
+  'table.pasted': '{cells} eingefügt',
+  'table.pastedWithRows': '{cells} und {rows} eingefügt',
+  'table.filledDown': '{cells} nach unten ausgefüllt',
+  'table.cells': { one: '{count} Zelle', other: '{count} Zellen' },
+  'table.rows': { one: '{count} Zeile', other: '{count} Zeilen' },
+  'table.confirmDelete': 'Löschen bestätigen',
+  'table.confirmDeleteOk': 'Ja, löschen',
+  'table.cancel': 'Abbrechen',
+  'table.confirmDeleteRecord': 'Möchten Sie diesen Datensatz wirklich löschen?',
+  'table.confirmDeleteRecords': {
+    one: 'Möchten Sie den ausgewählten Datensatz wirklich löschen?',
+    other: 'Möchten Sie die {count} ausgewählten Datensätze wirklich löschen?',
+  },
+  'table.setFieldTitle': { one: 'Feld für {count} Datensatz setzen', other: 'Feld für {count} Datensätze setzen' },
+  'table.field': 'Feld',
+  'table.chooseField': 'Bitte wählen Sie ein Feld',
+  'table.chooseFieldPlaceholder': 'Zu änderndes Feld wählen',
+  'table.editRecord': 'Datensatz bearbeiten',
+  'table.addRecord': 'Neuen Datensatz hinzufügen',
+
+  // Undo history entries
+  'history.editField': '{column} bearbeiten',
+  'history.editRecord': 'Datensatz bearbeiten',
+  'history.addRecord': 'Datensatz hinzufügen',
+  'history.deleteRecord': 'Datensatz löschen',
+  'history.deleteRecords': { one: '{count} Datensatz löschen', other: '{count} Datensätze löschen' },
+  'history.setField': { one: '{column} für {count} Datensatz setzen', other: '{column} für {count} Datensätze setzen' },
+  'history.duplicate': { one: '{count} Datensatz duplizieren', other: '{count} Datensätze duplizieren' },
+  'history.moveRow': 'Zeile verschieben',
+  'history.moveRows': '{count} Zeilen verschieben',
+  'history.moveRowUp': 'Zeile nach oben verschieben',
+  'history.moveRowDown': 'Zeile nach unten verschieben',
+  'history.paste': '{cells} einfügen',
+  'history.pasteWithRows': '{cells} und {rows} einfügen',
+  'history.fillDown': '{cells} nach unten ausfüllen',
+
+  // Column filters
+  'filter.between': 'Zwischen',
+  'filter.equals': 'Gleich',
+  'filter.greaterThan': 'Größer als',
+  'filter.atLeast': 'Mindestens',
+  'filter.lessThan': 'Kleiner als',
+  'filter.atMost': 'Höchstens',
+  'filter.apply': 'Filtern',
+  'filter.reset': 'Zurücksetzen',
+  'filter.search': '{column} durchsuchen',
+  'filter.searchValues': 'Werte durchsuchen',
+  'filter.min': 'Min',
+  'filter.max': 'Max',
+  'filter.value': 'Wert',
+  'filter.any': 'Alle',
+  'filter.yes': 'Ja',
+  'filter.no': 'Nein',
+  'filter.clearAll': 'Alle Filter entfernen',
+  'filter.chip.compare': '{column} {operator} {value}',
+  'filter.chip.between': '{column} zwischen {min} und {max}',
+  'filter.chip.values': '{column}: {values}',
+  'filter.chip.fromTo': '{column} vom {from} bis {to}',
+  'filter.chip.from': '{column} ab {from}',
+  'filter.chip.until': '{column} bis {to}',
+  'filter.chip.contains': '{column} enthält {values}',
+
+  // Column settings
+  'columns.title': 'Spalten',
+  'columns.left': 'Links',
+  'columns.none': 'Keine',
+  'columns.right': 'Rechts',
+  'columns.reset': 'Layout zurücksetzen',
+
+  // Conditional formatting
+  'formatting.button': 'Formatierung',
+  'formatting.title': 'Bedingte Formatierung',
+  'formatting.close': 'Schließen',
+  'formatting.noRules': 'Noch keine Regeln',
+  'formatting.deleteRule': 'Regel löschen',
+  'formatting.row': 'Zeile',
+  'formatting.scale': '{target}: Farbskala',
+  'formatting.scaleReversed': '{target}: Farbskala (hohe Werte rot)',
+  'formatting.when': 'wenn',
+  'formatting.applyTo': 'Anwenden auf',
+  'formatting.wholeRow': 'Ganze Zeile',
+  'formatting.rule': 'Regel',
+  'formatting.condition': 'Bedingung',
+  'formatting.colorScale': 'Farbskala',
+  'formatting.reverse': 'Hohe Werte rot, niedrige Werte grün',
+  'formatting.conditionHelp': 'Spalten oder Werte mit =, <>, <, >, <= oder >= vergleichen; Text in Anführungszeichen, z. B. status = "discontinued". Spalten: {columns}',
+  'formatting.conditionPlaceholder': 'z. B. quantity < reorder_level',
+  'formatting.enterCondition': 'Bitte geben Sie eine Bedingung ein',
+  'formatting.conditionSyntax': 'Die Bedingung hat einen Syntaxfehler an Position {position}',
+  'formatting.nameColumn': 'Verwenden Sie einen Spaltennamen in der Bedingung, z. B. quantity < reorder_level',
+  'formatting.unknownColumn': '„{name}“ ist keine Spalte; setzen Sie Textwerte in Anführungszeichen',
+  'formatting.style': 'Stil',
+  'formatting.add': 'Regel hinzufügen',
+  'formatting.style.danger': 'Rot',
+  'formatting.style.warning': 'Gelb',
+  'formatting.style.success': 'Grün',
+  'formatting.style.info': 'Blau',
+  'formatting.style.bold': 'Fett',
+  'formatting.style.muted': 'Gedämpft',
+
+  // Saved views
+  'views.default': 'Standardlayout',
+  'views.shared': '{name} (geteilt)',
+  'views.save': 'Aktuelles Layout in dieser Ansicht speichern',
+  'views.saveAs': 'Als neue Ansicht speichern',
+  'views.confirmDelete': 'Ansicht „{name}“ löschen?',
+  'views.saveTitle': 'Ansicht speichern',
+  'views.saveOk': 'Speichern',
+  'views.name': 'Name der Ansicht',
+  'views.enterName': 'Bitte geben Sie einen Namen für die Ansicht ein',
+  'views.exists': 'Eine Ansicht mit diesem Namen existiert bereits',
+  'views.namePlaceholder': 'z. B. Lager',
+  'views.share': 'Diese Ansicht teilen',
+  'views.sharedHelp': 'Geteilte Ansichten werden in der Tabelle table_views gespeichert und sind für alle sichtbar',
+
+  // Master-detail rows
+  'detail.loadFailed': '{title} konnten nicht geladen werden',
+  'detail.retry': 'Erneut versuchen',
+
+  // Aggregates and grouping
+  'aggregate.sum': 'Summe',
+  'aggregate.avg': 'Ø',
+  'aggregate.min': 'Min',
+  'aggregate.max': 'Max',
+  'aggregate.count': 'Anzahl',
+  'aggregate.distinct': 'Verschiedene',
+  'aggregate.total': 'Gesamt',
+  'group.empty': '(leer)',
+
+  // Validation
+  'validation.required': '{title} ist erforderlich',
+  'validation.number': '{title} muss eine gültige Zahl sein',
+  'validation.url': '{title} muss eine gültige URL sein',
+  'validation.email': 'Bitte geben Sie eine gültige E-Mail-Adresse ein',
+  'validation.json': '{title} muss gültiges JSON sein',
+  'validation.integer': '{title} muss eine ganze Zahl sein',
+  'validation.range': '{title} muss {range} sein',
+  'validation.pattern': '{title} hat nicht das erwartete Format',
+  'validation.enum': '{title} muss einer der folgenden Werte sein: {values}',
+  'validation.compare': '{title} muss {comparison} {other} sein',
+  'validation.between': 'zwischen {min} und {max}',
+  'validation.atLeast': 'mindestens {min}',
+  'validation.atMost': 'höchstens {max}',
+  'validation.betweenLength': 'zwischen {min} und {max} Zeichen lang',
+  'validation.atLeastLength': 'mindestens {min} Zeichen lang',
+  'validation.atMostLength': 'höchstens {max} Zeichen lang',
+  'validation.compare.<': 'kleiner als',
+  'validation.compare.<=': 'höchstens',
+  'validation.compare.>': 'größer als',
+  'validation.compare.>=': 'mindestens',
+  'validation.wholeNumber': 'ganze Zahl',
+  'validation.emailAddress': 'E-Mail-Adresse',
+  'validation.oneOf': 'einer von: {values}',
+
+  // Clipboard
+  'clipboard.true': 'WAHR',
+  'clipboard.false': 'FALSCH',
+  'clipboard.number': '{title} muss eine Zahl sein',
+  'clipboard.boolean': '{title} muss {true} oder {false} sein',
+  'clipboard.date': '{title} muss ein Datum sein',
+  'clipboard.noOption': '{title} hat keinen Eintrag „{value}“',
+
+  // Formula errors
+  'formulaError.divZero': 'Division durch null',
+  'formulaError.name': 'Unbekannte Funktion oder ungültige Formel',
+  'formulaError.value': 'Wert vom falschen Typ',
+  'formulaError.ref': 'Unbekanntes Feld',
+  'formulaError.cycle': 'Zirkelbezug',
+  'formulaError.na': 'Kein Wert verfügbar',
+  'formulaError.source': '„{expression}“ in {column}',
+  'formulaError.sourceField': 'In {column}',
+  'formulaError.rows': { one: '{count} Zeile mit Formelfehlern', other: '{count} Zeilen mit Formelfehlern' },
+  'formulaError.showErrors': 'Alle Formelfehler anzeigen',
+  'formulaError.showAll': 'Alle Zeilen anzeigen',
+
+  // TableSelector
+  'selector.title': 'Datenbanktabellen',
+  'selector.refresh': 'Datenbanktabellen neu laden',
+  'selector.loading': 'Tabellen werden geladen...',
+  'selector.select': 'Tabelle auswählen',
+  'selector.connected': { one: 'Mit {count} Datenbanktabelle verbunden', other: 'Mit {count} Datenbanktabellen verbunden' },
+  'selector.unavailable': 'Die zuvor ausgewählte Tabelle ist nicht mehr verfügbar',
+  'selector.connectionFailed': 'Datenbankverbindung fehlgeschlagen: {error}',
+  'selector.loadingTable': 'Daten der Tabelle {table} werden geladen...',
+  'selector.error': 'DATENBANKFEHLER',
+  'selector.noTables': 'In Ihrer Supabase-Datenbank wurden keine zugänglichen Tabellen gefunden.',
+  'selector.noTablesHelp': 'Bitte legen Sie die benötigten Tabellen in Ihrem Supabase-Projekt an oder prüfen Sie die CORS-Einstellungen.',
+  'selector.troubleshooting': 'Fehlerbehebung:',
+  'selector.cors': 'CORS-Einstellungen:',
+  'selector.corsHelp': 'Fügen Sie {origin} zu den erlaubten Origins in Supabase hinzu',
+  'selector.createTables': 'Tabellen anlegen:',
+  'selector.createTablesHelp': 'Führen Sie das SQL aus, um die benötigten Tabellen in Supabase anzulegen',
+  'selector.permissions': 'Berechtigungen:',
+  'selector.permissionsHelp': 'Stellen Sie sicher, dass die Rolle anon auf Ihre Tabellen zugreifen darf',
+  'selector.environment': 'Umgebungsvariablen:',
+  'selector.environmentHelp': 'Stellen Sie sicher, dass Ihr Build VITE_SUPABASE_URL und VITE_SUPABASE_ANON_KEY enthält',
+  'selector.setupSql': 'SQL für die Einrichtung:',
+  'selector.retry': 'Verbindung erneut versuchen',
+  'selector.supabase': 'Zu Supabase',
+  'selector.viewing': 'Angezeigte Tabelle:',
+  'selector.tableData': 'Tabellendaten',
+  'selector.mockData': 'TESTDATEN AKTIV',
+
+  // DataTableExample
+  'example.title': 'SQL-Explorer',
+  'example.subtitle': 'Alle Tabellen Ihrer PostgreSQL-Datenbank anzeigen und verwalten',
+  'example.language': 'Sprache',
+  'example.filters': 'Filter',
+  'example.filterCategory': 'Nach Kategorie filtern',
+  'example.filterStatus': 'Nach Status filtern',
+  'example.status.active': 'Aktiv',
+  'example.status.discontinued': 'Eingestellt',
+  'example.status.out_of_stock': 'Nicht vorrätig',
+  'example.status.backordered': 'Nachbestellt',
+  'example.integration': 'Datenbankanbindung',
+  'example.integrationIntro': 'Diese Komponente verbindet sich mit einer PostgreSQL-Datenbank und bietet:',
+  'example.featureTables': 'Dynamische Tabellenauswahl',
+  'example.featureSchema': 'Automatische Schemaerkennung',
+  'example.featureCrud': 'Anlegen, Bearbeiten und Löschen',
+  'example.featureFiltering': 'Filtern und Suchen',
+  'example.serverMode': 'Serverseitiges Blättern, Sortieren und Filtern',
+  'example.refreshTable': 'Tabellendaten neu laden',
+  'example.backToTable': 'Zurück zur ursprünglichen Tabelle',
+  'example.noData': 'Keine Daten gefunden',
+  'example.emptyTable': 'Diese Tabelle ist leer oder nicht verfügbar.',
+  'example.dummyData': 'TESTDATENMODUS AKTIV',
+  'example.refreshData': 'Daten neu laden',
+  'example.sqlResults': 'SQL-Abfrageergebnisse',
+  'example.table.product_summary': 'Produkte',
+  'example.table.categories': 'Kategorien',
+  'example.table.suppliers': 'Lieferanten',
+  'example.table.customers': 'Kunden',
+  'example.table.orders': 'Bestellungen',
+  'example.table.transactions': 'Lagerbewegungen',
+  'example.table.benchmark': 'Benchmark-Zeilen',
+  'example.loadStructureFailed': 'Tabellenstruktur konnte nicht geladen werden',
+  'example.loadFailed': 'Daten der Tabelle {table} konnten nicht geladen werden: {error}',
+  'example.syntaxError': 'Syntaxfehler in der Datenbank: {error}',
+  'example.constraintError': 'Verletzung einer Datenbankbedingung: {error}',
+  'example.invalidObjectOrSyntax': 'Ungültiges Datenbankobjekt oder ungültige Syntax: {error}',
+  'example.invalidObject': 'Ungültiges Datenbankobjekt: {error}',
+  'example.databaseError': 'Datenbankfehler: {error}',
+  'example.saveRulesFailed': 'Formatierungsregeln konnten nicht gespeichert werden: {error}',
+  'example.viewSaved': 'Ansicht „{name}“ gespeichert',
+  'example.saveViewFailed': 'Ansicht konnte nicht gespeichert werden: {error}',
+  'example.viewDeleted': 'Ansicht „{name}“ gelöscht',
+  'example.deleteViewFailed': 'Ansicht konnte nicht gelöscht werden: {error}',
+  'example.filterFailed': 'Produkte konnten nicht gefiltert werden',
+  'example.saving': 'Wird in der Datenbank gespeichert...',
+  'example.updated': 'Datensatz in der Datenbank aktualisiert',
+  'example.updatedMock': 'Datensatz aktualisiert (Testmodus)',
+  'example.notFound': 'Datensatz nicht gefunden',
+  'example.deleting': 'Wird aus der Datenbank gelöscht...',
+  'example.deleted': 'Datensatz aus der Datenbank gelöscht',
+  'example.deletedMock': 'Datensatz gelöscht (Testmodus)',
+  'example.adding': 'Wird zur Datenbank hinzugefügt...',
+  'example.added': 'Datensatz zur Datenbank hinzugefügt',
+  'example.addedMock': 'Datensatz hinzugefügt (Testmodus)',
+  'example.bulkDeleting': { one: '{count} Datensatz wird gelöscht...', other: '{count} Datensätze werden gelöscht...' },
+  'example.bulkDeleted': { one: '{count} Datensatz aus der Datenbank gelöscht', other: '{count} Datensätze aus der Datenbank gelöscht' },
+  'example.bulkDeletedMock': { one: '{count} Datensatz gelöscht (Testmodus)', other: '{count} Datensätze gelöscht (Testmodus)' },
+  'example.bulkUpdating': { one: '{count} Datensatz wird aktualisiert...', other: '{count} Datensätze werden aktualisiert...' },
+  'example.bulkUpdated': { one: '{count} Datensatz in der Datenbank aktualisiert', other: '{count} Datensätze in der Datenbank aktualisiert' },
+  'example.bulkUpdatedMock': { one: '{count} Datensatz aktualisiert (Testmodus)', other: '{count} Datensätze aktualisiert (Testmodus)' },
+  'example.bulkAdding': { one: '{count} Datensatz wird hinzugefügt...', other: '{count} Datensätze werden hinzugefügt...' },
+  'example.bulkAdded': { one: '{count} Datensatz zur Datenbank hinzugefügt', other: '{count} Datensätze zur Datenbank hinzugefügt' },
+  'example.bulkAddedMock': { one: '{count} Datensatz hinzugefügt (Testmodus)', other: '{count} Datensätze hinzugefügt (Testmodus)' },
+};
@@ -0,0 +1,349 @@
+// English messages, the catalog every other language falls back to.
+// {name} is replaced by a parameter; a message with `one` and `other` forms
+// is picked by the `count` parameter.
+
+export default {
+  // DataTable
+  'table.defaultName': 'Data Table',
+  'table.search': 'Search',
+  'table.searchLabel': 'Search {table}',
+  'table.searchCount': '{shown} of {total} rows',
+  'table.matchingRows': { one: '{count} matching row', other: '{count} matching rows' },
+  'table.rowsShown': '{shown} of {total} rows shown',
+  'table.addNew': 'Add New',
+  'table.groupBy': 'Group by',
+  'table.expandAll': 'Expand All',
+  'table.collapseAll': 'Collapse All',
+  'table.undo': 'Undo',
+  'table.redo': 'Redo',
+  'table.undoTooltip': 'Undo: {label} (Ctrl+Z)',
+  'table.redoTooltip': 'Redo: {label} (Ctrl+Shift+Z)',
+  'table.nothingToUndo': 'Nothing to undo',
+  'table.nothingToRedo': 'Nothing to redo',
+  'table.undone': 'Undone: {label}',
+  'table.redone': 'Redone: {label}',
+  'table.undoFailed': 'Undo failed: {error}',
+  'table.redoFailed': 'Redo failed: {error}',
+  'table.saved': '{label}: saved',
+  'table.failed': '{label}: failed',
+  'table.failedWithError': '{label}: failed, {error}',
+  'table.moveUp': 'Move Up',
+  'table.moveDown': 'Move Down',
+  'table.selectedCount': '{count} selected',
+  'table.setField': 'Set Field',
+  'table.duplicate': 'Duplicate',
+  'table.deleteSelected': 'Delete Selected',
+  'table.clearSelection': 'Clear Selection',
+  'table.selectPage': 'Select all on this page',
+  'table.selectMatching': 'Select all matching filter',
+  'table.selectRow': 'Select row',
+  'table.sortTooltip': 'Click to sort, Shift+click to add a secondary sort',
+  'table.sortCleared': 'Sorting cleared',
+  'table.sortedBy': 'Sorted by {sorts}',
+  'table.sortAscending': '{column} ascending',
+  'table.sortDescending': '{column} descending',
+  'table.sortSeparator': ', then ',
+  'table.actions': 'Actions',
+  'table.edit': 'Edit (Enter)',
+  'table.editRow': 'Edit row',
+  'table.delete': 'Delete (Delete)',
+  'table.deleteRow': 'Delete row',
+  'table.expandGroup': 'Expand group',
+  'table.collapseGroup': 'Collapse group',
+  'table.dragToReorder': 'Drag to reorder',
+  'table.dragDisabled': 'Clear sorting and grouping to reorder rows',
+  'table.total': 'Total',
+  'table.pageTotal': 'Page total',
+  'table.selectOneRow': 'Please select exactly one row to move',
+  'table.recordAdded': 'Record added successfully',
+  'table.recordUpdated': 'Record updated successfully',
+  'table.recordDeleted': 'Record deleted successfully',
+  'table.recordsUpdated': {
+    one: '{count} record updated successfully',
+    other: '{count} records updated successfully',
+  },
+  'table.recordsDeleted': {
+    one: '{count} record deleted successfully',
+    other: '{count} records deleted successfully',
+  },
+  'table.recordsDuplicated': {
+    one: '{count} record duplicated successfully',
+    other: '{count} records duplicated successfully',
+  },
+  'table.rowSelected': 'Row selected',
+  'table.rowSelectedCount': 'Row selected, {count} selected',
+  'table.rowDeselectedCount': 'Row deselected, {count} selected',
+  'table.rowError': 'Row {row}: {error}',
+  'table.changeCancelled': '{action} cancelled, nothing was changed. {errors}',
+  'table.moreErrors': '{errors} (and {count} more)',
+  'table.paste': 'Paste',
+  'table.fillDown': 'Fill down',
+  'table.copied': 'Copied {cells}',
+  'table.pasted': 'Pasted {cells}',
+  'table.pastedWithRows': 'Pasted {cells} and {rows}',
+  'table.filledDown': 'Filled down {cells}',
+  'table.cells': { one: '{count} cell', other: '{count} cells' },
+  'table.rows': { one: '{count} row', other: '{count} rows' },
+  'table.confirmDelete': 'Confirm Delete',
+  'table.confirmDeleteOk': 'Yes, Delete',
+  'table.cancel': 'Cancel',
+  'table.confirmDeleteRecord': 'Are you sure you want to delete this record?',
+  'table.confirmDeleteRecords': {
+    one: 'Are you sure you want to delete {count} selected record?',
+    other: 'Are you sure you want to delete {count} selected records?',
+  },
+  'table.setFieldTitle': { one: 'Set Field on {count} Record', other: 'Set Field on {count} Records' },
+  'table.field': 'Field',
+  'table.chooseField': 'Please choose a field',
+  'table.chooseFieldPlaceholder': 'Choose a field to update',
+  'table.editRecord': 'Edit Record',
+  'table.addRecord': 'Add New Record',
+
+  // Undo history entries
+  'history.editField': 'Edit {column}',
+  'history.editRecord': 'Edit record',
+  'history.addRecord': 'Add record',
+  'history.deleteRecord': 'Delete record',
+  'history.deleteRecords': { one: 'Delete {count} record', other: 'Delete {count} records' },
+  'history.setField': { one: 'Set {column} on {count} record', other: 'Set {column} on {count} records' },
+  'history.duplicate': { one: 'Duplicate {count} record', other: 'Duplicate {count} records' },
+  'history.moveRow': 'Move row',
+  'history.moveRows': 'Move {count} rows',
+  'history.moveRowUp': 'Move row up',
+  'history.moveRowDown': 'Move row down',
+  'history.paste': 'Paste {cells}',
+  'history.pasteWithRows': 'Paste {cells} and {rows}',
+  'history.fillDown': 'Fill down {cells}',
+
+  // Column filters
+  'filter.between': 'Between',
+  'filter.equals': 'Equals',
+  'filter.greaterThan': 'Greater than',
+  'filter.atLeast': 'At least',
+  'filter.lessThan': 'Less than',
+  'filter.atMost': 'At most',
+  'filter.apply': 'Filter',
+  'filter.reset': 'Reset',
+  'filter.search': 'Search {column}',
+  'filter.searchValues': 'Search values',
+  'filter.min': 'Min',
+  'filter.max': 'Max',
+  'filter.value': 'Value',
+  'filter.any': 'Any',
+  'filter.yes': 'Yes',
+  'filter.no': 'No',
+  'filter.clearAll': 'Clear all filters',
+  'filter.chip.compare': '{column} {operator} {value}',
+  'filter.chip.between': '{column} between {min} and {max}',
+  'filter.chip.values': '{column}: {values}',
+  'filter.chip.fromTo': '{column} from {from} to {to}',
+  'filter.chip.from': '{column} from {from}',
+  'filter.chip.until': '{column} until {to}',
+  'filter.chip.contains': '{column} contains {values}',
+
+  // Column settings
+  'columns.title': 'Columns',
+  'columns.left': 'Left',
+  'columns.none': 'None',
+  'columns.right': 'Right',
+  'columns.reset': 'Reset layout',
+
+  // Conditional formatting
+  'formatting.button': 'Formatting',
+  'formatting.title': 'Conditional Formatting',
+  'formatting.close': 'Close',
+  'formatting.noRules': 'No rules yet',
+  'formatting.deleteRule': 'Delete rule',
+  'formatting.row': 'Row',
+  'formatting.scale': '{target}: color scale',
+  'formatting.scaleReversed': '{target}: color scale (high values red)',
+  'formatting.when': 'when',
+  'formatting.applyTo': 'Apply to',
+  'formatting.wholeRow': 'Whole row',
+  'formatting.rule': 'Rule',
+  'formatting.condition': 'Condition',
+  'formatting.colorScale': 'Color scale',
+  'formatting.reverse': 'High values red, low values green',
+  'formatting.conditionHelp': 'Compare columns or values with =, <>, <, >, <= or >=; put text in quotes, e.g. status = "discontinued". Columns: {columns}',
+  'formatting.conditionPlaceholder': 'e.g. quantity < reorder_level',
+  'formatting.enterCondition': 'Please enter a condition',
+  'formatting.conditionSyntax': 'The condition has a syntax error at position {position}',
+  'formatting.nameColumn': 'Use a column name in the condition, e.g. quantity < reorder_level',
+  'formatting.unknownColumn': '"{name}" is not a column; put text values in quotes',
+  'formatting.style': 'Style',
+  'formatting.add': 'Add Rule',
+  'formatting.style.danger': 'Red',
+  'formatting.style.warning': 'Amber',
+  'formatting.style.success': 'Green',
+  'formatting.style.info': 'Blue',
+  'formatting.style.bold': 'Bold',
+  'formatting.style.muted': 'Muted',
+
+  // Saved views
+  'views.default': 'Default layout',
+  'views.shared': '{name} (shared)',
+  'views.save': 'Save the current layout to this view',
+  'views.saveAs': 'Save as a new view',
+  'views.confirmDelete': 'Delete the view "{name}"?',
+  'views.saveTitle': 'Save view',
+  'views.saveOk': 'Save',
+  'views.name': 'View name',
+  'views.enterName': 'Please enter a view name',
+  'views.exists': 'A view with this name already exists',
+  'views.namePlaceholder': 'e.g. Warehouse',
+  'views.share': 'Share this view',
+  'views.sharedHelp': 'Shared views are stored in the table_views table and visible to everyone',
+
+  // Master-detail rows
+  'detail.loadFailed': 'Could not load {title}',
+  'detail.retry': 'Retry',
+
+  // Aggregates and grouping
+  'aggregate.sum': 'Sum',
+  'aggregate.avg': 'Avg',
+  'aggregate.min': 'Min',
+  'aggregate.max': 'Max',
+  'aggregate.count': 'Count',
+  'aggregate.distinct': 'Distinct',
+  'aggregate.total': 'Total',
+  'group.empty': '(empty)',
+
+  // Validation
+  'validation.required': '{title} is required',
+  'validation.number': '{title} must be a valid number',
+  'validation.url': '{title} must be a valid URL',
+  'validation.email': 'Please enter a valid email address',
+  'validation.json': '{title} must be valid JSON',
+  'validation.integer': '{title} must be a whole number',
+  'validation.range': '{title} must be {range}',
+  'validation.pattern': '{title} is not in the expected format',
+  'validation.enum': '{title} must be one of: {values}',
+  'validation.compare': '{title} must be {comparison} {other}',
+  'validation.between': 'between {min} and {max}',
+  'validation.atLeast': 'at least {min}',
+  'validation.atMost': 'at most {max}',
+  'validation.betweenLength': 'between {min} and {max} characters',
+  'validation.atLeastLength': 'at least {min} characters',
+  'validation.atMostLength': 'at most {max} characters',
+  'validation.compare.<': 'less than',
+  'validation.compare.<=': 'at most',
+  'validation.compare.>': 'greater than',
+  'validation.compare.>=': 'at least',
+  'validation.wholeNumber': 'whole number',
+  'validation.emailAddress': 'email address',
+  'validation.oneOf': 'one of: {values}',
+
+  // Clipboard
+  'clipboard.true': 'TRUE',
+  'clipboard.false': 'FALSE',
+  'clipboard.number': '{title} must be a number',
+  'clipboard.boolean': '{title} must be {true} or {false}',
+  'clipboard.date': '{title} must be a date',
+  'clipboard.noOption': '{title} has no "{value}"',
+
+  // Formula errors
+  'formulaError.divZero': 'Division by zero',
+  'formulaError.name': 'Unknown function or invalid formula',
+  'formulaError.value': 'Value of the wrong type',
+  'formulaError.ref': 'Unknown field',
+  'formulaError.cycle': 'Circular reference',
+  'formulaError.na': 'No value available',
+  'formulaError.source': '"{expression}" in {column}',
+  'formulaError.sourceField': 'In {column}',
+  'formulaError.rows': { one: '{count} row with formula errors', other: '{count} rows with formula errors' },
+  'formulaError.showErrors': 'Show all formula errors',
+  'formulaError.showAll': 'Show all rows',
+
+  // TableSelector
+  'selector.title': 'Database Tables',
+  'selector.refresh': 'Refresh database tables',
+  'selector.loading': 'Loading tables...',
+  'selector.select': 'Select Table',
+  'selector.connected': { one: 'Connected to {count} database table', other: 'Connected to {count} database tables' },
+  'selector.unavailable': 'Previously selected table is no longer available',
+  'selector.connectionFailed': 'Database connection failed: {error}',
+  'selector.loadingTable': 'Loading data from {table} table...',
+  'selector.error': 'DATABASE ERROR',
+  'selector.noTables': 'No accessible tables found in your Supabase database.',
+  'selector.noTablesHelp': 'Please create the required tables in your Supabase project or check CORS settings.',
+  'selector.troubleshooting': 'Troubleshooting Steps:',
+  'selector.cors': 'CORS Settings:',
+  'selector.corsHelp': 'Add {origin} to your Supabase allowed origins',
+  'selector.createTables': 'Create Tables:',
+  'selector.createTablesHelp': 'Run SQL to create required tables in Supabase',
+  'selector.permissions': 'Permissions:',
+  'selector.permissionsHelp': 'Ensure anon role can access your tables',
+  'selector.environment': 'Environment Variables:',
+  'selector.environmentHelp': 'Make sure your build includes VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY',
+  'selector.setupSql': 'Quick Setup SQL:',
+  'selector.retry': 'Retry Connection',
+  'selector.supabase': 'Go to Supabase',
+  'selector.viewing': 'Viewing table:',
+  'selector.tableData': 'Table data',
+  'selector.mockData': 'USING MOCK DATA',
+
+  // DataTableExample
+  'example.title': 'SQL Explorer',
+  'example.subtitle': 'View and manage all tables in your PostgreSQL database',
+  'example.language': 'Language',
+  'example.filters': 'Filters',
+  'example.filterCategory': 'Filter by Category',
+  'example.filterStatus': 'Filter by Status',
+  'example.status.active': 'Active',
+  'example.status.discontinued': 'Discontinued',
+  'example.status.out_of_stock': 'Out of Stock',
+  'example.status.backordered': 'Backordered',
+  'example.integration': 'Database Integration',
+  'example.integrationIntro': 'This component connects to PostgreSQL database with:',
+  'example.featureTables': 'Dynamic table selection',
+  'example.featureSchema': 'Automatic schema detection',
+  'example.featureCrud': 'CRUD operations',
+  'example.featureFiltering': 'Filtering and search',
+  'example.serverMode': 'Server-side paging, sorting and filtering',
+  'example.refreshTable': 'Refresh Table Data',
+  'example.backToTable': 'Back to Original Table',
+  'example.noData': 'No data found',
+  'example.emptyTable': 'This table appears to be empty or not available.',
+  'example.dummyData': 'DUMMY DATA MODE ACTIVE',
+  'example.refreshData': 'Refresh Data',
+  'example.sqlResults': 'SQL Query Results',
+  'example.table.product_summary': 'Products',
+  'example.table.categories': 'Categories',
+  'example.table.suppliers': 'Suppliers',
+  'example.table.customers': 'Customers',
+  'example.table.orders': 'Orders',
+  'example.table.transactions': 'Transactions',
+  'example.table.benchmark': 'Benchmark Rows',
+  'example.loadStructureFailed': 'Failed to load table structure',
+  'example.loadFailed': 'Failed to load {table} table data: {error}',
+  'example.syntaxError': 'Database syntax error: {error}',
+  'example.constraintError': 'Database constraint violation: {error}',
+  'example.invalidObjectOrSyntax': 'Invalid database object or syntax: {error}',
+  'example.invalidObject': 'Invalid database object: {error}',
+  'example.databaseError': 'Database error: {error}',
+  'example.saveRulesFailed': 'Failed to save formatting rules: {error}',
+  'example.viewSaved': 'View "{name}" saved',
+  'example.saveViewFailed': 'Failed to save view: {error}',
+  'example.viewDeleted': 'View "{name}" deleted',
+  'example.deleteViewFailed': 'Failed to delete view: {error}',
+  'example.filterFailed': 'Failed to filter products',
+  'example.saving': 'Saving to database...',
+  'example.updated': 'Record updated in database',
+  'example.updatedMock': 'Record updated (mock mode)',
+  'example.notFound': 'Record not found',
+  'example.deleting': 'Deleting from database...',
+  'example.deleted': 'Record deleted from database',
+  'example.deletedMock': 'Record deleted (mock mode)',
+  'example.adding': 'Adding to database...',
+  'example.added': 'Record added to database',
+  'example.addedMock': 'Record added (mock mode)',
+  'example.bulkDeleting': { one: 'Deleting {count} record...', other: 'Deleting {count} records...' },
+  'example.bulkDeleted': { one: '{count} record deleted from database', other: '{count} records deleted from database' },
+  'example.bulkDeletedMock': { one: '{count} record deleted (mock mode)', other: '{count} records deleted (mock mode)' },
+  'example.bulkUpdating': { one: 'Updating {count} record...', other: 'Updating {count} records...' },
+  'example.bulkUpdated': { one: '{count} record updated in database', other: '{count} records updated in database' },
+  'example.bulkUpdatedMock': { one: '{count} record updated (mock mode)', other: '{count} records updated (mock mode)' },
+  'example.bulkAdding': { one: 'Adding {count} record...', other: 'Adding {count} records...' },
+  'example.bulkAdded': { one: '{count} record added to database', other: '{count} records added to database' },
+  'example.bulkAddedMock': { one: '{count} record added (mock mode)', other: '{count} records added (mock mode)' },
+};
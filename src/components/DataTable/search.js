@@ -0,0 +1,48 @@
+// Quick search for DataTable: a row matches when the text of one of its cells, as
+// displayed, contains the search term (ignoring case). In serverMode the search is
+// sent with the query descriptor and matched by the database on the text columns.
+
+import { formatCellValue, getValueKind } from './columnTypes';
+
+/**
+ * Whether a row matches the search term
+ * @param {Object} record Table row
+ * @param {Array} columns Columns to search (lookup columns with their `lookupLabels`)
+ * @param {string} term Search term, already trimmed
+ * @returns {boolean}
+ */
+export const matchesSearch = (record, columns, term) => {
+  const lower = term.toLowerCase();
+  return columns.some(column => (
+    formatCellValue(column, record[column.dataIndex]).toLowerCase().includes(lower)
+  ));
+};
+
+/**
+ * Rows that match the search term; all rows without a term
+ * @param {Array} rows Table rows
+ * @param {Array} columns Columns to search
+ * @param {string} term Search term
+ * @returns {Array} Matching rows, in their order
+ */
+export const searchRows = (rows, columns, term) => {
+  const trimmed = (term || '').trim();
+  return trimmed ? rows.filter(record => matchesSearch(record, columns, trimmed)) : rows;
+};
+
+// The database can only search text it stores as text; JSON, lookup keys and
+// formula results (computed in the browser) are left out
+const isServerSearchable = (column) => getValueKind(column) === 'text' &&
+  !['json', 'formula'].includes(column.type);
+
+/**
+ * The search of the query descriptor emitted in serverMode
+ * @param {Array} columns Columns to search
+ * @param {string} term Search term
+ * @returns {Object|null} { fields, value }, or null without a term or text columns
+ */
+export const toServerSearch = (columns, term) => {
+  const trimmed = (term || '').trim();
+  const fields = columns.filter(isServerSearchable).map(column => column.dataIndex);
+  return trimmed && fields.length > 0 ? { fields, value: trimmed } : null;
+};
@@ -0,0 +1,131 @@
+// Sorting helpers for DataTable: per-type comparators, null ordering and multi-column sort
+
+import { formatCellValue, getValueKind } from './columnTypes';
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Comparators by sort kind. They only ever receive non-empty values,
+ * nulls are placed by sortRows according to the column's null ordering.
+ */
+export const COMPARATORS = {
+  number: (a, b) => a - b,
+  // Natural order, so "Item 2" comes before "Item 10"
+  text: (a, b) => collator.compare(String(a), String(b)),
+  boolean: (a, b) => (a === b ? 0 : a ? 1 : -1),
+  date: (a, b) => a - b,
+};
+
+// Which comparator a column type uses
+const getSortKind = (column) => {
+  const kind = getValueKind(column);
+  return COMPARATORS[kind] ? kind : 'text';
+};
+
+/**
+ * Normalize a cell value for comparison. Values that cannot be compared as the
+ * column's type (e.g. "abc" in a number column) are treated like nulls.
+ * @param {Object} column Column definition
+ * @param {*} value Raw cell value
+ * @returns {*} Comparable value, or null
+ */
+const getSortValue = (column, value) => {
+  if (isEmpty(value)) return null;
+  if (column.comparator) return value;
+
+  switch (getSortKind(column)) {
+    case 'number': {
+      const number = Number(value);
+      return Number.isNaN(number) ? null : number;
+    }
+    case 'boolean':
+      return Boolean(value);
+    case 'date': {
+      const time = new Date(value).getTime();
+      return Number.isNaN(time) ? null : time;
+    }
+    default: {
+      // Select columns sort by the label that is displayed, tags and JSON by their text
+      const option = (column.options || []).find(opt => opt.value === value);
+      if (option) return option.label;
+      return typeof value === 'object' ? formatCellValue(column, value) : value;
+    }
+  }
+};
+
+/**
+ * Sort rows by several columns. The first entry of `sorts` has the highest priority.
+ * A column can supply its own `comparator(a, b, recordA, recordB)` and a `nulls`
+ * setting ('first' or 'last') that overrides the table default.
+ * @param {Array} rows Rows to sort (not modified)
+ * @param {Array} sorts Sort keys, e.g. [{ columnKey: 'category', order: 'ascend' }]
+ * @param {Array} columns Column definitions
+ * @param {string} nullsOrder Where empty values go by default, 'first' or 'last'
+ * @returns {Array} Sorted copy of the rows
+ */
+export const sortRows = (rows, sorts, columns, nullsOrder = 'last') => {
+  const keys = sorts
+    .map(({ columnKey, order }) => {
+      const column = columns.find(col => col.dataIndex === columnKey);
+      if (!column) return null;
+      return {
+        column,
+        direction: order === 'descend' ? -1 : 1,
+        compare: column.comparator || COMPARATORS[getSortKind(column)],
+        nullsFirst: (column.nulls || nullsOrder) === 'first',
+      };
+    })
+    .filter(Boolean);
+
+  if (keys.length === 0) return rows;
+
+  // Normalize every value once instead of on each comparison
+  const entries = rows.map(row => ({
+    row,
+    values: keys.map(key => getSortValue(key.column, row[key.column.dataIndex])),
+  }));
+
+  entries.sort((a, b) => {
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i];
+      const aValue = a.values[i];
+      const bValue = b.values[i];
+
+      // Nulls keep their place at the start or end regardless of the direction
+      if (aValue === null || bValue === null) {
+        if (aValue === bValue) continue;
+        return (aValue === null) === key.nullsFirst ? -1 : 1;
+      }
+
+      const result = key.compare(aValue, bValue, a.row, b.row);
+      if (result !== 0) return result * key.direction;
+    }
+    return 0;
+  });
+
+  return entries.map(entry => entry.row);
+};
+
+/**
+ * Work out the new sort list after a header click
+ * @param {Array} sorts Current sort keys
+ * @param {string} columnKey Clicked column
+ * @param {string|null} order New order of that column ('ascend', 'descend' or null)
+ * @param {boolean} additive Whether Shift was held, which adds a secondary key instead of replacing
+ * @returns {Array} New sort keys
+ */
+export const updateSorts = (sorts, columnKey, order, additive) => {
+  if (!additive) {
+    return order ? [{ columnKey, order }] : [];
+  }
+
+  if (!order) {
+    return sorts.filter(sort => sort.columnKey !== columnKey);
+  }
+
+  return sorts.some(sort => sort.columnKey === columnKey)
+    ? sorts.map(sort => (sort.columnKey === columnKey ? { columnKey, order } : sort))
+    : [...sorts, { columnKey, order }];
+};
@@ -0,0 +1,59 @@
+import { useRef, useState } from 'react';
+
+/**
+ * Undo/redo stack for table mutations.
+ * Entries are { label, undo, redo } where undo and redo perform the compensating
+ * write (they may return a promise). An entry only moves to the other stack once
+ * its write has finished, so a failed undo can simply be tried again: the table's
+ * writes put the rows back when they fail, so the retry starts from the same rows.
+ * @param {number} limit Maximum number of entries kept for undo
+ * @returns {Object} { push, undo, redo, clear, canUndo, canRedo, nextUndo, nextRedo }
+ */
+const useUndoHistory = (limit = 100) => {
+  const [past, setPast] = useState([]);
+  const [future, setFuture] = useState([]);
+  // Blocks overlapping undo/redo calls, e.g. from a held-down Ctrl+Z
+  const busyRef = useRef(false);
+
+  const push = (entry) => {
+    setPast(prev => [...prev, entry].slice(-limit));
+    // A new change makes the redone branch unreachable
+    setFuture([]);
+  };
+
+  const step = async (entry, run, from, to) => {
+    if (!entry || busyRef.current) return null;
+
+    busyRef.current = true;
+    try {
+      await run(entry);
+      // Compare by identity, other entries may have been pushed in the meantime
+      from(prev => prev.filter(item => item !== entry));
+      to(prev => [...prev, entry]);
+      return entry;
+    } finally {
+      busyRef.current = false;
+    }
+  };
+
+  const undo = () => step(past[past.length - 1], entry => entry.undo(), setPast, setFuture);
+  const redo = () => step(future[future.length - 1], entry => entry.redo(), setFuture, setPast);
+
+  const clear = () => {
+    setPast([]);
+    setFuture([]);
+  };
+
+  return {
+    push,
+    undo,
+    redo,
+    clear,
+    canUndo: past.length > 0,
+    canRedo: future.length > 0,
+    nextUndo: past[past.length - 1] || null,
+    nextRedo: future[future.length - 1] || null,
+  };
+};
+
+export default useUndoHistory;
@@ -0,0 +1,123 @@
+// @vitest-environment jsdom
+import { describe, expect, it, vi } from 'vitest';
+import { act, renderHook } from '@testing-library/react';
+import useUndoHistory from './useUndoHistory';
+
+// An entry whose writes record what ran
+const entry = (label, log = []) => ({
+  label,
+  undo: vi.fn(async () => log.push(`undo ${label}`)),
+  redo: vi.fn(async () => log.push(`redo ${label}`)),
+});
+
+describe('useUndoHistory', () => {
+  it('undoes and redoes the latest entry', async () => {
+    const log = [];
+    const { result } = renderHook(() => useUndoHistory());
+    const first = entry('first', log);
+    const second = entry('second', log);
+    act(() => {
+      result.current.push(first);
+      result.current.push(second);
+    });
+    expect(result.current.nextUndo).toBe(second);
+    expect(result.current.canRedo).toBe(false);
+
+    let undone;
+    await act(async () => {
+      undone = await result.current.undo();
+    });
+    expect(undone).toBe(second);
+    expect(result.current.nextUndo).toBe(first);
+    expect(result.current.nextRedo).toBe(second);
+
+    await act(async () => {
+      await result.current.redo();
+    });
+    expect(log).toEqual(['undo second', 'redo second']);
+    expect(result.current.nextUndo).toBe(second);
+    expect(result.current.canRedo).toBe(false);
+  });
+
+  it('drops the redo stack when a new entry is pushed', async () => {
+    const { result } = renderHook(() => useUndoHistory());
+    act(() => result.current.push(entry('first')));
+    await act(async () => {
+      await result.current.undo();
+    });
+    expect(result.current.canRedo).toBe(true);
+
+    act(() => result.current.push(entry('second')));
+    expect(result.current.canRedo).toBe(false);
+  });
+
+  it('keeps an entry whose undo failed, so it can be tried again', async () => {
+    const failing = entry('failing');
+    failing.undo.mockRejectedValueOnce(new Error('offline'));
+    const { result } = renderHook(() => useUndoHistory());
+    act(() => result.current.push(failing));
+
+    await act(async () => {
+      await expect(result.current.undo()).rejects.toThrow('offline');
+    });
+    expect(result.current.nextUndo).toBe(failing);
+    expect(result.current.canRedo).toBe(false);
+
+    await act(async () => {
+      await result.current.undo();
+    });
+    expect(failing.undo).toHaveBeenCalledTimes(2);
+    expect(result.current.nextRedo).toBe(failing);
+  });
+
+  it('ignores an undo while another one is running', async () => {
+    let finish;
+    const slow = entry('slow');
+    slow.undo.mockImplementationOnce(() => new Promise(resolve => { finish = resolve; }));
+    const { result } = renderHook(() => useUndoHistory());
+    act(() => {
+      result.current.push(entry('first'));
+      result.current.push(slow);
+    });
+
+    let running;
+    let overlapping;
+    await act(async () => {
+      running = result.current.undo();
+      overlapping = await result.current.undo();
+      finish();
+      await running;
+    });
+    expect(overlapping).toBe(null);
+    expect(slow.undo).toHaveBeenCalledTimes(1);
+    expect(result.current.nextUndo.label).toBe('first');
+  });
+
+  it('resolves with null when there is nothing to undo or redo', async () => {
+    const { result } = renderHook(() => useUndoHistory());
+    await act(async () => {
+      expect(await result.current.undo()).toBe(null);
+      expect(await result.current.redo()).toBe(null);
+    });
+  });
+
+  it('keeps only the latest entries up to the limit', async () => {
+    const { result } = renderHook(() => useUndoHistory(2));
+    act(() => {
+      ['a', 'b', 'c'].forEach(label => result.current.push(entry(label)));
+    });
+    await act(async () => {
+      await result.current.undo();
+    });
+    await act(async () => {
+      await result.current.undo();
+    });
+    expect(result.current.canUndo).toBe(false);
+    expect(result.current.nextRedo.label).toBe('b');
+
+    act(() => result.current.clear());
+    expect(result.current.canRedo).toBe(false);
+    expect(result.current.canUndo).toBe(false);
+    expect(result.current.nextUndo).toBe(null);
+  });
+});
@@ -0,0 +1,272 @@
+// Declarative validation for DataTable columns. A column lists its constraints in
+// `validation`, e.g.
+//
+//   {
+//     min: 0, max: 100, integer: true,                 // numbers
+//     minLength: 3, maxLength: 20,                     // text length
+//     pattern: '^[A-Z]-',                              // RegExp or string
+//     email: true,
+//     enum: ['small', 'medium', 'large'],              // allowed values
+//     compare: [{ operator: '<=', field: 'price' }],   // cross-field rules
+//     validator: async (value, record) => {},          // return (or throw) a message to reject
+//     messages: { range: 'Cost cannot be negative' },  // replace a generated message
+//   }
+//
+// Message keys are required, integer, range, length, pattern, email and enum;
+// a compare rule takes its own `message`. Generated messages are in the column's
+// `locale`, see i18n.jsx.
+
+import { InvalidJson } from './columnTypes';
+import { translate } from './i18n';
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const COMPARE_OPERATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+};
+
+// The same rule seen from the other field: cost <= price is price >= cost
+const FLIPPED_OPERATORS = { '<': '>', '<=': '>=', '>': '<', '>=': '<=' };
+
+// Numbers compare as numbers, anything else (e.g. ISO dates) as text
+const compareValues = (operator, a, b) => {
+  const numeric = !Number.isNaN(Number(a)) && !Number.isNaN(Number(b));
+  return COMPARE_OPERATORS[operator](numeric ? Number(a) : String(a), numeric ? Number(b) : String(b));
+};
+
+const getTitle = (columns, field) => {
+  const column = columns.find(col => col.dataIndex === field);
+  return column ? column.title : field;
+};
+
+// `length` describes a number of characters
+const describeRange = (locale, min, max, length = false) => {
+  const suffix = length ? 'Length' : '';
+  if (min !== undefined && max !== undefined) return translate(locale, `validation.between${suffix}`, { min, max });
+  if (min !== undefined) return translate(locale, `validation.atLeast${suffix}`, { min });
+  return translate(locale, `validation.atMost${suffix}`, { max });
+};
+
+// Compare rules of this column, plus those of other columns that refer to it
+const getCompareRules = (column, columns) => [
+  ...((column.validation && column.validation.compare) || []),
+  ...columns
+    .filter(other => other.dataIndex !== column.dataIndex)
+    .flatMap(other => ((other.validation && other.validation.compare) || [])
+      .filter(rule => rule.field === column.dataIndex)
+      .map(rule => ({ operator: FLIPPED_OPERATORS[rule.operator], field: other.dataIndex }))),
+].filter(rule => COMPARE_OPERATORS[rule.operator]);
+
+/**
+ * Build antd Form rules for a column, shared by the modals and the inline editor
+ * @param {Object} column Column definition
+ * @param {Object} options
+ * @param {Array} options.columns All column definitions, for cross-field rules and their titles
+ * @param {Array} options.records Rows being edited; fields that are not in the form are read from them
+ * @returns {Array} Form rules
+ */
+export const getValidationRules = (column, { columns = [], records = [] } = {}) => {
+  const validation = column.validation || {};
+  const messages = validation.messages || {};
+  const { title, locale } = column;
+  const t = (key, params) => translate(locale, key, { title, ...params });
+  const rules = [];
+
+  // Skips empty values, those are only checked by `required`
+  const check = (test, message) => rules.push({
+    validator: (_, value) => (isEmpty(value) || test(value) ? Promise.resolve() : Promise.reject(message)),
+  });
+
+  if (column.required) {
+    rules.push({
+      required: true,
+      message: messages.required || t('validation.required')
+    });
+  }
+
+  if (column.type === 'number') {
+    rules.push({
+      type: 'number',
+      transform: (value) => Number(value),
+      message: t('validation.number')
+    });
+  }
+
+  // Checks that come with the rich column types
+  if (column.type === 'url') {
+    rules.push({ type: 'url', message: t('validation.url') });
+  }
+
+  if (column.type === 'email' && !validation.email) {
+    rules.push({ type: 'email', message: messages.email || t('validation.email') });
+  }
+
+  if (column.type === 'json') {
+    check(value => !(value instanceof InvalidJson), t('validation.json'));
+  }
+
+  if (validation.integer) {
+    check(value => Number.isInteger(Number(value)), messages.integer || t('validation.integer'));
+  }
+
+  const { min, max } = validation;
+  if (min !== undefined || max !== undefined) {
+    check(
+      value => (min === undefined || Number(value) >= min) && (max === undefined || Number(value) <= max),
+      messages.range || t('validation.range', { range: describeRange(locale, min, max) })
+    );
+  }
+
+  const { minLength, maxLength } = validation;
+  if (minLength !== undefined || maxLength !== undefined) {
+    check(
+      value => {
+        const { length } = String(value);
+        return (minLength === undefined || length >= minLength) && (maxLength === undefined || length <= maxLength);
+      },
+      messages.length || t('validation.range', { range: describeRange(locale, minLength, maxLength, true) })
+    );
+  }
+
+  if (validation.pattern) {
+    const pattern = validation.pattern instanceof RegExp ? validation.pattern : new RegExp(validation.pattern);
+    check(value => pattern.test(String(value)), messages.pattern || t('validation.pattern'));
+  }
+
+  if (validation.email) {
+    rules.push({
+      type: 'email',
+      message: messages.email || t('validation.email')
+    });
+  }
+
+  if (validation.enum) {
+    const allowed = validation.enum.map(String);
+    check(value => allowed.includes(String(value)), messages.enum || t('validation.enum', { values: validation.enum.join(', ') }));
+  }
+
+  getCompareRules(column, columns).forEach(({ operator, field, message }) => {
+    rules.push(({ getFieldValue }) => ({
+      validator: (_, value) => {
+        if (isEmpty(value)) return Promise.resolve();
+
+        // The other field is read from the form, or from the rows when it isn't in the form
+        const formValue = getFieldValue(field);
+        const others = formValue !== undefined ? [formValue] : records.map(record => record[field]);
+        const valid = others.every(other => isEmpty(other) || compareValues(operator, value, other));
+
+        return valid
+          ? Promise.resolve()
+          : Promise.reject(message || t('validation.compare', {
+            comparison: translate(locale, `validation.compare.${operator}`),
+            other: getTitle(columns, field),
+          }));
+      }
+    }));
+  });
+
+  if (validation.validator) {
+    rules.push(({ getFieldsValue }) => ({
+      validator: async (_, value) => {
+        const formValues = getFieldsValue();
+        const rows = records.length > 0 ? records.map(record => ({ ...record, ...formValues })) : [formValues];
+
+        for (const row of rows) {
+          let result;
+          try {
+            result = await validation.validator(value, row);
+          } catch (error) {
+            return Promise.reject(error instanceof Error ? error.message : error);
+          }
+          if (typeof result === 'string') {
+            return Promise.reject(result);
+          }
+        }
+        return Promise.resolve();
+      }
+    }));
+  }
+
+  return rules;
+};
+
+// What antd checks for the `type` rules above
+const TYPE_CHECKS = {
+  number: (value) => typeof value === 'number' && !Number.isNaN(value),
+  url: (value) => /^https?:\/\/[^\s/$.?#].[^\s]*$/i.test(String(value)),
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value)),
+};
+
+/**
+ * Check a value against a column's rules outside a form, e.g. for pasted cells
+ * @param {Object} column Column definition
+ * @param {*} value Value to check
+ * @param {Object} options
+ * @param {Array} options.columns All column definitions
+ * @param {Object} options.record The row with the value applied; the form fields are read from it
+ * @returns {Promise<string|null>} The first error message, or null if the value is valid
+ */
+export const validateValue = async (column, value, { columns = [], record = {} } = {}) => {
+  const form = {
+    getFieldValue: (field) => record[field],
+    getFieldsValue: () => record,
+  };
+
+  for (const rule of getValidationRules(column, { columns })) {
+    const { required, type, transform, validator, message } = typeof rule === 'function' ? rule(form) : rule;
+    if (required && isEmpty(value)) return message;
+    if (type && !isEmpty(value) && !TYPE_CHECKS[type](transform ? transform(value) : value)) return message;
+    if (validator) {
+      try {
+        await validator(rule, value);
+      } catch (error) {
+        return error instanceof Error ? error.message : String(error);
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Fields a column's cross-field rules depend on, so the form re-validates it when they change
+ * @param {Object} column Column definition
+ * @param {Array} columns All column definitions
+ * @returns {Array} Field names
+ */
+export const getValidationDependencies = (column, columns = []) => (
+  [...new Set(getCompareRules(column, columns).map(rule => rule.field))]
+);
+
+/**
+ * Short description of a column's constraints, used as the form field tooltip
+ * @param {Object} column Column definition
+ * @param {Array} columns All column definitions, for the titles in cross-field rules
+ * @returns {string|null} e.g. "Whole number, at least 0", or null without constraints
+ */
+export const describeValidation = (column, columns = []) => {
+  if (column.tooltip) return column.tooltip;
+
+  const validation = column.validation || {};
+  const { locale } = column;
+  const parts = [];
+
+  if (validation.integer) parts.push(translate(locale, 'validation.wholeNumber'));
+  if (validation.min !== undefined || validation.max !== undefined) {
+    parts.push(describeRange(locale, validation.min, validation.max));
+  }
+  if (validation.minLength !== undefined || validation.maxLength !== undefined) {
+    parts.push(describeRange(locale, validation.minLength, validation.maxLength, true));
+  }
+  if (validation.email) parts.push(translate(locale, 'validation.emailAddress'));
+  if (validation.enum) parts.push(translate(locale, 'validation.oneOf', { values: validation.enum.join(', ') }));
+  getCompareRules(column, columns).forEach(({ operator, field }) => {
+    parts.push(`${translate(locale, `validation.compare.${operator}`)} ${getTitle(columns, field)}`);
+  });
+
+  if (parts.length === 0) return null;
+  const text = parts.join(', ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};